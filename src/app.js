@@ -7,7 +7,12 @@ require('dotenv').config();
 
 const whatsappRoutes = require('./routes/whatsapp');
 const healthRoutes = require('./routes/health');
-const { errorHandler, notFound } = require('./middleware/errorHandlers');
+const receiptRoutes = require('./routes/receipts');
+const merchantRoutes = require('./routes/merchants');
+const categoryRoutes = require('./routes/categories');
+const jobRoutes = require('./routes/jobs');
+const JobQueue = require('./services/queue');
+const { globalErrorHandler, handleNotFound } = require('./middleware/errorHandlers');
 const { validateWebhook } = require('./middleware/validation');
 
 const app = express();
@@ -25,12 +30,24 @@ app.use(cors({
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Body parsing
-app.use(express.json({ limit: '50mb' }));
+// Webhook signatures are computed over the raw bytes, so keep them for /webhook
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
 app.use('/health', healthRoutes);
 app.use('/webhook', validateWebhook, whatsappRoutes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Static files for uploaded receipts (development only)
 if (process.env.NODE_ENV !== 'production') {
@@ -38,17 +55,20 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // Error handling
-app.use(notFound);
-app.use(errorHandler);
+app.use(handleNotFound);
+app.use(globalErrorHandler);
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+// Jobs still running when the grace period ends are picked up again on the next start
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await JobQueue.stop();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await JobQueue.stop();
   process.exit(0);
 });
 
@@ -57,6 +77,8 @@ app.listen(PORT, () => {
   console.log(`🚀 WhatsApp Receipt Capture Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Webhook URL: ${process.env.WEBHOOK_URL || `http://localhost:${PORT}/webhook/whatsapp`}`);
+
+  JobQueue.start().catch(error => console.error('❌ Error starting job queue:', error));
 });
 
 module.exports = app;
\ No newline at end of file
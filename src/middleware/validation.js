@@ -1,11 +1,17 @@
 const Joi = require('joi');
+const LocaleParser = require('../services/localeParser');
+const CurrencyService = require('../services/currency');
+const MerchantDirectory = require('../services/merchantDirectory');
+const WhatsAppService = require('../services/whatsapp');
+const AuditLog = require('../services/auditLog');
 
 /**
- * Middleware to validate webhook verification token
+ * Middleware to validate webhook requests: the verification parameters on GET,
+ * and the payload signature on POST
  */
 const validateWebhook = (req, res, next) => {
-  // Skip validation for non-webhook routes
-  if (!req.path.includes('/webhook/')) {
+  // Skip validation for non-webhook routes (req.path is relative to the mount point)
+  if (!req.originalUrl.startsWith('/webhook/')) {
     return next();
   }
 
@@ -24,17 +30,26 @@ const validateWebhook = (req, res, next) => {
     return next();
   }
 
-  // For POST requests, validate the webhook secret if configured
-  if (req.method === 'POST' && process.env.WHATSAPP_WEBHOOK_SECRET) {
+  // For POST requests, check the signature over the raw body (kept by express.json in app.js)
+  if (req.method === 'POST') {
     const signature = req.headers['x-hub-signature-256'];
-    
-    if (!signature) {
-      console.log('❌ Missing webhook signature');
-      return res.status(401).json({ error: 'Missing webhook signature' });
+    const result = WhatsAppService.validateWebhookSignature(req.rawBody, signature);
+
+    if (!result.valid) {
+      console.log(`❌ Webhook signature rejected (${result.reason}) from ${req.ip}`);
+      AuditLog.record('webhook_signature_rejected', {
+        reason: result.reason,
+        path: req.originalUrl,
+        ip: req.ip,
+        user_agent: req.get('user-agent') || null,
+        signature_present: Boolean(signature),
+        body_bytes: req.rawBody ? req.rawBody.length : 0
+      });
+      if (result.reason === 'not_configured') {
+        return res.status(503).json({ error: 'Webhook secret not configured on the server' });
+      }
+      return res.status(401).json({ error: 'Invalid webhook signature' });
     }
-
-    // The actual signature validation is done in the WhatsApp service
-    // This just checks that the header exists
   }
 
   next();
@@ -105,6 +120,36 @@ const validateReceiptRequest = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate the form fields sent with a receipt upload
+ */
+const validateReceiptUpload = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      phone_number: Joi.string().pattern(/^\d{10,15}$/).required(),
+      contact_name: Joi.string().max(100).optional(),
+      caption: Joi.string().max(500).allow('').optional(),
+      locale: Joi.string().max(35).optional().custom((value, helpers) =>
+        LocaleParser.normalizeLocale(value) || helpers.error('any.invalid'))
+    });
+
+    const { error, value } = schema.validate(req.body);
+    
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid request', 
+        details: error.details[0].message 
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating receipt upload:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
 /**
  * Middleware to validate phone number format
  */
@@ -158,7 +203,11 @@ const validateReceiptQuery = (req, res, next) => {
       status: Joi.string().valid('pending_approval', 'approved', 'rejected', 'corrected').optional(),
       start_date: Joi.date().iso().optional(),
       end_date: Joi.date().iso().min(Joi.ref('start_date')).optional(),
-      phone_number: Joi.string().pattern(/^\d{10,15}$/).optional()
+      phone_number: Joi.string().pattern(/^\d{10,15}$/).optional(),
+      warning: Joi.string().pattern(/^[a-z_]+$/).max(50).optional(),
+      category: Joi.string().valid(...MerchantDirectory.categories, 'none').optional(),
+      project: Joi.string().trim().max(50).optional(),
+      tag: Joi.string().trim().pattern(/^#?[\p{L}\p{N}_-]+$/u).max(50).optional()
     });
 
     const { error, value } = schema.validate(req.query);
@@ -179,6 +228,257 @@ const validateReceiptQuery = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to validate receipt field updates (PATCH /api/receipts/:receiptId)
+ */
+const validateReceiptUpdate = (req, res, next) => {
+  try {
+    // Amounts stay numbers: ReceiptEditor converts them to minor units at the
+    // precision of the receipt's currency (0 decimals for JPY, 3 for KWD)
+    const amount = Joi.number().min(0);
+
+    const schema = Joi.object({
+      merchant_name: Joi.string().trim().min(2).max(100),
+      category: Joi.string().valid(...MerchantDirectory.categories),
+      total_amount: amount.allow(null),
+      tax_amount: amount.allow(null),
+      subtotal_amount: amount.allow(null),
+      tip_amount: amount.allow(null),
+      // A real calendar date and not in the future, as in the WhatsApp edit flow
+      date: Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/, 'ISO date (YYYY-MM-DD)').custom((value, helpers) => {
+        const date = LocaleParser.buildDate(...value.split('-'));
+        return date && !LocaleParser.isFuture(date)
+          ? date
+          : helpers.message('"date" must be a valid calendar date that is not in the future');
+      }),
+      time: Joi.string().trim().max(20).allow(null),
+      currency: Joi.string().trim().length(3).custom((value, helpers) =>
+        CurrencyService.normalizeCode(value) || helpers.error('any.invalid')),
+      payment_method: Joi.string().trim().max(50).allow(null),
+      caption: Joi.string().max(500).allow(''),
+      line_items: Joi.array().max(200).items(
+        Joi.object({
+          description: Joi.string().trim().max(200).required(),
+          // Line totals may be negative (an order-level discount)
+          amount: Joi.number().required(),
+          quantity: Joi.number().min(0).default(1),
+          unit_price: amount.allow(null),
+          discount: amount.allow(null),
+          sku: Joi.string().trim().max(50).allow(null),
+          tax_code: Joi.string().trim().max(10).allow(null)
+        }).unknown(true)
+      ),
+      tax_lines: Joi.array().max(20).items(
+        Joi.object({
+          type: Joi.string().valid('vat', 'gst', 'hst', 'pst', 'qst', 'cgst', 'sgst', 'igst', 'sales_tax', 'tax').required(),
+          rate: Joi.number().min(0).max(100).allow(null).default(null),
+          base: amount.allow(null).default(null),
+          amount: amount.required(),
+          registration_number: Joi.string().trim().max(50).allow(null).default(null)
+        })
+      )
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid receipt update', 
+        details: error.details[0].message 
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating receipt update:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
+/**
+ * Middleware to validate receipt status changes
+ */
+const validateStatusUpdate = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid('pending_approval', 'approved', 'rejected', 'corrected').required(),
+      note: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid status update', 
+        details: error.details[0].message 
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating status update:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
+/**
+ * Middleware to validate merchant directory query parameters
+ */
+const validateMerchantQuery = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      search: Joi.string().trim().max(100).optional(),
+      category: Joi.string().valid(...MerchantDirectory.categories).optional()
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: error.details[0].message
+      });
+    }
+
+    req.validatedQuery = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating merchant query:', err);
+    res.status(500).json({ error: 'Query validation error' });
+  }
+};
+
+/**
+ * Middleware to validate merchant updates (PATCH /api/merchants/:merchantId)
+ */
+const validateMerchantUpdate = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      name: Joi.string().trim().min(2).max(100),
+      category: Joi.string().valid(...MerchantDirectory.categories).allow(null),
+      tax_id: Joi.string().trim().max(50).allow(null),
+      aliases: Joi.array().max(50).items(Joi.string().trim().min(2).max(100))
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid merchant update',
+        details: error.details[0].message
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating merchant update:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
+/**
+ * Middleware to validate a new categorization rule (POST /api/categories/rules)
+ */
+const validateCategoryRule = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      category: Joi.string().valid(...MerchantDirectory.categories).required(),
+      merchant: Joi.string().trim().min(2).max(100),
+      keywords: Joi.array().min(1).max(50).items(Joi.string().trim().min(2).max(50)),
+      team: Joi.string().trim().max(100)
+    }).or('merchant', 'keywords');
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid category rule',
+        details: error.details[0].message
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating category rule:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
+/**
+ * Middleware to validate categorization rule changes (PATCH /api/categories/rules/:ruleId)
+ */
+const validateCategoryRuleUpdate = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      category: Joi.string().valid(...MerchantDirectory.categories),
+      merchant: Joi.string().trim().min(2).max(100).allow(null),
+      keywords: Joi.array().max(50).items(Joi.string().trim().min(2).max(50)),
+      team: Joi.string().trim().max(100).allow(null)
+    }).min(1);
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid category rule update',
+        details: error.details[0].message
+      });
+    }
+
+    req.validatedBody = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating category rule update:', err);
+    res.status(500).json({ error: 'Request validation error' });
+  }
+};
+
+/**
+ * Middleware to validate job queue query parameters
+ */
+const validateJobQuery = (req, res, next) => {
+  try {
+    const schema = Joi.object({
+      status: Joi.string().valid('queued', 'running', 'dead').optional(),
+      type: Joi.string().pattern(/^[a-z_]+$/).max(50).optional(),
+      limit: Joi.number().integer().min(1).max(1000).default(100)
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: error.details[0].message
+      });
+    }
+
+    req.validatedQuery = value;
+    next();
+  } catch (err) {
+    console.error('❌ Error validating job query:', err);
+    res.status(500).json({ error: 'Query validation error' });
+  }
+};
+
+/**
+ * Middleware to validate job ID parameter
+ */
+const validateJobId = (req, res, next) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(req.params.jobId || '')) {
+    return res.status(400).json({
+      error: 'Invalid job ID format. Must be a valid UUID.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware to validate file upload
  */
@@ -188,10 +488,10 @@ const validateFileUpload = (req, res, next) => {
   }
 
   // Check file type
-  const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+  const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'application/pdf'];
   if (!allowedMimeTypes.includes(req.file.mimetype)) {
     return res.status(400).json({ 
-      error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP, PDF' 
+      error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP, HEIC, PDF' 
     });
   }
 
@@ -229,16 +529,25 @@ const validateEnvironment = (req, res, next) => {
 };
 
 /**
- * Middleware to validate API key (for protected endpoints)
+ * Middleware to validate API key (for protected endpoints). Without API_KEY
+ * the API is closed, except when NODE_ENV=development is set explicitly.
  */
+let warnedOpenApi = false;
 const validateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.query.api_key;
   const validApiKey = process.env.API_KEY;
 
-  // Skip validation if no API key is configured
   if (!validApiKey) {
-    console.warn('⚠️ API_KEY not configured, skipping authentication');
-    return next();
+    if (process.env.NODE_ENV === 'development') {
+      if (!warnedOpenApi) {
+        console.warn('⚠️ API_KEY not configured, API endpoints are open (development mode only)');
+        warnedOpenApi = true;
+      }
+      return next();
+    }
+
+    console.error('❌ API_KEY not configured, refusing API request');
+    return res.status(503).json({ error: 'API key not configured on the server' });
   }
 
   if (!apiKey) {
@@ -301,9 +610,18 @@ module.exports = {
   validateWebhook,
   validateWhatsAppWebhook,
   validateReceiptRequest,
+  validateReceiptUpload,
   validatePhoneNumber,
   validateReceiptId,
   validateReceiptQuery,
+  validateReceiptUpdate,
+  validateStatusUpdate,
+  validateMerchantQuery,
+  validateMerchantUpdate,
+  validateCategoryRule,
+  validateCategoryRuleUpdate,
+  validateJobQuery,
+  validateJobId,
   validateFileUpload,
   validateEnvironment,
   validateApiKey,
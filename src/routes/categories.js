@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const ExpenseCategorizer = require('../services/expenseCategorizer');
+const { AppError, catchAsync } = require('../middleware/errorHandlers');
+const {
+  validateApiKey,
+  validateCategoryRule,
+  validateCategoryRuleUpdate
+} = require('../middleware/validation');
+
+// Every category endpoint requires the API key
+router.use(validateApiKey);
+
+/**
+ * GET /api/categories - List the expense categories and the categorization rules
+ */
+router.get('/', catchAsync(async (req, res) => {
+  const rules = await ExpenseCategorizer.listRules();
+
+  res.status(200).json({ categories: ExpenseCategorizer.categories, rules });
+}));
+
+/**
+ * POST /api/categories/rules - Add a categorization rule
+ * Body: { category, merchant?, keywords?, team? } (merchant or keywords required)
+ */
+router.post('/rules', validateCategoryRule, catchAsync(async (req, res) => {
+  const rule = await ExpenseCategorizer.addRule(req.validatedBody);
+
+  res.status(201).json({ rule });
+}));
+
+/**
+ * PATCH /api/categories/rules/:ruleId - Change a categorization rule
+ * Body: { category?, merchant?, keywords?, team? }
+ */
+router.patch('/rules/:ruleId', validateCategoryRuleUpdate, catchAsync(async (req, res) => {
+  const rule = await ExpenseCategorizer.updateRule(req.params.ruleId, req.validatedBody);
+  if (!rule) {
+    throw new AppError(`Category rule not found: ${req.params.ruleId}`, 404);
+  }
+
+  res.status(200).json({ rule });
+}));
+
+/**
+ * DELETE /api/categories/rules/:ruleId - Delete a categorization rule
+ */
+router.delete('/rules/:ruleId', catchAsync(async (req, res) => {
+  if (!(await ExpenseCategorizer.deleteRule(req.params.ruleId))) {
+    throw new AppError(`Category rule not found: ${req.params.ruleId}`, 404);
+  }
+
+  res.status(204).send();
+}));
+
+module.exports = router;
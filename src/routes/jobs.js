@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const JobQueue = require('../services/queue');
+const { AppError, catchAsync } = require('../middleware/errorHandlers');
+const {
+  validateApiKey,
+  validateJobQuery,
+  validateJobId
+} = require('../middleware/validation');
+
+// Every job endpoint requires the API key
+router.use(validateApiKey);
+
+/**
+ * GET /api/jobs - List queued, running and dead jobs, with counts per status
+ * Query: status?, type?, limit?
+ */
+router.get('/', validateJobQuery, catchAsync(async (req, res) => {
+  const { jobs, counts } = await JobQueue.listJobs(req.validatedQuery);
+
+  res.status(200).json({ counts, jobs });
+}));
+
+/**
+ * GET /api/jobs/dead-letter - Jobs that failed every attempt
+ */
+router.get('/dead-letter', catchAsync(async (req, res) => {
+  const { jobs } = await JobQueue.listJobs({ status: 'dead', limit: 1000 });
+
+  res.status(200).json({ jobs, count: jobs.length });
+}));
+
+/**
+ * GET /api/jobs/:jobId - One job, with the error of each failed attempt
+ */
+router.get('/:jobId', validateJobId, catchAsync(async (req, res) => {
+  const job = await getJobOrFail(req.params.jobId);
+
+  res.status(200).json({ job });
+}));
+
+/**
+ * POST /api/jobs/:jobId/retry - Run a dead (or waiting) job again now
+ */
+router.post('/:jobId/retry', validateJobId, catchAsync(async (req, res) => {
+  const job = await getJobOrFail(req.params.jobId);
+  if (job.status === 'running') {
+    throw new AppError('Job is running and cannot be retried', 409);
+  }
+
+  res.status(200).json({ job: await JobQueue.retryJob(job.job_id) });
+}));
+
+/**
+ * DELETE /api/jobs/:jobId - Drop a dead or queued job
+ */
+router.delete('/:jobId', validateJobId, catchAsync(async (req, res) => {
+  const job = await getJobOrFail(req.params.jobId);
+  if (job.status === 'running') {
+    throw new AppError('Job is running and cannot be deleted', 409);
+  }
+
+  await JobQueue.deleteJob(job.job_id);
+  res.status(204).send();
+}));
+
+async function getJobOrFail(jobId) {
+  const job = await JobQueue.getJob(jobId);
+  if (!job) {
+    throw new AppError(`Job not found: ${jobId}`, 404);
+  }
+  return job;
+}
+
+module.exports = router;
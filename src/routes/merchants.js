@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const MerchantDirectory = require('../services/merchantDirectory');
+const { AppError, catchAsync } = require('../middleware/errorHandlers');
+const {
+  validateApiKey,
+  validateMerchantQuery,
+  validateMerchantUpdate
+} = require('../middleware/validation');
+
+// Every merchant endpoint requires the API key
+router.use(validateApiKey);
+
+/**
+ * GET /api/merchants - List the merchant directory
+ * Query: search (any name or alias), category
+ */
+router.get('/', validateMerchantQuery, catchAsync(async (req, res) => {
+  const merchants = await MerchantDirectory.listMerchants(req.validatedQuery);
+
+  res.status(200).json({ merchants, total: merchants.length, categories: MerchantDirectory.categories });
+}));
+
+/**
+ * GET /api/merchants/:merchantId - Get a merchant with its aliases and locations
+ */
+router.get('/:merchantId', catchAsync(async (req, res) => {
+  const merchant = await MerchantDirectory.getMerchant(req.params.merchantId);
+  if (!merchant) {
+    throw new AppError(`Merchant not found: ${req.params.merchantId}`, 404);
+  }
+
+  res.status(200).json({ merchant });
+}));
+
+/**
+ * PATCH /api/merchants/:merchantId - Rename a merchant, set its default category or tax ID, add aliases
+ * Body: { name?, category?, tax_id?, aliases? }
+ */
+router.patch('/:merchantId', validateMerchantUpdate, catchAsync(async (req, res) => {
+  const merchant = await MerchantDirectory.updateMerchant(req.params.merchantId, req.validatedBody);
+  if (!merchant) {
+    throw new AppError(`Merchant not found: ${req.params.merchantId}`, 404);
+  }
+
+  res.status(200).json({ merchant });
+}));
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const StorageService = require('../services/storage');
+const ReceiptEditor = require('../services/receiptEditor');
+const ReceiptProcessor = require('../services/receiptProcessor');
+const CaptionParser = require('../services/captionParser');
+const DeliveryTracker = require('../services/deliveryTracker');
+const { AppError, catchAsync } = require('../middleware/errorHandlers');
+const {
+  validateApiKey,
+  validateFileUpload,
+  validateReceiptUpload,
+  validateReceiptId,
+  validateReceiptQuery,
+  validateReceiptUpdate,
+  validateStatusUpdate,
+  validatePhoneNumber
+} = require('../middleware/validation');
+
+// Uploaded files are kept in memory; ReceiptProcessor writes them to storage/receipts
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE || String(10 * 1024 * 1024)) }
+});
+
+// Every receipt endpoint requires the API key
+router.use(validateApiKey);
+
+/**
+ * POST /api/receipts/upload - Submit a receipt file without WhatsApp
+ * Multipart form: file (image or PDF), phone_number, contact_name?, caption?, locale?
+ */
+router.post('/upload', receiveUpload, validateFileUpload, validateReceiptUpload, catchAsync(async (req, res) => {
+  const { phone_number, contact_name, caption, locale } = req.validatedBody;
+
+  console.log(`📤 Receipt upload received: ${req.file.originalname} (${req.file.size} bytes)`);
+
+  const captionTags = await CaptionParser.parse(caption, { phoneNumber: phone_number });
+  if (captionTags.errors.length > 0) {
+    throw new AppError(`Invalid caption: ${captionTags.errors.map(error => error.message).join('; ')}`, 400);
+  }
+
+  const result = await ReceiptProcessor.processUploadedFile(req.file, phone_number, {
+    caption,
+    captionTags,
+    contactName: contact_name,
+    locale,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!result.success) {
+    return res.status(422).json({
+      error: 'Receipt processing failed',
+      details: result.error,
+      receipt_id: result.receiptId,
+      ...(result.qualityIssues ? { quality_issues: result.qualityIssues } : {})
+    });
+  }
+
+  res.status(201).json({ receipt: result.data });
+}));
+
+/**
+ * GET /api/receipts - List receipts with filters and pagination
+ * Query: limit, offset, status, start_date, end_date, phone_number, warning, category ('none' for uncategorized), project, tag
+ */
+router.get('/', validateReceiptQuery, catchAsync(async (req, res) => {
+  const { limit, offset, status, start_date, end_date, phone_number, warning, category, project, tag } = req.validatedQuery;
+
+  const { receipts, total } = await StorageService.queryReceipts({
+    limit,
+    offset,
+    status,
+    phoneNumber: phone_number,
+    startDate: start_date,
+    endDate: end_date,
+    warning,
+    category,
+    project,
+    tag
+  });
+
+  res.status(200).json({
+    receipts,
+    pagination: {
+      total,
+      limit,
+      offset,
+      has_more: offset + receipts.length < total
+    }
+  });
+}));
+
+/**
+ * GET /api/receipts/export - Export receipts as CSV (same filters as the list)
+ */
+router.get('/export', validateReceiptQuery, catchAsync(async (req, res) => {
+  const { status, start_date, end_date, phone_number, warning, category, project, tag } = req.validatedQuery;
+
+  const { receipts } = await StorageService.queryReceipts({
+    limit: Number.MAX_SAFE_INTEGER,
+    status,
+    phoneNumber: phone_number,
+    startDate: start_date,
+    endDate: end_date,
+    warning,
+    category,
+    project,
+    tag
+  });
+
+  const csv = await StorageService.exportToCSV(receipts);
+
+  res.set({
+    'Content-Type': 'text/csv',
+    'Content-Disposition': `attachment; filename="receipts_${new Date().toISOString().slice(0, 10)}.csv"`
+  });
+  res.status(200).send(csv);
+}));
+
+/**
+ * GET /api/receipts/stats - Totals per original currency and in the home currency
+ */
+router.get('/stats', catchAsync(async (req, res) => {
+  const stats = await StorageService.getStats();
+
+  res.status(200).json({ stats });
+}));
+
+/**
+ * GET /api/receipts/phone/:phoneNumber - List all receipts sent from a phone number
+ */
+router.get('/phone/:phoneNumber', validatePhoneNumber, catchAsync(async (req, res) => {
+  const receipts = await StorageService.getReceiptsByPhone(req.params.phoneNumber);
+
+  res.status(200).json({ receipts, total: receipts.length });
+}));
+
+/**
+ * GET /api/receipts/:receiptId - Get a single receipt, with the delivery
+ * state of the WhatsApp messages sent about it
+ */
+router.get('/:receiptId', validateReceiptId, catchAsync(async (req, res) => {
+  const receipt = await StorageService.loadReceipt(req.params.receiptId);
+  const delivery = await DeliveryTracker.getReceiptDelivery(receipt.receipt_id);
+
+  res.status(200).json({ receipt, delivery });
+}));
+
+/**
+ * PATCH /api/receipts/:receiptId - Correct receipt fields
+ * Marks the receipt as 'corrected' and keeps old/new values in status_history
+ */
+router.patch('/:receiptId', validateReceiptId, validateReceiptUpdate, catchAsync(async (req, res) => {
+  const receipt = await ReceiptEditor.applyCorrections(req.params.receiptId, req.validatedBody, 'api');
+
+  res.status(200).json({ receipt });
+}));
+
+/**
+ * PUT /api/receipts/:receiptId/status - Change receipt status
+ * Body: { status, note? }
+ */
+router.put('/:receiptId/status', validateReceiptId, validateStatusUpdate, catchAsync(async (req, res) => {
+  const { status, note } = req.validatedBody;
+
+  const receipt = await StorageService.updateReceiptStatus(req.params.receiptId, status, {
+    status_changed_by: 'api',
+    ...(note ? { status_note: note } : {})
+  });
+
+  res.status(200).json({ receipt });
+}));
+
+/**
+ * DELETE /api/receipts/:receiptId - Delete a receipt and its stored image
+ */
+router.delete('/:receiptId', validateReceiptId, catchAsync(async (req, res) => {
+  await StorageService.deleteReceipt(req.params.receiptId);
+
+  res.status(204).send();
+}));
+
+/**
+ * Run multer for the single "file" field and turn its errors into 400 responses
+ */
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(`Upload error: ${err.message}`, 400));
+    }
+    next(err);
+  });
+}
+
+module.exports = router;
@@ -2,7 +2,29 @@ const express = require('express');
 const router = express.Router();
 const WhatsAppService = require('../services/whatsapp');
 const ReceiptProcessor = require('../services/receiptProcessor');
+const StorageService = require('../services/storage');
+const ConversationState = require('../services/conversationState');
+const ReceiptEditor = require('../services/receiptEditor');
+const LocaleParser = require('../services/localeParser');
+const CurrencyService = require('../services/currency');
+const LineItemParser = require('../services/lineItemParser');
+const TaxParser = require('../services/taxParser');
+const CaptionParser = require('../services/captionParser');
+const CommandRouter = require('../services/commandRouter');
+const JobQueue = require('../services/queue');
+const MessageDedupe = require('../services/messageDedupe');
+const DeliveryTracker = require('../services/deliveryTracker');
 const { validateWhatsAppWebhook } = require('../middleware/validation');
+const path = require('path');
+
+// Files sent as documents that go through the receipt pipeline, by MIME type and extension
+const RECEIPT_DOCUMENT_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/heic': ['.heic'],
+  'image/heif': ['.heif']
+};
 
 /**
  * GET /webhook/whatsapp - Webhook verification endpoint
@@ -42,17 +64,26 @@ router.post('/whatsapp', validateWhatsAppWebhook, async (req, res) => {
     // Process the webhook data asynchronously
     console.log('📨 Received WhatsApp webhook:', JSON.stringify(body, null, 2));
 
-    // Check if this is a message webhook
+    // One delivery can batch several entries, changes and messages
     if (body.object === 'whatsapp_business_account') {
-      const entry = body.entry?.[0];
-      const changes = entry?.changes?.[0];
-      
-      if (changes?.field === 'messages') {
-        const messages = changes.value?.messages;
-        const contacts = changes.value?.contacts;
-        
-        if (messages && messages.length > 0) {
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          if (change.field !== 'messages') continue;
+
+          const { messages = [], contacts, statuses = [] } = change.value || {};
+
+          // Delivery reports (sent, delivered, read, failed) for messages we sent
+          for (const status of statuses) {
+            await handleStatusUpdate(status);
+          }
+
           for (const message of messages) {
+            // Meta redelivers webhooks it didn't see acknowledged in time
+            if (!(await MessageDedupe.claim(message.id))) {
+              console.log(`🔁 Skipping message ${message.id}, already received`);
+              continue;
+            }
+
             await processIncomingMessage(message, contacts);
           }
         }
@@ -61,10 +92,83 @@ router.post('/whatsapp', validateWhatsAppWebhook, async (req, res) => {
   } catch (error) {
     console.error('❌ Error processing WhatsApp webhook:', error);
     // Don't return error to WhatsApp to prevent webhook disabling
-    res.status(200).send('OK');
+    if (!res.headersSent) {
+      res.status(200).send('OK');
+    }
   }
 });
 
+/**
+ * Store a delivery report against the message it is about, and act on a
+ * failure: send the message again later, or fall back to a template
+ * @param {Object} status - Entry of changes.value.statuses
+ */
+async function handleStatusUpdate(status) {
+  try {
+    const result = await DeliveryTracker.recordStatus(status);
+    if (!result) return;
+
+    const { record, changed } = result;
+    if (!changed) return;
+
+    console.log(`📬 Message ${record.message_id} to ${record.to}: ${status.status}`);
+    if (status.status !== 'failed') return;
+
+    const { action, delayMs } = DeliveryTracker.getFailureAction(record);
+    console.warn(`⚠️ Message ${record.message_id} failed (${record.errors.map(error => `${error.code} ${error.title}`).join(', ')})${action ? `, will ${action}` : ''}`);
+
+    if (action === 'retry') {
+      await JobQueue.enqueue('whatsapp_resend', { messageId: record.message_id }, { delayMs });
+    } else if (action === 'escalate') {
+      await escalateToTemplate(record);
+    }
+  } catch (error) {
+    console.error(`❌ Error handling status update for message ${status.id}:`, error);
+  }
+}
+
+/**
+ * Send a failed message again (queued by handleStatusUpdate)
+ * @param {Object} job - Job with payload { messageId }
+ */
+async function resendMessageJob(job) {
+  const record = await DeliveryTracker.get(job.payload.messageId);
+  if (!record || record.status !== 'failed' || record.retried_by) return;
+
+  const response = await WhatsAppService.resendMessage(record);
+  await DeliveryTracker.update(record.message_id, { retried_by: response.messages[0].id });
+}
+
+/**
+ * Tell the user about their receipt with the WHATSAPP_RECEIPT_TEMPLATE template
+ * when a message about it can't be delivered: outside the 24-hour window only
+ * templates get through. Sent once per receipt; the template's body takes
+ * the merchant and the total.
+ */
+async function escalateToTemplate(record) {
+  const templateName = process.env.WHATSAPP_RECEIPT_TEMPLATE;
+  if (!templateName || !record.receipt_id) {
+    console.log(`ℹ️ Message ${record.message_id} not escalated (${templateName ? 'not about a receipt' : 'no WHATSAPP_RECEIPT_TEMPLATE'})`);
+    return;
+  }
+
+  const { messages } = await DeliveryTracker.getReceiptDelivery(record.receipt_id);
+  if (messages.some(message => message.type === 'template')) return;
+
+  const receipt = await StorageService.loadReceipt(record.receipt_id);
+  const total = CurrencyService.format(receipt.final_total || receipt.total_amount || '0', receipt.currency, receipt.locale);
+  const response = await WhatsAppService.sendTemplate(
+    record.to,
+    templateName,
+    process.env.WHATSAPP_RECEIPT_TEMPLATE_LANGUAGE || 'en_US',
+    [receipt.merchant_name || 'Unknown Merchant', total],
+    { receiptId: record.receipt_id, purpose: 'receipt_summary', escalationOf: record.message_id }
+  );
+  await DeliveryTracker.update(record.message_id, { escalated_by: response.messages[0].id });
+}
+
+JobQueue.register({ type: 'whatsapp_resend', run: resendMessageJob });
+
 /**
  * Process incoming WhatsApp message
  * @param {Object} message - WhatsApp message object
@@ -84,6 +188,10 @@ async function processIncomingMessage(message, contacts) {
       case 'image':
         await handleImageMessage(message, phoneNumber, contactName);
         break;
+
+      case 'document':
+        await handleDocumentMessage(message, phoneNumber, contactName);
+        break;
       
       case 'text':
         await handleTextMessage(message, phoneNumber, contactName);
@@ -96,7 +204,7 @@ async function processIncomingMessage(message, contacts) {
       default:
         console.log(`ℹ️ Unsupported message type: ${messageType}`);
         await WhatsAppService.sendMessage(phoneNumber, {
-          text: "Sorry, I can only process receipt images. Please send a photo of your receipt! 📸"
+          text: "Sorry, I can only process receipts. Please send a photo or PDF of your receipt! 📸"
         });
     }
   } catch (error) {
@@ -108,56 +216,223 @@ async function processIncomingMessage(message, contacts) {
  * Handle image messages (receipts)
  */
 async function handleImageMessage(message, phoneNumber, contactName) {
-  try {
-    const mediaId = message.image.id;
-    const caption = message.image.caption || '';
+  console.log(`🖼️ Processing receipt image from ${contactName}`);
 
-    console.log(`🖼️ Processing receipt image from ${contactName}`);
+  await queueReceipt(phoneNumber, {
+    mediaId: message.image.id,
+    caption: message.image.caption || '',
+    contactName,
+    sentAt: getMessageTime(message)
+  });
+}
 
-    // Send immediate acknowledgment
+/**
+ * Handle document messages: PDF receipts and invoices, and photos sent as files
+ * (which WhatsApp doesn't compress)
+ */
+async function handleDocumentMessage(message, phoneNumber, contactName) {
+  const { document } = message;
+  const mimeType = getReceiptDocumentType(document);
+
+  if (!mimeType) {
+    console.log(`ℹ️ Unsupported document ${document.filename || ''} (${document.mime_type})`);
     await WhatsAppService.sendMessage(phoneNumber, {
-      text: "📸 Got your receipt! Processing now... This may take a moment. ⏳"
+      text: "Sorry, I can't read that file. Please send your receipt as a PDF, JPEG, PNG or HEIC file, or as a photo! 📸"
     });
+    return;
+  }
 
-    // Process the receipt
-    const result = await ReceiptProcessor.processReceipt(mediaId, phoneNumber, {
-      caption,
+  console.log(`📑 Processing receipt document ${document.filename || document.id} (${mimeType}) from ${contactName}`);
+
+  await queueReceipt(phoneNumber, {
+    mediaId: document.id,
+    caption: document.caption || '',
+    contactName,
+    mimeType,
+    sentAt: getMessageTime(message)
+  });
+}
+
+/**
+ * Type of a document the receipt pipeline can read, or null. WhatsApp reports
+ * some files (HEIC in particular) as application/octet-stream, so the file
+ * name's extension is checked when the MIME type isn't one of ours.
+ * @param {Object} document - message.document ({ id, mime_type, filename, caption })
+ * @returns {string|null} MIME type
+ */
+function getReceiptDocumentType(document) {
+  const mimeType = (document.mime_type || '').split(';')[0].trim().toLowerCase();
+  if (RECEIPT_DOCUMENT_TYPES[mimeType]) return mimeType;
+
+  const extension = path.extname(document.filename || '').toLowerCase();
+  return Object.keys(RECEIPT_DOCUMENT_TYPES)
+    .find(type => RECEIPT_DOCUMENT_TYPES[type].includes(extension)) || null;
+}
+
+/**
+ * When a message was sent (WhatsApp gives Unix seconds), falling back to now
+ * @returns {string} ISO 8601 timestamp
+ */
+function getMessageTime(message) {
+  const seconds = parseInt(message.timestamp, 10);
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : new Date().toISOString();
+}
+
+/**
+ * Queue a receipt photo or document for processing and acknowledge it
+ * @param {string} phoneNumber - Sender's phone number
+ * @param {Object} media - { mediaId, caption, contactName, mimeType?, sentAt }
+ */
+async function queueReceipt(phoneNumber, { mediaId, caption, contactName, mimeType, sentAt }) {
+  try {
+    // Caption tags are checked before any work is done, so a typo can be fixed by resending
+    const captionTags = await CaptionParser.parse(caption, { phoneNumber });
+    if (captionTags.errors.length > 0) {
+      await sendCaptionErrors(phoneNumber, captionTags.errors);
+      return;
+    }
+
+    // The receipt is queued before it is acknowledged, so a crash or redeploy mid-OCR only delays it
+    await JobQueue.enqueue('whatsapp_receipt', {
+      mediaId,
+      phoneNumber,
       contactName,
-      timestamp: new Date().toISOString()
+      caption,
+      captionTags,
+      ...(mimeType ? { mimeType } : {}),
+      // When the photo was sent, not when its job runs: the stitch window is measured with it
+      timestamp: sentAt
     });
 
-    if (result.success) {
-      await sendReceiptResults(phoneNumber, result.data, contactName);
-    } else {
-      await WhatsAppService.sendMessage(phoneNumber, {
-        text: `❌ Sorry, I couldn't process that receipt. ${result.error || 'Please try again with a clearer image.'}`
-      });
-    }
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "📸 Got your receipt! Processing now... This may take a moment. ⏳"
+    });
   } catch (error) {
-    console.error('❌ Error handling image message:', error);
+    console.error('❌ Error handling receipt message:', error);
     await WhatsAppService.sendMessage(phoneNumber, {
       text: "❌ Oops! Something went wrong processing your receipt. Please try again."
     });
   }
 }
 
+/**
+ * Process a queued receipt photo or document and send the results. A failed run
+ * throws so the job is retried; the replies are sent only once the receipt is stored.
+ * A run aborted by the queue's timeout stops before storing anything.
+ * @param {Object} job - Job with payload { mediaId, phoneNumber, contactName, caption, captionTags, mimeType?, timestamp }
+ * @param {Object} options - { signal } from the job queue
+ */
+async function processReceiptJob(job, { signal } = {}) {
+  const { mediaId, phoneNumber, ...metadata } = job.payload;
+
+  const result = await ReceiptProcessor.processReceipt(mediaId, phoneNumber, metadata, { signal });
+  if (!result.success && !result.qualityIssues) {
+    throw new Error(result.error || 'Receipt processing failed');
+  }
+
+  // A reply that can't be sent must not process the receipt a second time
+  try {
+    if (result.success) {
+      await sendReceiptResults(phoneNumber, result.data, metadata.contactName);
+    } else if (metadata.mimeType) {
+      // Only document messages carry a MIME type; photo tips don't apply to a file
+      await sendUnreadableDocument(phoneNumber, result.qualityIssues);
+    } else {
+      await sendRetakeRequest(phoneNumber, result.qualityIssues);
+    }
+  } catch (error) {
+    console.error(`❌ Error sending results for job ${job.job_id}:`, error.message);
+  }
+}
+
+/**
+ * Tell the user a receipt couldn't be processed after every retry
+ */
+async function handleDeadReceiptJob(job, error) {
+  await WhatsAppService.sendMessage(job.payload.phoneNumber, {
+    text: `❌ Sorry, I couldn't process that receipt. ${error.message || 'Please try again with a clearer image.'}`
+  });
+}
+
+JobQueue.register({ type: 'whatsapp_receipt', run: processReceiptJob, onDead: handleDeadReceiptJob });
+
+/**
+ * Explain which caption tags couldn't be used; the receipt is not processed
+ */
+async function sendCaptionErrors(phoneNumber, errors) {
+  const details = errors.map(error => `• ${error.message}`).join('\n');
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: `🏷️ I didn't process this receipt because of its caption:\n\n${details}\n\nPlease send the receipt again with the caption fixed.`
+  });
+}
+
+/**
+ * Ask the user to retake a photo that failed the quality gate, with a tip per issue
+ */
+async function sendRetakeRequest(phoneNumber, issues) {
+  const details = issues
+    .map(issue => `• ${issue.message}\n  💡 ${issue.tip}`)
+    .join('\n\n');
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: `📷 I couldn't read that receipt clearly:\n\n${details}\n\nPlease retake the photo and send it again.`
+  });
+}
+
+/**
+ * Explain why a receipt sent as a document couldn't be read; there is no photo to retake
+ */
+async function sendUnreadableDocument(phoneNumber, issues) {
+  const details = issues.map(issue => `• ${issue.message}`).join('\n');
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: `📄 I couldn't read a receipt in that file:\n\n${details}\n\nPlease check it is the right receipt or invoice and send it again, or send a photo of the receipt instead.`
+  });
+}
+
 /**
  * Handle text messages
  */
 async function handleTextMessage(message, phoneNumber, contactName) {
-  const text = message.text.body.toLowerCase().trim();
+  const rawText = message.text.body.trim();
+  const text = rawText.toLowerCase();
   
   console.log(`💬 Text message from ${contactName}: "${text}"`);
 
-  if (text.includes('help') || text === '/help') {
-    await WhatsAppService.sendMessage(phoneNumber, {
-      text: `👋 Hi ${contactName}! I'm your receipt processing assistant.\n\n📸 Send me a photo of your receipt and I'll extract:\n• Total amount\n• Date & time\n• Merchant name\n• Tax information\n• Line items\n\nJust snap a photo and send it over! 🚀`
-    });
-  } else {
-    await WhatsAppService.sendMessage(phoneNumber, {
-      text: "📸 Please send me a photo of your receipt to get started!\n\nType 'help' if you need assistance."
-    });
+  // Replies that belong to an open correction session
+  const state = await ConversationState.getState(phoneNumber);
+  if (state?.type === 'receipt_correction') {
+    await handleCorrectionReply(state, rawText, phoneNumber, contactName);
+    return;
   }
+  if (state?.type === 'tip_confirmation') {
+    await handleTipReply(state, rawText, phoneNumber, contactName);
+    return;
+  }
+
+  // "list", "total this month", "delete 2", "help", ...
+  const reply = await CommandRouter.handle(rawText, { phoneNumber, contactName });
+  if (reply) {
+    await sendCommandReply(phoneNumber, reply);
+    return;
+  }
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: "📸 Please send me a photo of your receipt to get started!\n\nType 'help' if you need assistance."
+  });
+}
+
+/**
+ * Send a command's reply: its text, then any file it produced
+ */
+async function sendCommandReply(phoneNumber, reply) {
+  await WhatsAppService.sendMessage(phoneNumber, { text: reply.text });
+  if (!reply.document) return;
+
+  const { buffer, mimeType, fileName, caption } = reply.document;
+  const mediaId = await WhatsAppService.uploadMedia(buffer, mimeType, fileName);
+  await WhatsAppService.sendDocument(phoneNumber, { mediaId, fileName, caption });
 }
 
 /**
@@ -178,6 +453,18 @@ async function handleInteractiveMessage(message, phoneNumber, contactName) {
         await handleApproval(buttonId, phoneNumber, contactName);
       } else if (buttonId.startsWith('correct_')) {
         await handleCorrection(buttonId, phoneNumber, contactName);
+      } else if (buttonId.startsWith('keep_')) {
+        await handleKeepDuplicate(buttonId, phoneNumber, contactName);
+      } else if (buttonId.startsWith('discard_')) {
+        await handleDiscardDuplicate(buttonId, phoneNumber, contactName);
+      }
+    } else if (interactiveType === 'list_reply') {
+      const rowId = message.interactive.list_reply.id;
+
+      console.log(`📋 List option selected by ${contactName}: ${rowId}`);
+
+      if (rowId.startsWith('edit_')) {
+        await handleCorrectionFieldSelection(rowId, phoneNumber, contactName);
       }
     }
   } catch (error) {
@@ -192,83 +479,498 @@ async function sendReceiptResults(phoneNumber, receiptData, contactName) {
   try {
     const {
       merchant_name,
+      category,
       total_amount,
       tax_amount,
+      tax_lines,
+      tip_amount,
+      final_total,
       date,
       time,
       line_items,
-      receipt_id
+      receipt_id,
+      page_count,
+      currency,
+      locale,
+      project,
+      project_name,
+      tags,
+      billable,
+      split_count,
+      note
     } = receiptData;
+    const money = amount => CurrencyService.format(amount || '0', currency, locale);
 
     // Format the receipt data
     let message = `✅ Receipt processed successfully!\n\n`;
     message += `🏪 **${merchant_name || 'Unknown Merchant'}**\n`;
-    message += `💰 Total: $${total_amount || '0.00'}\n`;
-    if (tax_amount) message += `📊 Tax: $${tax_amount}\n`;
-    message += `📅 Date: ${date || 'Unknown'}\n`;
+    if (category) message += `🏷️ Category: ${category}\n`;
+    message += `💰 Total: ${money(total_amount)}\n`;
+    if (tip_amount !== null && tip_amount !== undefined) message += `💁 Tip: ${money(tip_amount)}\n`;
+    if (final_total && final_total !== total_amount) message += `🧾 Final total: ${money(final_total)}\n`;
+    if (tax_amount) message += `📊 Tax: ${money(tax_amount)}\n`;
+    if (tax_lines && (tax_lines.length > 1 || tax_lines[0]?.rate !== null)) {
+      tax_lines.forEach(line => {
+        message += `   • ${TaxParser.describe(line)}: ${money(line.amount)}\n`;
+      });
+    }
+    message += `📅 Date: ${LocaleParser.formatDate(date, locale) || 'Unknown'}\n`;
     if (time) message += `🕒 Time: ${time}\n`;
+    if (page_count > 1) message += `📄 Pages: ${page_count}\n`;
+    if (project) message += `🗂️ Project: ${project_name ? `${project} (${project_name})` : project}\n`;
+    if (tags?.length > 0) message += `#️⃣ Tags: ${tags.map(tag => `#${tag}`).join(' ')}\n`;
+    if (billable !== null && billable !== undefined) message += `💼 ${billable ? 'Billable' : 'Not billable'}\n`;
+    if (split_count > 1) {
+      const paidMinor = CurrencyService.getAmountPaidMinor(receiptData);
+      const share = paidMinor === null ? null : LocaleParser.fromMinorUnits(Math.round(paidMinor / split_count), currency);
+      message += `➗ Split ${split_count} ways${share ? `: ${money(share)} each` : ''}\n`;
+    }
+    if (note) message += `📝 Note: ${note}\n`;
     
     if (line_items && line_items.length > 0) {
       message += `\n📝 **Items:**\n`;
       line_items.slice(0, 5).forEach((item, index) => {
-        message += `${index + 1}. ${item.description || 'Item'} - $${item.amount || '0.00'}\n`;
+        message += `${index + 1}. ${LineItemParser.describe(item)} - ${money(item.amount)}\n`;
       });
       if (line_items.length > 5) {
         message += `... and ${line_items.length - 5} more items\n`;
       }
     }
 
-    await WhatsAppService.sendMessage(phoneNumber, { text: message });
-
-    // Send approval buttons
-    await WhatsAppService.sendInteractiveMessage(phoneNumber, {
-      type: 'button',
-      body: { text: 'Does this look correct?' },
-      action: {
-        buttons: [
-          {
-            type: 'reply',
-            reply: {
-              id: `approve_${receipt_id}`,
-              title: '✅ Approve'
-            }
-          },
-          {
-            type: 'reply',
-            reply: {
-              id: `correct_${receipt_id}`,
-              title: '✏️ Make Changes'
-            }
-          }
-        ]
-      }
-    });
+    const warnings = receiptData.warnings || [];
+    if (warnings.length > 0) {
+      message += `\n⚠️ **Please double-check:**\n`;
+      warnings.forEach(warning => {
+        message += `• ${warning.message}\n`;
+      });
+    }
+
+    await WhatsAppService.sendMessage(phoneNumber, { text: message }, { receiptId: receipt_id, purpose: 'receipt_summary' });
+
+    // Suspected duplicates are resolved first, then an unreadable tip; approval comes last
+    if (receiptData.duplicate_check?.status === 'suspected') {
+      await sendDuplicateWarning(phoneNumber, receiptData);
+    } else if (needsTipConfirmation(receiptData)) {
+      await sendTipPrompt(phoneNumber, receiptData);
+    } else {
+      await sendApprovalButtons(phoneNumber, receipt_id);
+    }
   } catch (error) {
     console.error('❌ Error sending receipt results:', error);
   }
 }
 
+/**
+ * Send the approve / make changes buttons for a receipt
+ */
+async function sendApprovalButtons(phoneNumber, receiptId) {
+  await WhatsAppService.sendInteractiveMessage(phoneNumber, {
+    type: 'button',
+    body: { text: 'Does this look correct?' },
+    action: {
+      buttons: [
+        {
+          type: 'reply',
+          reply: {
+            id: `approve_${receiptId}`,
+            title: '✅ Approve'
+          }
+        },
+        {
+          type: 'reply',
+          reply: {
+            id: `correct_${receiptId}`,
+            title: '✏️ Make Changes'
+          }
+        }
+      ]
+    }
+  }, { receiptId, purpose: 'approval' });
+}
+
+/**
+ * Warn that a receipt looks like one sent before and offer keep/discard buttons
+ */
+async function sendDuplicateWarning(phoneNumber, receiptData) {
+  const original = receiptData.duplicate_check.duplicate_of;
+  const sentOn = new Date(original.sent_at).toLocaleDateString();
+
+  await WhatsAppService.sendInteractiveMessage(phoneNumber, {
+    type: 'button',
+    body: {
+      text: `⚠️ This looks like a receipt you sent on ${sentOn}. Keep it anyway, or discard this copy so it isn't counted twice?`
+    },
+    action: {
+      buttons: [
+        {
+          type: 'reply',
+          reply: {
+            id: `keep_${receiptData.receipt_id}`,
+            title: '📌 Keep'
+          }
+        },
+        {
+          type: 'reply',
+          reply: {
+            id: `discard_${receiptData.receipt_id}`,
+            title: '🗑️ Discard'
+          }
+        }
+      ]
+    }
+  }, { receiptId: receiptData.receipt_id, purpose: 'duplicate_warning' });
+}
+
 /**
  * Handle receipt approval
  */
 async function handleApproval(buttonId, phoneNumber, contactName) {
   const receiptId = buttonId.replace('approve_', '');
+  console.log(`✅ Approval requested for receipt ${receiptId} by ${contactName}`);
+
+  const receipt = await loadOwnedReceipt(receiptId, phoneNumber, 'approve');
+  if (!receipt) return;
+
+  // Tapping the button twice must not create a second approval
+  if (receipt.status === 'approved') {
+    console.log(`ℹ️ Receipt ${receiptId} was already approved`);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `👍 This receipt was already approved on ${new Date(receipt.approved_at).toLocaleString()}. No changes made.`
+    });
+    return;
+  }
+
+  await StorageService.updateReceiptStatus(receiptId, 'approved', {
+    approved_by: phoneNumber,
+    approved_by_name: contactName,
+    approved_at: new Date().toISOString()
+  });
+
+  // Approving closes any editing session still open for this receipt
+  const state = await ConversationState.getState(phoneNumber);
+  if (state?.type === 'receipt_correction' && state.receipt_id === receiptId) {
+    await ConversationState.clearState(phoneNumber);
+  }
+
   console.log(`✅ Receipt ${receiptId} approved by ${contactName}`);
-  
+
   await WhatsAppService.sendMessage(phoneNumber, {
     text: `✅ Great! Your receipt has been approved and saved.\n\n📊 You can now export it to your accounting system or send another receipt! 🚀`
   });
 }
 
 /**
- * Handle correction request
+ * Keep a receipt flagged as a possible duplicate, then continue with approval
+ */
+async function handleKeepDuplicate(buttonId, phoneNumber, contactName) {
+  const receiptId = buttonId.replace('keep_', '');
+  console.log(`📌 Keeping possible duplicate ${receiptId} for ${contactName}`);
+
+  const receipt = await loadOwnedReceipt(receiptId, phoneNumber, 'keep');
+  if (!receipt) return;
+
+  if (receipt.duplicate_check?.status === 'suspected') {
+    await StorageService.updateReceiptStatus(receiptId, receipt.status, {
+      duplicate_check: {
+        ...receipt.duplicate_check,
+        status: 'kept',
+        resolved_by: phoneNumber,
+        resolved_at: new Date().toISOString()
+      }
+    });
+  }
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: "📌 Got it, I'll keep this receipt as a separate expense."
+  });
+  if (needsTipConfirmation(receipt)) {
+    await sendTipPrompt(phoneNumber, receipt);
+  } else {
+    await sendApprovalButtons(phoneNumber, receiptId);
+  }
+}
+
+function needsTipConfirmation(receipt) {
+  return receipt.tip_status === 'unreadable' || receipt.tip_status === 'mismatch';
+}
+
+/**
+ * Ask the user for the tip when the handwritten part couldn't be read or doesn't add up
+ */
+async function sendTipPrompt(phoneNumber, receipt) {
+  await ConversationState.setState(phoneNumber, {
+    type: 'tip_confirmation',
+    receipt_id: receipt.receipt_id,
+    // Typed amounts are read the way the receipt was
+    locale: receipt.locale,
+    currency: receipt.currency
+  });
+
+  const money = amount => CurrencyService.format(amount, receipt.currency, receipt.locale);
+  const question = receipt.tip_status === 'mismatch'
+    ? `✍️ The tip (${money(receipt.tip_amount)}) and the final total (${money(receipt.final_total)}) written on the receipt don't add up to the total of ${money(receipt.total_amount)}.`
+    : "✍️ I couldn't read the tip written on the receipt.";
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: `${question}\n\nHow much did you tip? Reply with the amount, e.g. "8.00", or 0 for no tip.\n\nType 'skip' to leave it for now.`
+  }, { receiptId: receipt.receipt_id, purpose: 'tip_prompt' });
+}
+
+/**
+ * Handle the user's reply to the tip question
+ */
+async function handleTipReply(state, rawText, phoneNumber, contactName) {
+  if (rawText.toLowerCase() === 'skip') {
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "👌 I'll leave the tip as it is. You can set it later with ✏️ Make Changes."
+    });
+    await sendApprovalButtons(phoneNumber, state.receipt_id);
+    return;
+  }
+
+  const { hint } = ReceiptEditor.getEditableFields().tip_amount;
+  const result = ReceiptEditor.validateField('tip_amount', rawText, {
+    locale: state.locale,
+    currency: state.currency
+  });
+
+  if (!result.valid) {
+    // Keep the question open (and refresh its timeout) so the user can try again
+    await ConversationState.setState(phoneNumber, state);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `❌ ${result.error}.\n\n${hint}\n\nType 'skip' to leave it for now.`
+    });
+    return;
+  }
+
+  try {
+    const updated = await ReceiptEditor.applyCorrection(state.receipt_id, 'tip_amount', result.value, phoneNumber);
+    const money = amount => CurrencyService.format(amount || '0', updated.currency, updated.locale);
+
+    console.log(`💁 ${contactName} confirmed a tip of ${updated.tip_amount} on receipt ${state.receipt_id}`);
+
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `✅ Tip saved: ${money(updated.tip_amount)}\n🧾 Final total: ${money(updated.final_total)}`
+    });
+    await sendApprovalButtons(phoneNumber, state.receipt_id);
+  } catch (error) {
+    console.error('❌ Error saving tip:', error);
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "❌ Sorry, I couldn't save the tip. Please tap ✏️ Make Changes and set it there."
+    });
+  }
+}
+
+/**
+ * Discard a receipt flagged as a possible duplicate
+ */
+async function handleDiscardDuplicate(buttonId, phoneNumber, contactName) {
+  const receiptId = buttonId.replace('discard_', '');
+  console.log(`🗑️ Discarding duplicate ${receiptId} for ${contactName}`);
+
+  const receipt = await loadOwnedReceipt(receiptId, phoneNumber, 'discard');
+  if (!receipt) return;
+
+  if (receipt.status === 'approved') {
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: '❌ This receipt has already been approved, so it can no longer be discarded here.'
+    });
+    return;
+  }
+
+  await StorageService.deleteReceipt(receiptId);
+
+  const state = await ConversationState.getState(phoneNumber);
+  if (state?.type === 'receipt_correction' && state.receipt_id === receiptId) {
+    await ConversationState.clearState(phoneNumber);
+  }
+
+  await WhatsAppService.sendMessage(phoneNumber, {
+    text: '🗑️ Discarded. Your earlier receipt is unchanged.'
+  });
+}
+
+/**
+ * Handle correction request - opens a correction session for the receipt
  */
 async function handleCorrection(buttonId, phoneNumber, contactName) {
   const receiptId = buttonId.replace('correct_', '');
   console.log(`✏️ Correction requested for receipt ${receiptId} by ${contactName}`);
-  
+
+  const receipt = await loadOwnedReceipt(receiptId, phoneNumber, 'change');
+  if (!receipt) return;
+
+  await ConversationState.setState(phoneNumber, {
+    type: 'receipt_correction',
+    step: 'select_field',
+    receipt_id: receiptId
+  });
+
+  await sendCorrectionFieldList(phoneNumber, `✏️ What would you like to change on the ${receipt.merchant_name || 'receipt'} receipt?`);
+}
+
+/**
+ * Load a receipt and make sure it belongs to the phone number acting on it.
+ * Replies to the user and returns null when the receipt can't be used.
+ */
+async function loadOwnedReceipt(receiptId, phoneNumber, action) {
+  let receipt;
+  try {
+    receipt = await StorageService.loadReceipt(receiptId);
+  } catch (error) {
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "❌ I couldn't find that receipt anymore. Please send the photo again. 📸"
+    });
+    return null;
+  }
+
+  if (receipt.phone_number !== phoneNumber) {
+    console.log(`🚫 ${phoneNumber} tried to ${action} receipt ${receiptId} owned by another number`);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `❌ You can only ${action} receipts you sent yourself.`
+    });
+    return null;
+  }
+
+  return receipt;
+}
+
+/**
+ * Handle the field picked from the correction list
+ */
+async function handleCorrectionFieldSelection(rowId, phoneNumber, contactName) {
+  const state = await ConversationState.getState(phoneNumber);
+
+  if (state?.type !== 'receipt_correction') {
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "⌛ That editing session has expired. Tap ✏️ Make Changes on the receipt again to continue."
+    });
+    return;
+  }
+
+  const field = rowId.replace('edit_', '');
+
+  if (field === 'done') {
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "👍 All done! Your changes have been saved."
+    });
+    return;
+  }
+
+  if (!ReceiptEditor.isEditableField(field)) {
+    await sendCorrectionFieldList(phoneNumber, "🤔 I can't edit that field. Please pick one from the list.");
+    return;
+  }
+
+  const receipt = await StorageService.loadReceipt(state.receipt_id);
+  const { label, hint } = ReceiptEditor.getEditableFields()[field];
+
+  await ConversationState.setState(phoneNumber, {
+    ...state,
+    step: 'await_value',
+    field,
+    // Typed amounts and dates are read the way the receipt was
+    locale: receipt.locale,
+    currency: receipt.currency
+  });
+
+  console.log(`✏️ ${contactName} is editing ${field} on receipt ${state.receipt_id}`);
+
   await WhatsAppService.sendMessage(phoneNumber, {
-    text: `✏️ I'd love to help you make corrections! This feature is coming soon.\n\nFor now, please send a new photo if the receipt wasn't captured correctly. 📸`
+    text: `✏️ Current ${label}: ${ReceiptEditor.formatValue(field, receipt[field])}\n\n${hint}\n\nType 'cancel' to stop editing.`
+  });
+}
+
+/**
+ * Handle a text reply while a correction session is open
+ */
+async function handleCorrectionReply(state, rawText, phoneNumber, contactName) {
+  if (rawText.toLowerCase() === 'cancel') {
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "👌 Editing cancelled. Changes you already saved are kept."
+    });
+    return;
+  }
+
+  if (state.step !== 'await_value') {
+    await sendCorrectionFieldList(phoneNumber, '👇 Please pick the field you want to change, or choose Done.');
+    return;
+  }
+
+  const { label, hint } = ReceiptEditor.getEditableFields()[state.field];
+  const result = ReceiptEditor.validateField(state.field, rawText, {
+    locale: state.locale,
+    currency: state.currency
+  });
+
+  if (!result.valid) {
+    // Keep the session open (and refresh its timeout) so the user can try again
+    await ConversationState.setState(phoneNumber, state);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `❌ ${result.error}.\n\n${hint}\n\nType 'cancel' to stop editing.`
+    });
+    return;
+  }
+
+  try {
+    const updated = await ReceiptEditor.applyCorrection(state.receipt_id, state.field, result.value, phoneNumber);
+    const { old_value, new_value } = updated.last_correction.changes[0];
+
+    console.log(`✅ ${contactName} corrected ${state.field} on receipt ${state.receipt_id}`);
+
+    await ConversationState.setState(phoneNumber, {
+      type: 'receipt_correction',
+      step: 'select_field',
+      receipt_id: state.receipt_id
+    });
+
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: `✅ ${label} updated.\n\nBefore: ${ReceiptEditor.formatValue(state.field, old_value)}\nNow: ${ReceiptEditor.formatValue(state.field, new_value)}`
+    });
+
+    await sendCorrectionFieldList(phoneNumber, 'Anything else to change?');
+  } catch (error) {
+    console.error('❌ Error applying correction:', error);
+    await ConversationState.clearState(phoneNumber);
+    await WhatsAppService.sendMessage(phoneNumber, {
+      text: "❌ Sorry, I couldn't save that change. Please tap ✏️ Make Changes and try again."
+    });
+  }
+}
+
+/**
+ * Send the list of editable receipt fields
+ */
+async function sendCorrectionFieldList(phoneNumber, bodyText) {
+  const fields = ReceiptEditor.getEditableFields();
+
+  await WhatsAppService.sendInteractiveMessage(phoneNumber, {
+    type: 'list',
+    body: { text: bodyText },
+    action: {
+      button: 'Choose field',
+      sections: [
+        {
+          title: 'Receipt fields',
+          rows: [
+            ...Object.entries(fields).map(([field, { label }]) => ({
+              id: `edit_${field}`,
+              title: label
+            })),
+            {
+              id: 'edit_done',
+              title: '✅ Done',
+              description: 'Finish editing this receipt'
+            }
+          ]
+        }
+      ]
+    }
   });
 }
 
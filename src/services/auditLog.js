@@ -0,0 +1,33 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class AuditLogService {
+  constructor() {
+    this.dir = process.env.AUDIT_LOG_DIR || path.join(process.cwd(), 'storage', 'audit');
+  }
+
+  /**
+   * Append a security event to the day's audit log (one JSON object per line)
+   * @param {string} event - Event name, e.g. 'webhook_signature_rejected'
+   * @param {Object} details - What happened and who sent it
+   * @returns {Promise<Object|null>} The entry written, or null if it couldn't be
+   */
+  async record(event, details = {}) {
+    const entry = { event, timestamp: new Date().toISOString(), ...details };
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this.getLogPath(entry.timestamp), `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      console.error(`❌ Error writing audit log entry ${event}:`, error.message);
+      return null;
+    }
+  }
+
+  getLogPath(timestamp) {
+    return path.join(this.dir, `audit_${timestamp.slice(0, 10)}.jsonl`);
+  }
+}
+
+module.exports = new AuditLogService();
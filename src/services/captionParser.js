@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ReceiptStitcher = require('./receiptStitcher');
+const ExpenseCategorizer = require('./expenseCategorizer');
+
+// "#client-acme", "project:Q4", "note:"lunch with Bob"", or any other word
+const CAPTION_TOKEN = /#([\p{L}\p{N}_-]+)|(\p{L}[\p{L}\p{N}_-]*):\s*("[^"]*"|[^\s"]+)|(\S+)/gu;
+
+// Other names for the keys the parser understands
+const KEY_ALIASES = {
+  project: 'project',
+  proj: 'project',
+  job: 'project',
+  category: 'category',
+  cat: 'category',
+  split: 'split',
+  billable: 'billable',
+  reimbursable: 'reimbursable',
+  note: 'note'
+};
+
+// Words that set a flag on their own
+const FLAG_WORDS = {
+  billable: { billable: true },
+  'non-billable': { billable: false },
+  nonbillable: { billable: false },
+  reimbursable: { reimbursable: true },
+  personal: { reimbursable: false }
+};
+
+const YES = ['yes', 'y', 'true', '1'];
+const NO = ['no', 'n', 'false', '0'];
+
+class CaptionParser {
+  constructor() {
+    this.projectsFile = process.env.PROJECTS_FILE ||
+      path.join(process.cwd(), 'storage', 'projects.json');
+    this.maxSplit = 50;
+  }
+
+  /**
+   * Parse the commands in a receipt caption: hashtags, key:value tags,
+   * project codes, flags and a free-text note, e.g.
+   * "#client-acme project:Q4 billable split:3 lunch with the Acme team"
+   * @param {string} caption - Caption as sent
+   * @param {Object} context - { phoneNumber, tenantId } of the sender, for their team's projects
+   * @returns {Promise<Object>} { tags, project, project_name, category, billable,
+   *   reimbursable, split_count, custom_fields, note, errors }
+   */
+  async parse(caption, context = {}) {
+    const result = {
+      tags: [],
+      project: null,
+      project_name: null,
+      category: null,
+      billable: null,
+      reimbursable: null,
+      split_count: null,
+      custom_fields: {},
+      note: null,
+      errors: []
+    };
+
+    const text = String(caption || '').trim();
+    // "continued" only says which receipt the photo belongs to
+    if (!text || ReceiptStitcher.isContinuationCaption(text)) return result;
+
+    const projects = await this.getProjects(context);
+    const noteWords = [];
+
+    for (const match of text.matchAll(CAPTION_TOKEN)) {
+      const [token, hashtag, rawKey, rawValue, word] = match;
+
+      if (hashtag) {
+        const tag = hashtag.toLowerCase();
+        if (!result.tags.includes(tag)) result.tags.push(tag);
+
+        // "#Q4" names a project when there is one with that code; "#travel" a category
+        const project = this.findProject(projects, hashtag);
+        if (project && !result.project) this.setProject(result, project);
+        else if (!result.category) result.category = ExpenseCategorizer.normalizeCategory(hashtag);
+        continue;
+      }
+
+      if (rawKey) {
+        const key = KEY_ALIASES[rawKey.toLowerCase()];
+        const quoted = rawValue.startsWith('"');
+        const value = rawValue.replace(/^"|"$/g, '').trim();
+
+        if (key === 'note') {
+          // An unquoted note runs to the end of the caption
+          noteWords.push(quoted ? value : text.slice(match.index + token.length - rawValue.length).trim());
+          if (quoted) continue;
+          break;
+        }
+        if (key) {
+          this.applyKey(result, key, value, projects);
+        } else if (/:\s/.test(token)) {
+          // "Lunch: team offsite" is part of the note, not a tag
+          noteWords.push(token);
+        } else {
+          result.custom_fields[rawKey.toLowerCase()] = value;
+        }
+        continue;
+      }
+
+      const flag = FLAG_WORDS[word.toLowerCase()];
+      if (flag) {
+        Object.assign(result, flag);
+      } else {
+        noteWords.push(word);
+      }
+    }
+
+    result.note = noteWords.join(' ').trim() || null;
+    return result;
+  }
+
+  /**
+   * Set the field for a known key, recording an error when its value can't be used
+   */
+  applyKey(result, key, value, projects) {
+    switch (key) {
+      case 'project': {
+        const project = this.findProject(projects, value);
+        if (project) {
+          this.setProject(result, project);
+        } else if (projects.length === 0) {
+          // Without a project list every code is accepted
+          result.project = value;
+        } else {
+          result.errors.push({
+            code: 'unknown_project',
+            message: `Unknown project "${value}". Known projects: ${projects.map(p => p.code).join(', ')}`
+          });
+        }
+        break;
+      }
+
+      case 'category': {
+        const category = ExpenseCategorizer.normalizeCategory(value);
+        if (category) {
+          result.category = category;
+        } else {
+          result.errors.push({
+            code: 'unknown_category',
+            message: `Unknown category "${value}". Categories: ${ExpenseCategorizer.categories.join(', ')}`
+          });
+        }
+        break;
+      }
+
+      case 'split': {
+        const count = Number(value);
+        if (Number.isInteger(count) && count >= 1 && count <= this.maxSplit) {
+          result.split_count = count;
+        } else {
+          result.errors.push({
+            code: 'invalid_split',
+            message: `"split:${value}" should be the number of people sharing the bill (1-${this.maxSplit})`
+          });
+        }
+        break;
+      }
+
+      case 'billable':
+      case 'reimbursable': {
+        const answer = value.toLowerCase();
+        if (YES.includes(answer) || NO.includes(answer)) {
+          result[key] = YES.includes(answer);
+        } else {
+          result.errors.push({
+            code: `invalid_${key}`,
+            message: `"${key}:${value}" should be yes or no`
+          });
+        }
+        break;
+      }
+    }
+  }
+
+  setProject(result, project) {
+    result.project = project.code;
+    result.project_name = project.name || null;
+  }
+
+  findProject(projects, code) {
+    const wanted = String(code).toLowerCase();
+    return projects.find(project => project.code.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * The project codes a sender may use: every project without a team, plus
+   * their team's. Read on each call so edits to the file apply straight away.
+   * @param {Object} context - { phoneNumber, tenantId }
+   * @returns {Promise<Array<Object>>} Projects: { code, name, team }
+   */
+  async getProjects(context = {}) {
+    let projects = [];
+    try {
+      projects = JSON.parse(await fs.readFile(this.projectsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Error reading projects file, accepting any project code:', error.message);
+      }
+      return [];
+    }
+
+    const teamId = ExpenseCategorizer.getTeamId(context.phoneNumber, context.tenantId);
+    return (Array.isArray(projects) ? projects : [])
+      .filter(project => project?.code && (!project.team || project.team === teamId));
+  }
+
+  /**
+   * Receipt fields for a parsed caption (everything but the category and errors)
+   */
+  toReceiptFields({ tags, project, project_name, billable, reimbursable, split_count, custom_fields, note }) {
+    return { tags, project, project_name, billable, reimbursable, split_count, custom_fields, note };
+  }
+}
+
+module.exports = new CaptionParser();
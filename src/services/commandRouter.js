@@ -0,0 +1,600 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageService = require('./storage');
+const ReceiptEditor = require('./receiptEditor');
+const UserSettings = require('./userSettings');
+const LocaleParser = require('./localeParser');
+const CurrencyService = require('./currency');
+const MerchantDirectory = require('./merchantDirectory');
+const ExpenseCategorizer = require('./expenseCategorizer');
+
+const STATUS_ICONS = {
+  pending_approval: '⏳',
+  corrected: '✏️',
+  approved: '✅',
+  rejected: '❌'
+};
+
+/**
+ * Text commands users can send the bot.
+ *
+ * Every command has:
+ *   name         - what the user types first
+ *   aliases      - other words for it
+ *   usage        - arguments, for the help text
+ *   description  - one line for the help text
+ *   run(args, context) - resolves to a reply: { text, document? }
+ *
+ * The first word is matched to a command name or alias, allowing a typo or two.
+ */
+class CommandRouter {
+  constructor() {
+    this.commands = new Map();
+    this.undoDir = path.join(process.cwd(), 'storage', 'undo');
+    // Actions kept per user for "undo"
+    this.maxUndo = 10;
+    this.defaultListSize = 5;
+    this.maxListSize = 20;
+
+    this.register({
+      name: 'list',
+      aliases: ['receipts', 'ls'],
+      usage: '[n]',
+      description: 'Your latest receipts',
+      run: (args, context) => this.list(args, context)
+    });
+    this.register({
+      name: 'last',
+      aliases: ['latest'],
+      usage: '',
+      description: 'Your most recent receipt',
+      run: (args, context) => this.show(['1'], context)
+    });
+    this.register({
+      name: 'show',
+      aliases: ['view', 'details'],
+      usage: '<id>',
+      description: 'One receipt in full (number from the list, or ID)',
+      run: (args, context) => this.show(args, context)
+    });
+    this.register({
+      name: 'total',
+      aliases: ['sum', 'spent'],
+      usage: '[this month|last month|this week|today|this year|YYYY-MM|all]',
+      description: 'What you spent, in your home currency',
+      run: (args, context) => this.total(args, context)
+    });
+    this.register({
+      name: 'delete',
+      aliases: ['remove', 'del'],
+      usage: '<id>',
+      description: 'Delete a receipt (undo brings it back)',
+      run: (args, context) => this.delete(args, context)
+    });
+    this.register({
+      name: 'export',
+      aliases: ['csv'],
+      usage: '[period]',
+      description: 'Your receipts as a CSV file',
+      run: (args, context) => this.export(args, context)
+    });
+    this.register({
+      name: 'category',
+      aliases: ['cat'],
+      usage: '[id] <name>',
+      description: 'Set a receipt\'s category (the latest one without an ID)',
+      run: (args, context) => this.setCategory(args, context)
+    });
+    this.register({
+      name: 'undo',
+      aliases: [],
+      usage: '',
+      description: 'Undo your last delete or category change',
+      run: (args, context) => this.undo(args, context)
+    });
+    this.register({
+      name: 'settings',
+      aliases: ['preferences', 'prefs'],
+      usage: '[locale <code>]',
+      description: 'Show or change your settings',
+      run: (args, context) => this.settings(args, context)
+    });
+    this.register({
+      name: 'locale',
+      aliases: [],
+      usage: '[code|auto]',
+      description: 'How dates and amounts are read, e.g. de-DE',
+      run: (args, context) => this.locale(args, context)
+    });
+    this.register({
+      name: 'help',
+      aliases: ['commands', 'menu', '?'],
+      usage: '[command]',
+      description: 'This list, or how to use one command',
+      run: (args, context) => this.help(args, context)
+    });
+  }
+
+  /**
+   * Register (or replace) a command
+   * @param {Object} command - Command with name, aliases, usage, description and run()
+   */
+  register(command) {
+    if (!command?.name || typeof command.run !== 'function') {
+      throw new Error('Commands need a name and a run() method');
+    }
+    this.commands.set(command.name, { aliases: [], usage: '', description: '', ...command });
+  }
+
+  /**
+   * Run the command a text message asks for
+   * @param {string} text - Message text
+   * @param {Object} context - { phoneNumber, contactName }
+   * @returns {Promise<Object|null>} Reply ({ text, document? }), or null when the message isn't a command
+   */
+  async handle(text, context) {
+    const matched = this.match(text);
+    if (!matched) return null;
+
+    console.log(`⌨️ Command "${matched.command.name}" from ${context.phoneNumber}${matched.typed !== matched.command.name ? ` (typed "${matched.typed}")` : ''}`);
+
+    const reply = await matched.command.run(matched.args, context);
+    if (matched.fuzzy) {
+      reply.text = `(Reading "${matched.typed}" as "${matched.command.name}")\n\n${reply.text}`;
+    }
+    return reply;
+  }
+
+  /**
+   * Find the command for a message: the first word is a command name or
+   * alias, or a typo away from exactly one of them ("lsit", "delte")
+   * @returns {Object|null} { command, args, typed, fuzzy }
+   */
+  match(text) {
+    const [first = '', ...args] = String(text || '').trim().split(/\s+/);
+    const typed = first.toLowerCase().replace(/^\//, '');
+    if (!typed) return null;
+
+    const names = [...this.commands.values()].flatMap(command =>
+      [command.name, ...command.aliases].map(name => ({ name, command })));
+
+    const exact = names.find(({ name }) => name === typed);
+    if (exact) return { command: exact.command, args, typed, fuzzy: false };
+
+    // Short words are too easily a different word ("can" is not "cat")
+    if (typed.length >= 4) {
+      const allowed = typed.length <= 5 ? 1 : 2;
+      const close = names
+        .filter(({ name }) => name.length >= 4)
+        .map(({ name, command }) => ({ command, distance: this.typoDistance(typed, name) }))
+        .filter(({ distance }) => distance <= allowed)
+        .sort((a, b) => a.distance - b.distance);
+
+      const best = close.filter(({ distance }) => distance === close[0]?.distance);
+      if (best.length > 0 && best.every(({ command }) => command === best[0].command)) {
+        return { command: best[0].command, args, typed, fuzzy: true };
+      }
+    }
+
+    // "can you help?" still gets the help text
+    if (/\bhelp\b/i.test(text)) {
+      return { command: this.commands.get('help'), args: [], typed: 'help', fuzzy: false };
+    }
+    return null;
+  }
+
+  /**
+   * Edit distance that counts two swapped letters ("lsit") as one typo
+   */
+  typoDistance(typed, name) {
+    if (typed.length === name.length) {
+      const diffs = [...typed].map((char, i) => (char === name[i] ? -1 : i)).filter(i => i >= 0);
+      if (diffs.length === 2 && diffs[1] === diffs[0] + 1 &&
+          typed[diffs[0]] === name[diffs[1]] && typed[diffs[1]] === name[diffs[0]]) {
+        return 1;
+      }
+    }
+    return MerchantDirectory.editDistance(typed, name);
+  }
+
+  /**
+   * Help text listing every registered command, or how to use one of them
+   */
+  help(args, context) {
+    const wanted = args[0] && this.match(args[0]);
+    if (wanted) {
+      const { command } = wanted;
+      const aliases = command.aliases.length > 0 ? `\nAlso: ${command.aliases.join(', ')}` : '';
+      return { text: `ℹ️ ${command.name} ${command.usage}`.trim() + `\n${command.description}${aliases}` };
+    }
+
+    const lines = [...this.commands.values()]
+      .map(command => `• ${`${command.name} ${command.usage}`.trim()} - ${command.description}`);
+
+    return {
+      text: `👋 Hi ${context.contactName || 'there'}! I'm your receipt processing assistant.\n\n` +
+        '📸 Send me a photo of your receipt and I\'ll extract the merchant, total, date, tax, category and line items.\n\n' +
+        '🏷️ Add a caption to tag it, e.g. "#client-acme project:Q4 billable split:3 team lunch".\n\n' +
+        `⌨️ Commands:\n${lines.join('\n')}\n\n` +
+        'Receipts are numbered as in "list" (1 is the latest), or use the ID shown next to them.'
+    };
+  }
+
+  async list(args, context) {
+    const requested = parseInt(args[0], 10);
+    const count = Math.min(Number.isInteger(requested) && requested > 0 ? requested : this.defaultListSize, this.maxListSize);
+    const receipts = await StorageService.getReceiptsByPhone(context.phoneNumber);
+
+    if (receipts.length === 0) {
+      return { text: '📭 You haven\'t sent any receipts yet. Send me a photo to get started! 📸' };
+    }
+
+    const lines = receipts.slice(0, count).map((receipt, index) => `${index + 1}. ${this.describeShort(receipt)}`);
+    const more = receipts.length > count ? `\n\n...and ${receipts.length - count} older. Send "list ${Math.min(receipts.length, this.maxListSize)}" to see more.` : '';
+
+    return { text: `🧾 Your latest receipts:\n\n${lines.join('\n')}${more}\n\nSend "show 1" for details.` };
+  }
+
+  async show(args, context) {
+    const { receipt, error } = await this.findReceipt(args[0], context.phoneNumber);
+    if (error) return { text: error };
+
+    const money = amount => CurrencyService.format(amount || '0', receipt.currency, receipt.locale);
+    const lines = [
+      `🏪 ${receipt.merchant_name || 'Unknown Merchant'}`,
+      receipt.category ? `🏷️ Category: ${receipt.category}` : null,
+      `💰 Total: ${money(receipt.total_amount)}`,
+      receipt.final_total && receipt.final_total !== receipt.total_amount ? `🧾 Final total: ${money(receipt.final_total)}` : null,
+      receipt.tax_amount ? `📊 Tax: ${money(receipt.tax_amount)}` : null,
+      `📅 Date: ${LocaleParser.formatDate(receipt.date, receipt.locale) || 'Unknown'}`,
+      receipt.payment_method ? `💳 ${receipt.payment_method}` : null,
+      receipt.project ? `🗂️ Project: ${receipt.project}` : null,
+      receipt.tags?.length > 0 ? `#️⃣ Tags: ${receipt.tags.map(tag => `#${tag}`).join(' ')}` : null,
+      receipt.note ? `📝 Note: ${receipt.note}` : null,
+      receipt.line_items?.length > 0 ? `📝 Items: ${receipt.line_items.length}` : null,
+      `${STATUS_ICONS[receipt.status] || '•'} Status: ${(receipt.status || 'unknown').replace(/_/g, ' ')}`,
+      ...(receipt.warnings || []).map(warning => `⚠️ ${warning.message}`),
+      `🆔 ${this.shortId(receipt)}`
+    ];
+
+    return { text: lines.filter(Boolean).join('\n') };
+  }
+
+  async total(args, context) {
+    const period = this.parsePeriod(args);
+    if (period.error) return { text: period.error };
+
+    const receipts = (await StorageService.getReceiptsByPhone(context.phoneNumber))
+      .filter(receipt => this.inPeriod(receipt, period))
+      // Suspected duplicates are left out until the user keeps them, as in the stats
+      .filter(receipt => receipt.duplicate_check?.status !== 'suspected');
+
+    if (receipts.length === 0) {
+      return { text: `📭 No receipts ${period.label}.` };
+    }
+
+    const home = CurrencyService.homeCurrency;
+    const perCurrency = {};
+    let homeMinor = 0;
+    let unconverted = 0;
+
+    for (const receipt of receipts) {
+      const currency = receipt.currency || CurrencyService.defaultCurrency;
+      const amountMinor = CurrencyService.getAmountPaidMinor(receipt);
+      if (amountMinor === null) continue;
+
+      perCurrency[currency] = (perCurrency[currency] || 0) + amountMinor;
+      const converted = CurrencyService.convert(amountMinor, currency, home, receipt.date);
+      if (converted) {
+        homeMinor += converted.amount_minor;
+      } else {
+        unconverted++;
+      }
+    }
+
+    const locale = receipts[0].locale;
+    let text = `💰 Spent ${period.label}: ${CurrencyService.format(LocaleParser.fromMinorUnits(homeMinor, home), home, locale)} across ${receipts.length} receipt${receipts.length === 1 ? '' : 's'}`;
+
+    const currencies = Object.keys(perCurrency);
+    if (currencies.length > 1 || (currencies.length === 1 && currencies[0] !== home)) {
+      text += '\n' + currencies
+        .map(currency => `   • ${currency}: ${CurrencyService.format(LocaleParser.fromMinorUnits(perCurrency[currency], currency), currency, locale)}`)
+        .join('\n');
+    }
+    if (unconverted > 0) {
+      text += `\n\n⚠️ ${unconverted} receipt${unconverted === 1 ? ' has' : 's have'} no exchange rate to ${home} for ${unconverted === 1 ? 'its' : 'their'} date and ${unconverted === 1 ? 'is' : 'are'} left out of the total.`;
+    }
+
+    return { text };
+  }
+
+  async delete(args, context) {
+    if (!args[0]) return { text: '❓ Which receipt? Send e.g. "delete 1" (the number from "list").' };
+
+    const { receipt, error } = await this.findReceipt(args[0], context.phoneNumber);
+    if (error) return { text: error };
+
+    // Approved receipts may already be in someone's books
+    if (receipt.status === 'approved') {
+      return { text: '❌ This receipt has already been approved, so it can no longer be deleted here.' };
+    }
+
+    await StorageService.trashReceipt(receipt.receipt_id);
+    await this.pushUndo(context.phoneNumber, { type: 'delete', receipt_id: receipt.receipt_id });
+
+    return { text: `🗑️ Deleted ${this.describeShort(receipt)}\n\nSend "undo" to bring it back.` };
+  }
+
+  async export(args, context) {
+    const period = this.parsePeriod(args.length > 0 ? args : ['all']);
+    if (period.error) return { text: period.error };
+
+    const receipts = (await StorageService.getReceiptsByPhone(context.phoneNumber))
+      .filter(receipt => this.inPeriod(receipt, period));
+
+    if (receipts.length === 0) {
+      return { text: `📭 No receipts ${period.label} to export.` };
+    }
+
+    const csv = await StorageService.exportToCSV(receipts);
+    return {
+      text: `📎 Here ${receipts.length === 1 ? 'is your receipt' : `are your ${receipts.length} receipts`} ${period.label} as a CSV file.`,
+      document: {
+        buffer: Buffer.from(csv, 'utf8'),
+        mimeType: 'text/csv',
+        fileName: `receipts_${new Date().toISOString().slice(0, 10)}.csv`
+      }
+    };
+  }
+
+  /**
+   * "category 2 travel" sets receipt 2; "category travel" sets the latest receipt
+   */
+  async setCategory(args, context) {
+    const categories = ExpenseCategorizer.categories.join(', ');
+    if (args.length === 0) {
+      return { text: `❓ Send e.g. "category 1 meals".\n\nCategories: ${categories}` };
+    }
+
+    let reference = '1';
+    let name = args.join(' ');
+    if (args.length > 1 && this.isReceiptReference(args[0])) {
+      reference = args[0];
+      name = args.slice(1).join(' ');
+    }
+
+    const { receipt, error } = await this.findReceipt(reference, context.phoneNumber);
+    if (error) return { text: error };
+
+    const result = ReceiptEditor.validateField('category', name);
+    if (!result.valid) {
+      return { text: `❌ I don't know the category "${name}".\n\nCategories: ${categories}` };
+    }
+
+    const updated = await ReceiptEditor.applyCorrection(receipt.receipt_id, 'category', result.value, context.phoneNumber);
+    await this.pushUndo(context.phoneNumber, {
+      type: 'category',
+      receipt_id: receipt.receipt_id,
+      previous: {
+        status: receipt.status,
+        category: receipt.category ?? null,
+        category_source: receipt.category_source ?? null,
+        category_confidence: receipt.category_confidence ?? null
+      }
+    });
+
+    return { text: `🏷️ ${updated.merchant_name || 'Receipt'} is now in ${updated.category}.\n\nSend "undo" to change it back.` };
+  }
+
+  async undo(args, context) {
+    const action = await this.popUndo(context.phoneNumber);
+    if (!action) return { text: '🤷 There\'s nothing to undo.' };
+
+    try {
+      if (action.type === 'delete') {
+        const receipt = await StorageService.restoreReceipt(action.receipt_id);
+        return { text: `♻️ Brought back ${this.describeShort(receipt)}` };
+      }
+
+      if (action.type === 'category') {
+        const { status, ...fields } = action.previous;
+        const receipt = await StorageService.updateReceiptStatus(action.receipt_id, status, fields);
+        return { text: `↩️ ${receipt.merchant_name || 'Receipt'} is back to ${receipt.category || 'no category'}.` };
+      }
+    } catch (error) {
+      console.error(`❌ Error undoing ${action.type} of receipt ${action.receipt_id}:`, error.message);
+      return { text: '❌ Sorry, I couldn\'t undo that. The receipt may have been removed since.' };
+    }
+
+    return { text: '🤷 There\'s nothing to undo.' };
+  }
+
+  async settings(args, context) {
+    if (args[0]?.toLowerCase() === 'locale') {
+      return this.locale(args.slice(1), context);
+    }
+    if (args.length > 0) {
+      return { text: '❓ You can change your locale, e.g. "settings locale de-DE". Send "settings" to see everything.' };
+    }
+
+    const { locale } = await UserSettings.getSettings(context.phoneNumber);
+    const team = ExpenseCategorizer.getTeamId(context.phoneNumber);
+    return {
+      text: '⚙️ Your settings:\n\n' +
+        `🌍 Locale: ${locale || `${LocaleParser.resolveLocale({ phoneNumber: context.phoneNumber })} (from your phone number)`}\n` +
+        `💱 Home currency: ${CurrencyService.homeCurrency}\n` +
+        `👥 Team: ${team.startsWith('phone_') ? 'just you' : team}\n\n` +
+        'Send "settings locale de-DE" (or "locale auto") to change how I read your receipts.'
+    };
+  }
+
+  /**
+   * Show or set the locale used to read dates and amounts on the user's receipts
+   */
+  async locale(args, context) {
+    const value = args.join(' ').trim();
+    const { phoneNumber } = context;
+
+    if (!value) {
+      const { locale } = await UserSettings.getSettings(phoneNumber);
+      const current = locale || `${LocaleParser.resolveLocale({ phoneNumber })} (from your phone number)`;
+      return {
+        text: `🌍 I read your receipts using: ${current}\n\nTo change it, send e.g. "locale de-DE", "locale en-IN" or "locale es-MX". Send "locale auto" to go back to automatic.`
+      };
+    }
+
+    if (value.toLowerCase() === 'auto') {
+      await UserSettings.updateSettings(phoneNumber, { locale: null });
+      return { text: "🌍 OK! I'll work out the locale from your phone number and the receipt's currency." };
+    }
+
+    const locale = LocaleParser.normalizeLocale(value);
+    if (!locale) {
+      return { text: `❌ I don't know the locale "${value}". Try a code like de-DE, en-IN or pt-BR.` };
+    }
+
+    await UserSettings.updateSettings(phoneNumber, { locale });
+    const example = LocaleParser.formatDate('2025-04-03', locale);
+    const amount = new Intl.NumberFormat(locale, { minimumFractionDigits: 2 }).format(1234.5);
+    return {
+      text: `🌍 Locale set to ${locale}. I'll read dates like ${example} (3 April 2025) and amounts like ${amount}.`
+    };
+  }
+
+  /**
+   * Find one of the user's receipts by its number in "list" (1 is the latest)
+   * or the start of its ID
+   * @returns {Promise<Object>} { receipt } or { error } with a reply for the user
+   */
+  async findReceipt(reference, phoneNumber) {
+    const value = String(reference || '').trim().replace(/^#/, '').toLowerCase();
+    if (!value) return { error: '❓ Which receipt? Use its number from "list" or its ID.' };
+
+    const receipts = await StorageService.getReceiptsByPhone(phoneNumber);
+    if (receipts.length === 0) {
+      return { error: '📭 You haven\'t sent any receipts yet.' };
+    }
+
+    if (/^\d{1,3}$/.test(value)) {
+      const receipt = receipts[parseInt(value, 10) - 1];
+      return receipt
+        ? { receipt }
+        : { error: `❌ There's no receipt ${value}. You have ${receipts.length}; send "list" to see them.` };
+    }
+
+    const matches = receipts.filter(receipt => receipt.receipt_id.toLowerCase().startsWith(value));
+    if (value.length < 4 || matches.length === 0) {
+      return { error: `❌ I couldn't find the receipt "${reference}". Send "list" to see your receipts.` };
+    }
+    if (matches.length > 1) {
+      return { error: `❌ "${reference}" matches ${matches.length} receipts. Please send more of the ID.` };
+    }
+    return { receipt: matches[0] };
+  }
+
+  isReceiptReference(value) {
+    return /^#?(?:\d{1,3}|[0-9a-f]{4,}(?:-[0-9a-f]*)*)$/i.test(value);
+  }
+
+  /**
+   * Date range for "this month", "last month", "2025-03", ... (receipt dates, UTC)
+   * @returns {Object} { label, start, end } (null bounds for all time) or { error }
+   */
+  parsePeriod(args) {
+    const value = args.join(' ').trim().toLowerCase() || 'this month';
+    const now = new Date();
+    const day = date => date.toISOString().slice(0, 10);
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const today = day(now);
+
+    const monthMatch = value.match(/^(\d{4})-(\d{2})$/);
+    if (monthMatch) {
+      const [, y, m] = monthMatch.map(Number);
+      if (m < 1 || m > 12) return { error: `❌ "${value}" isn't a month. Use YYYY-MM, e.g. 2025-03.` };
+      return { label: `in ${value}`, start: `${value}-01`, end: day(new Date(Date.UTC(y, m, 0))) };
+    }
+
+    switch (value) {
+      case 'today':
+        return { label: 'today', start: today, end: today };
+      case 'this week':
+      case 'week': {
+        const monday = new Date(Date.UTC(year, month, now.getUTCDate() - ((now.getUTCDay() + 6) % 7)));
+        return { label: 'this week', start: day(monday), end: today };
+      }
+      case 'this month':
+      case 'month':
+        return { label: 'this month', start: day(new Date(Date.UTC(year, month, 1))), end: today };
+      case 'last month':
+        return {
+          label: 'last month',
+          start: day(new Date(Date.UTC(year, month - 1, 1))),
+          end: day(new Date(Date.UTC(year, month, 0)))
+        };
+      case 'this year':
+      case 'year':
+        return { label: 'this year', start: `${year}-01-01`, end: today };
+      case 'all':
+      case 'all time':
+        return { label: 'so far', start: null, end: null };
+      default:
+        return { error: `❓ I don't know the period "${value}". Try: today, this week, this month, last month, this year, all, or a month like 2025-03.` };
+    }
+  }
+
+  /**
+   * Receipts count by their date, or the day they were sent when no date was read
+   */
+  inPeriod(receipt, { start, end }) {
+    const date = receipt.date || (receipt.processing_timestamp || '').slice(0, 10);
+    if (!date) return !start && !end;
+    return (!start || date >= start) && (!end || date <= end);
+  }
+
+  describeShort(receipt) {
+    const amount = receipt.final_total || receipt.total_amount;
+    const money = amount ? CurrencyService.format(amount, receipt.currency, receipt.locale) : 'no total';
+    const date = LocaleParser.formatDate(receipt.date, receipt.locale) || 'no date';
+    return `${STATUS_ICONS[receipt.status] || '•'} ${receipt.merchant_name || 'Unknown Merchant'} · ${money} · ${date} (${this.shortId(receipt)})`;
+  }
+
+  shortId(receipt) {
+    return receipt.receipt_id.slice(0, 8);
+  }
+
+  async pushUndo(phoneNumber, action) {
+    const actions = await this.readUndo(phoneNumber);
+    actions.push({ ...action, at: new Date().toISOString() });
+
+    await fs.mkdir(this.undoDir, { recursive: true });
+    await fs.writeFile(this.getUndoPath(phoneNumber), JSON.stringify(actions.slice(-this.maxUndo), null, 2));
+  }
+
+  async popUndo(phoneNumber) {
+    const actions = await this.readUndo(phoneNumber);
+    const action = actions.pop() || null;
+    if (action) {
+      await fs.writeFile(this.getUndoPath(phoneNumber), JSON.stringify(actions, null, 2));
+    }
+    return action;
+  }
+
+  async readUndo(phoneNumber) {
+    try {
+      return JSON.parse(await fs.readFile(this.getUndoPath(phoneNumber), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error reading undo history for ${phoneNumber}:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  getUndoPath(phoneNumber) {
+    const safePhone = String(phoneNumber).replace(/[^0-9]/g, '');
+    return path.join(this.undoDir, `undo_${safePhone}.json`);
+  }
+}
+
+module.exports = new CommandRouter();
@@ -0,0 +1,81 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class ConversationStateService {
+  constructor() {
+    this.stateDir = path.join(process.cwd(), 'storage', 'conversations');
+    this.timeoutMs = parseInt(process.env.CONVERSATION_TIMEOUT_MINUTES || '15') * 60 * 1000;
+  }
+
+  /**
+   * Get the active conversation state for a phone number
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<Object|null>} Conversation state, or null if none or expired
+   */
+  async getState(phoneNumber) {
+    try {
+      const data = await fs.readFile(this.getStatePath(phoneNumber), 'utf8');
+      const state = JSON.parse(data);
+
+      if (new Date(state.expires_at) < new Date()) {
+        console.log(`⌛ Conversation state for ${phoneNumber} expired`);
+        await this.clearState(phoneNumber);
+        return null;
+      }
+
+      return state;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error reading conversation state for ${phoneNumber}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save conversation state for a phone number and reset its timeout
+   * @param {string} phoneNumber - Phone number
+   * @param {Object} state - Conversation state (type, step, etc.)
+   * @returns {Promise<Object>} Saved conversation state
+   */
+  async setState(phoneNumber, state) {
+    try {
+      await fs.mkdir(this.stateDir, { recursive: true });
+
+      const now = Date.now();
+      const stateToSave = {
+        ...state,
+        phone_number: phoneNumber,
+        updated_at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.timeoutMs).toISOString()
+      };
+
+      await fs.writeFile(this.getStatePath(phoneNumber), JSON.stringify(stateToSave, null, 2));
+      return stateToSave;
+    } catch (error) {
+      console.error(`❌ Error saving conversation state for ${phoneNumber}:`, error);
+      throw new Error(`Failed to save conversation state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the conversation state for a phone number
+   * @param {string} phoneNumber - Phone number
+   */
+  async clearState(phoneNumber) {
+    try {
+      await fs.unlink(this.getStatePath(phoneNumber));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error clearing conversation state for ${phoneNumber}:`, error.message);
+      }
+    }
+  }
+
+  getStatePath(phoneNumber) {
+    const safePhone = String(phoneNumber).replace(/[^0-9]/g, '');
+    return path.join(this.stateDir, `conversation_${safePhone}.json`);
+  }
+}
+
+module.exports = new ConversationStateService();
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const LocaleParser = require('./localeParser');
+
+// Every active ISO 4217 code this Node build knows about
+const ISO_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+// ISO codes that are also ordinary words or units on receipts ("ALL ITEMS", "PEN 2.50", "2 KGS")
+const WORD_LIKE_CODES = new Set(['ALL', 'BAM', 'BOB', 'CUP', 'GEL', 'KGS', 'MAD', 'MOP', 'PEN', 'SOS', 'TOP', 'TRY']);
+
+// Symbols that identify one currency. Prefixed dollars come first so "C$"
+// is not read as a bare "$".
+const SYMBOLS = [
+  { pattern: /\bUS\$/, currency: 'USD' },
+  { pattern: /\b(?:C|CA|CAD)\$/, currency: 'CAD' },
+  { pattern: /\b(?:A|AU|AUD)\$/, currency: 'AUD' },
+  { pattern: /\bNZ\$/, currency: 'NZD' },
+  { pattern: /\bMX\$/, currency: 'MXN' },
+  { pattern: /\b(?:S|SG)\$/, currency: 'SGD' },
+  { pattern: /\bHK\$/, currency: 'HKD' },
+  { pattern: /\bNT\$/, currency: 'TWD' },
+  { pattern: /\bR\$/, currency: 'BRL' },
+  { pattern: /€/, currency: 'EUR' },
+  { pattern: /£/, currency: 'GBP' },
+  { pattern: /₹/, currency: 'INR' },
+  { pattern: /円/, currency: 'JPY' },
+  { pattern: /元|\bRMB\b/, currency: 'CNY' },
+  { pattern: /₩/, currency: 'KRW' },
+  { pattern: /₽/, currency: 'RUB' },
+  { pattern: /₺|\d\s?TL\b/, currency: 'TRY' },
+  { pattern: /₪/, currency: 'ILS' },
+  { pattern: /₱/, currency: 'PHP' },
+  { pattern: /฿/, currency: 'THB' },
+  { pattern: /₫/, currency: 'VND' },
+  { pattern: /₦/, currency: 'NGN' },
+  { pattern: /zł/i, currency: 'PLN' },
+  { pattern: /\d\s?Kč|\bKč\s?\d/, currency: 'CZK' },
+  { pattern: /\d\s?Ft\b/, currency: 'HUF' },
+  { pattern: /\d\s?lei\b/i, currency: 'RON' },
+  { pattern: /\bFr\.\s?\d|\d\s?Fr\./, currency: 'CHF' },
+  { pattern: /\bRM\s?\d/, currency: 'MYR' },
+  { pattern: /\bRp\.?\s?\d/, currency: 'IDR' },
+  { pattern: /\bS\/\.?\s?\d/, currency: 'PEN' },
+  { pattern: /\bKSh\s?\d/, currency: 'KES' }
+];
+
+// Symbols shared by several currencies, most common first.
+// The merchant's or sender's country picks between them.
+const SHARED_SYMBOLS = [
+  { pattern: /\$/, currencies: ['USD', 'CAD', 'AUD', 'NZD', 'MXN', 'ARS', 'CLP', 'COP', 'UYU', 'SGD', 'HKD'] },
+  { pattern: /\bRs\.?\s?\d|\d\s?Rs\b/, currencies: ['INR', 'PKR', 'LKR', 'NPR'] },
+  { pattern: /\bkr\.?\s?\d|\d\s?kr\b/i, currencies: ['SEK', 'NOK', 'DKK', 'ISK'] },
+  { pattern: /¥/, currencies: ['JPY', 'CNY'] }
+];
+
+// Printed evidence of where the merchant is, strongest first:
+// tax registration numbers, then postal codes, then country names
+const MERCHANT_COUNTRY_HINTS = [
+  { pattern: /\bABN[:\s]*\d{2}\s?\d{3}\s?\d{3}\s?\d{3}\b/, country: 'AU' },
+  { pattern: /\bGSTIN\b/, country: 'IN' },
+  { pattern: /\b(?:GST\/HST|HST|QST|TPS|TVQ)\b/, country: 'CA' },
+  { pattern: /\bR\.?F\.?C\.?[:\s]/, country: 'MX' },
+  { pattern: /\bCUIT\b/, country: 'AR' },
+  { pattern: /\bCNPJ\b/, country: 'BR' },
+  { pattern: /\bR\.?U\.?T\.?[:\s]+\d/, country: 'CL' },
+  { pattern: /\bCHE-?\d{3}\.?\d{3}\.?\d{3}\b/, country: 'CH' },
+  { pattern: /\bUSt-?Id/i, country: 'DE' },
+  { pattern: /\bSIRE[NT]\b/, country: 'FR' },
+  { pattern: /\bP\.?\s?IVA\b/i, country: 'IT' },
+  { pattern: /\bBTW\b/, country: 'NL' },
+  { pattern: /\b(DE|FR|IT|ES|NL|AT|BE|IE|PT|FI|PL|SE|DK|GB)\s?\d{8,12}\b/, country: null },
+  { pattern: /\b[ABCEGHJ-NPRSTVXY]\d[A-Z]\s\d[A-Z]\d\b/, country: 'CA' },
+  { pattern: /\b(?:USA|United States)\b/, country: 'US' },
+  { pattern: /\bCanada\b/, country: 'CA' },
+  { pattern: /\b(?:United Kingdom|UK)\b/, country: 'GB' },
+  { pattern: /\bAustralia\b/, country: 'AU' },
+  { pattern: /\bNew Zealand\b/, country: 'NZ' },
+  { pattern: /\bSingapore\b/, country: 'SG' },
+  { pattern: /\bIndia\b/, country: 'IN' },
+  { pattern: /\bM[eé]xico\b/i, country: 'MX' },
+  { pattern: /\bBra[sz]il\b/i, country: 'BR' },
+  { pattern: /\bArgentina\b/, country: 'AR' },
+  { pattern: /\bChile\b/, country: 'CL' },
+  { pattern: /\bColombia\b/, country: 'CO' },
+  { pattern: /\bDeutschland\b/, country: 'DE' },
+  { pattern: /\b(?:Schweiz|Suisse|Svizzera)\b/, country: 'CH' },
+  { pattern: /\bEspaña\b/, country: 'ES' },
+  { pattern: /\bItalia\b/, country: 'IT' },
+  { pattern: /\bJapan\b/, country: 'JP' }
+];
+
+class CurrencyService {
+  constructor() {
+    this.defaultCurrency = this.normalizeCode(process.env.DEFAULT_CURRENCY) || 'USD';
+    this.homeCurrency = this.normalizeCode(process.env.HOME_CURRENCY) || this.defaultCurrency;
+    this.ratesFile = process.env.EXCHANGE_RATES_FILE ||
+      path.join(process.cwd(), 'storage', 'exchange_rates.json');
+    // A receipt dated on a weekend or holiday uses the last published rate
+    this.maxRateAgeDays = parseInt(process.env.EXCHANGE_RATE_MAX_AGE_DAYS || '7');
+    this.rates = null;
+  }
+
+  /**
+   * Work out which currency a receipt is in
+   * @param {string} text - Receipt text
+   * @param {Object} context - { phoneNumber }
+   * @returns {Object} { currency, source, merchantCountry } - source is one of
+   *   symbol, code, merchant_country, phone_country or default
+   */
+  detectCurrency(text, { phoneNumber } = {}) {
+    const merchantCountry = this.detectMerchantCountry(text);
+    const merchantCurrency = merchantCountry && LocaleParser.getCountry(merchantCountry)?.currency;
+    const phoneCurrency = LocaleParser.getCountryForPhone(phoneNumber)?.currency;
+    const result = (currency, source) => ({ currency, source, merchantCountry });
+
+    if (text) {
+      const symbol = SYMBOLS.find(({ pattern }) => pattern.test(text));
+      if (symbol) return result(symbol.currency, 'symbol');
+
+      const code = this.findCurrencyCode(text);
+      if (code) return result(code, 'code');
+
+      const shared = SHARED_SYMBOLS.find(({ pattern }) => pattern.test(text));
+      if (shared) {
+        const currency = [merchantCurrency, phoneCurrency].find(c => shared.currencies.includes(c)) ||
+          shared.currencies[0];
+        return result(currency, 'symbol');
+      }
+    }
+
+    if (merchantCurrency) return result(merchantCurrency, 'merchant_country');
+    if (phoneCurrency) return result(phoneCurrency, 'phone_country');
+    return result(this.defaultCurrency, 'default');
+  }
+
+  /**
+   * Find an ISO 4217 code printed next to an amount ("EUR 12,50", "12.50 CHF")
+   * or labelled as the currency ("Currency: SEK")
+   * @returns {string|null} ISO code
+   */
+  findCurrencyCode(text) {
+    const pattern = /\b([A-Z]{3})\s?-?\d|\d\s?([A-Z]{3})\b|\b(?:currency|moneda|devise|w[aä]hrung)[:\s]+([A-Z]{3})\b/gi;
+
+    for (const match of text.matchAll(pattern)) {
+      const labelled = match[3] && match[3].toUpperCase();
+      if (labelled && ISO_CODES.has(labelled)) return labelled;
+
+      const code = match[1] || match[2];
+      if (code && code === code.toUpperCase() && ISO_CODES.has(code) && !WORD_LIKE_CODES.has(code)) {
+        return code;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Where the merchant is, from tax IDs, postal codes or country names on the receipt
+   * @returns {string|null} ISO 3166 alpha-2 country code
+   */
+  detectMerchantCountry(text) {
+    if (!text) return null;
+
+    for (const hint of MERCHANT_COUNTRY_HINTS) {
+      const match = text.match(hint.pattern);
+      if (match) {
+        // EU VAT numbers start with the country code ("GB" rather than "UK")
+        return hint.country || match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate and upper-case an ISO 4217 code
+   * @returns {string|null} Code, or null if unknown
+   */
+  normalizeCode(code) {
+    const upper = String(code || '').trim().toUpperCase();
+    return ISO_CODES.has(upper) ? upper : null;
+  }
+
+  /**
+   * Format an amount with its currency for display ("12,50 €", "CA$12.50")
+   * @param {string|number} amount - Decimal amount
+   * @param {string} currency - ISO code
+   * @param {string} locale - Display locale
+   * @returns {string} Formatted amount
+   */
+  format(amount, currency, locale) {
+    const code = this.normalizeCode(currency) || this.defaultCurrency;
+    const number = parseFloat(amount);
+    if (isNaN(number)) return `${amount} ${code}`;
+
+    try {
+      return new Intl.NumberFormat(locale || LocaleParser.defaultLocale, { style: 'currency', currency: code })
+        .format(number);
+    } catch {
+      return `${amount} ${code}`;
+    }
+  }
+
+  /**
+   * Load the exchange-rate table. Two offline formats are accepted:
+   * - JSON: { "base": "EUR", "rates": { "2025-03-14": { "USD": 1.0880, ... } } }
+   * - CSV as published by the ECB (eurofxref-hist.csv): Date,USD,JPY,... with EUR as base
+   * @returns {Object|null} Loaded table, or null when there is no file
+   */
+  loadRates() {
+    const table = { base: 'EUR', dates: [], byDate: new Map(), file: this.ratesFile };
+
+    try {
+      const content = fs.readFileSync(this.ratesFile, 'utf8');
+
+      if (path.extname(this.ratesFile).toLowerCase() === '.csv') {
+        const [header, ...lines] = content.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim());
+        table.base = this.normalizeCode(process.env.EXCHANGE_RATES_BASE) || 'EUR';
+
+        for (const line of lines) {
+          const values = line.split(',');
+          const rates = {};
+          columns.slice(1).forEach((code, index) => {
+            const rate = parseFloat(values[index + 1]);
+            if (this.normalizeCode(code) && rate > 0) rates[code.toUpperCase()] = rate;
+          });
+          this.addRates(table, values[0].trim(), rates);
+        }
+      } else {
+        const data = JSON.parse(content);
+        table.base = this.normalizeCode(data.base) || 'EUR';
+        for (const [date, rates] of Object.entries(data.rates || {})) {
+          this.addRates(table, date, rates);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not load exchange rates from ${this.ratesFile}:`, error.message);
+      }
+      this.rates = table;
+      return null;
+    }
+
+    table.dates.sort();
+    this.rates = table;
+    console.log(`💱 Loaded exchange rates for ${table.dates.length} day(s) (${table.dates[0]} to ${table.dates[table.dates.length - 1]}, base ${table.base})`);
+    return table;
+  }
+
+  addRates(table, date, rates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+
+    const dayRates = { [table.base]: 1 };
+    for (const [code, rate] of Object.entries(rates)) {
+      const value = Number(rate);
+      if (value > 0) dayRates[code.toUpperCase()] = value;
+    }
+
+    if (!table.byDate.has(date)) table.dates.push(date);
+    table.byDate.set(date, { ...table.byDate.get(date), ...dayRates });
+  }
+
+  /**
+   * Exchange rate on a receipt's date: the latest published rate on or before
+   * that day, no more than maxRateAgeDays old
+   * @param {string} from - ISO code of the receipt
+   * @param {string} to - ISO code to convert to
+   * @param {string} date - Receipt date (YYYY-MM-DD)
+   * @returns {Object|null} { rate, rate_date }, or null when no rate is known
+   */
+  getRate(from, to, date) {
+    if (!from || !to) return null;
+    if (from === to) return { rate: 1, rate_date: date || null };
+    if (!date) return null;
+
+    if (!this.rates) this.loadRates();
+    const { dates, byDate } = this.rates;
+
+    // Binary search for the last date on or before the receipt date
+    let low = 0;
+    let high = dates.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (dates[middle] <= date) {
+        index = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const oldest = new Date(`${date}T00:00:00Z`);
+    oldest.setUTCDate(oldest.getUTCDate() - this.maxRateAgeDays);
+    const oldestDate = oldest.toISOString().slice(0, 10);
+
+    for (let i = index; i >= 0 && dates[i] >= oldestDate; i--) {
+      const rates = byDate.get(dates[i]);
+      if (rates[from] && rates[to]) {
+        return { rate: rates[to] / rates[from], rate_date: dates[i] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert an amount in minor units at the rate for a given date
+   * @param {number} amountMinor - Amount in the source currency's minor units
+   * @param {string} from - Source ISO code
+   * @param {string} to - Target ISO code (defaults to the home currency)
+   * @param {string} date - Receipt date (YYYY-MM-DD)
+   * @returns {Object|null} { amount, amount_minor, currency, rate, rate_date }, or null
+   */
+  convert(amountMinor, from, to = this.homeCurrency, date = null) {
+    if (!Number.isInteger(amountMinor)) return null;
+
+    const exchange = this.getRate(from, to, date);
+    if (!exchange) return null;
+
+    const scale = 10 ** (LocaleParser.getCurrencyExponent(to) - LocaleParser.getCurrencyExponent(from));
+    const converted = Math.round(amountMinor * exchange.rate * scale);
+
+    return {
+      amount: LocaleParser.fromMinorUnits(converted, to),
+      amount_minor: converted,
+      currency: to,
+      rate: Math.round(exchange.rate * 1e6) / 1e6,
+      rate_date: exchange.rate_date
+    };
+  }
+
+  /**
+   * A receipt's total in the home currency
+   * @param {Object} receipt - Stored receipt
+   * @returns {Object|null} Conversion (see convert), or null
+   */
+  convertReceiptTotal(receipt) {
+    const currency = receipt.currency || this.defaultCurrency;
+    return this.convert(this.getAmountPaidMinor(receipt), currency, this.homeCurrency, receipt.date);
+  }
+
+  /**
+   * What was actually paid, in minor units: the final total (tip included)
+   * when there is one, else the printed total
+   * @param {Object} receipt - Stored receipt
+   * @returns {number|null}
+   */
+  getAmountPaidMinor(receipt) {
+    if (Number.isInteger(receipt.final_total_minor)) return receipt.final_total_minor;
+    if (Number.isInteger(receipt.total_amount_minor)) return receipt.total_amount_minor;
+    return LocaleParser.toMinorUnits(receipt.total_amount, receipt.currency || this.defaultCurrency);
+  }
+}
+
+module.exports = new CurrencyService();
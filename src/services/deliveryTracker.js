@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RecordFiles = require('./recordFiles');
+
+// Statuses only move forward; "read" arriving before "delivered" doesn't undo it
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+// WhatsApp errors worth sending the same message again for
+// (rate limits, temporary outages and "something went wrong")
+const RETRYABLE_ERROR_CODES = [130429, 131000, 131016, 131048, 131056, 133004];
+
+// More than 24 hours since the user last wrote: only a template gets through
+const OUTSIDE_WINDOW_ERROR_CODE = 131047;
+
+class DeliveryTrackerService {
+  constructor() {
+    this.dir = process.env.DELIVERY_TRACKING_DIR || path.join(process.cwd(), 'storage', 'outbound');
+    this.receiptsDir = path.join(this.dir, 'receipts');
+    this.maxAttempts = Math.max(1, parseInt(process.env.MESSAGE_MAX_ATTEMPTS || '3'));
+    this.retryDelayMs = parseInt(process.env.MESSAGE_RETRY_DELAY_SECONDS || '30') * 1000;
+    this.ttlMs = parseInt(process.env.DELIVERY_TRACKING_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+    this.records = new RecordFiles({ dir: this.dir, label: 'delivery record' });
+  }
+
+  /**
+   * Record a message we sent, under the ID WhatsApp returned for it
+   * @param {Object} message - { messageId, to, type, payload, receiptId, purpose, attempt, retryOf, escalationOf }
+   * @returns {Promise<Object>} Stored message record
+   */
+  async recordSent({ messageId, to, type, payload, receiptId = null, purpose = null, attempt = 1, retryOf = null, escalationOf = null }) {
+    this.purgeExpired();
+    const now = new Date().toISOString();
+    const record = {
+      message_id: messageId,
+      to,
+      type,
+      receipt_id: receiptId,
+      purpose,
+      attempt,
+      retry_of: retryOf,
+      escalation_of: escalationOf,
+      status: 'sent',
+      status_history: [{ status: 'sent', timestamp: now, errors: [] }],
+      errors: [],
+      retried_by: null,
+      escalated_by: null,
+      payload,
+      sent_at: now,
+      updated_at: now
+    };
+
+    return this.records.exclusive(async () => {
+      await fs.mkdir(this.receiptsDir, { recursive: true });
+      await this.write(record);
+
+      if (receiptId) {
+        const index = await this.records.readJson(this.getReceiptIndexPath(receiptId)) || [];
+        index.push(messageId);
+        await fs.writeFile(this.getReceiptIndexPath(receiptId), JSON.stringify(index, null, 2));
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Apply a status webhook ({ id, status, timestamp, recipient_id, errors }) to the message it is about
+   * @param {Object} status - Entry of changes.value.statuses
+   * @returns {Promise<Object|null>} { record, changed }, or null for a message we don't track
+   */
+  async recordStatus(status) {
+    return this.records.exclusive(async () => {
+      const record = await this.get(status.id);
+      if (!record) return null;
+
+      const timestamp = status.timestamp
+        ? new Date(parseInt(status.timestamp, 10) * 1000).toISOString()
+        : new Date().toISOString();
+      const errors = (status.errors || []).map(error => ({
+        code: error.code,
+        title: error.title || null,
+        message: error.message || error.error_data?.details || null
+      }));
+
+      // Meta redelivers status webhooks too
+      if (record.status_history.some(entry => entry.status === status.status && entry.timestamp === timestamp)) {
+        return { record, changed: false };
+      }
+
+      record.status_history.push({ status: status.status, timestamp, errors });
+      if (status.status === 'failed') {
+        record.status = 'failed';
+        record.errors = errors;
+      } else if (record.status !== 'failed' && (STATUS_RANK[status.status] || 0) > (STATUS_RANK[record.status] || 0)) {
+        record.status = status.status;
+      }
+      record.updated_at = new Date().toISOString();
+
+      await this.write(record);
+      return { record, changed: true };
+    });
+  }
+
+  /**
+   * What to do about a failed message: send it again after a delay, fall back
+   * to a template (outside the 24-hour window, or once retries are used up),
+   * or nothing
+   * @param {Object} record - Failed message record
+   * @returns {Object} { action: 'retry'|'escalate'|null, delayMs }
+   */
+  getFailureAction(record) {
+    const code = record.errors[0]?.code;
+
+    if (code === OUTSIDE_WINDOW_ERROR_CODE) {
+      return { action: 'escalate', delayMs: 0 };
+    }
+    if (RETRYABLE_ERROR_CODES.includes(code)) {
+      if (record.attempt < this.maxAttempts) {
+        return { action: 'retry', delayMs: this.retryDelayMs * 2 ** (record.attempt - 1) };
+      }
+      return { action: 'escalate', delayMs: 0 };
+    }
+    return { action: null, delayMs: 0 };
+  }
+
+  async get(messageId) {
+    return this.records.readJson(this.getMessagePath(messageId));
+  }
+
+  /**
+   * Merge changes into a message record
+   * @returns {Promise<Object|null>} Updated record, or null when it isn't tracked
+   */
+  async update(messageId, changes) {
+    return this.records.exclusive(async () => {
+      const record = await this.get(messageId);
+      if (!record) return null;
+
+      const updated = { ...record, ...changes, updated_at: new Date().toISOString() };
+      await this.write(updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delivery state of the messages sent about a receipt. The receipt's status
+   * follows its latest summary (a retry or template replaces a failed one).
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} { status, messages } (status null when nothing was sent)
+   */
+  async getReceiptDelivery(receiptId) {
+    const index = await this.records.readJson(this.getReceiptIndexPath(receiptId)) || [];
+    const messages = [];
+
+    for (const messageId of index) {
+      const record = await this.get(messageId);
+      if (record) {
+        const { payload, ...message } = record;
+        messages.push(message);
+      }
+    }
+
+    const summaries = messages.filter(message => message.purpose === 'receipt_summary');
+    const latest = (summaries.length > 0 ? summaries : messages).slice(-1)[0];
+
+    return { status: latest ? latest.status : null, messages };
+  }
+
+  /**
+   * Delete records older than DELIVERY_TRACKING_TTL_DAYS, and receipt indexes
+   * whose messages are all gone; at most once an hour and in the background
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.ttlMs).toISOString();
+    const purged = await this.records.purgeExpired(record => record.updated_at < cutoff);
+    if (purged === null) return;
+
+    try {
+      for (const file of await fs.readdir(this.receiptsDir)) {
+        const index = await this.records.readJson(path.join(this.receiptsDir, file)) || [];
+        const remaining = await Promise.all(index.map(messageId => this.get(messageId)));
+        if (remaining.every(record => !record)) {
+          await fs.unlink(path.join(this.receiptsDir, file)).catch(() => {});
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Error purging delivery receipt indexes:', error.message);
+      }
+    }
+  }
+
+  async write(record) {
+    await fs.writeFile(this.getMessagePath(record.message_id), JSON.stringify(record, null, 2));
+  }
+
+  getMessagePath(messageId) {
+    return this.records.getHashedPath('message', messageId);
+  }
+
+  getReceiptIndexPath(receiptId) {
+    return path.join(this.receiptsDir, `${String(receiptId).replace(/[^a-zA-Z0-9-]/g, '')}.json`);
+  }
+}
+
+module.exports = new DeliveryTrackerService();
@@ -0,0 +1,146 @@
+const sharp = require('sharp');
+const path = require('path');
+const StorageService = require('./storage');
+
+// Receipts all look alike at 8x8, so hash at 16x16 (256 bits)
+const HASH_SIZE = 16;
+
+class DuplicateDetector {
+  constructor() {
+    this.enabled = process.env.ENABLE_DUPLICATE_DETECTION !== 'false';
+    // Differing bits (of 256) up to which two photos count as the same image
+    this.maxHashDistance = parseInt(process.env.DUPLICATE_HASH_DISTANCE || '20');
+  }
+
+  /**
+   * Perceptual difference hash (dHash): one bit per horizontal brightness
+   * gradient on a small thumbnail. Survives re-compression, resizing and small
+   * lighting changes, so a re-sent or re-photographed receipt hashes nearly the same.
+   * Hash the preprocessed image so cropping and deskew have evened out framing.
+   * @param {string} filePath - Image path (PDFs are not hashed)
+   * @returns {Promise<string|null>} 64-character hex hash, or null
+   */
+  async computeImageHash(filePath) {
+    if (!this.enabled || !filePath || path.extname(filePath).toLowerCase() === '.pdf') {
+      return null;
+    }
+
+    try {
+      const { data } = await sharp(filePath, { pages: 1 })
+        .rotate()
+        .greyscale()
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      let hash = 0n;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+          const index = y * (HASH_SIZE + 1) + x;
+          hash = (hash << 1n) | (data[index] > data[index + 1] ? 1n : 0n);
+        }
+      }
+      return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+    } catch (error) {
+      console.warn('⚠️ Could not compute image hash:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merchant + date + total fingerprint, for the same receipt sent as a
+   * different photo or file
+   * @param {Object} receipt - Receipt data
+   * @returns {string|null} Fingerprint, or null when a field is missing
+   */
+  computeFingerprint(receipt) {
+    const merchant = String(receipt.merchant_name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!merchant || merchant === 'unknownmerchant' || !receipt.date || !receipt.total_amount) {
+      return null;
+    }
+
+    return `${merchant}|${receipt.date}|${receipt.total_amount}`;
+  }
+
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
+  /**
+   * Look for an earlier receipt from the same sender with the same merchant,
+   * date and total. Receipts from one till share a layout, so their image hashes
+   * can be closer than two photos of the same receipt: a similar image only backs
+   * up a fingerprint match and never flags a receipt on its own. Other users'
+   * receipts are never compared (or revealed).
+   * @param {Object} receipt - New receipt data including image_hash and fingerprint
+   * @returns {Promise<Object|null>} { receipt_id, matched_on, sent_at, status } or null
+   */
+  async findDuplicate(receipt) {
+    if (!this.enabled || !receipt.phone_number || !receipt.fingerprint) {
+      return null;
+    }
+
+    const { receipts } = await StorageService.queryReceipts({
+      phoneNumber: receipt.phone_number,
+      limit: Number.MAX_SAFE_INTEGER
+    });
+
+    for (const existing of receipts) {
+      if (existing.receipt_id === receipt.receipt_id || existing.fingerprint !== receipt.fingerprint) continue;
+
+      const matchedOn = ['merchant_date_total'];
+      if (receipt.image_hash && existing.image_hash &&
+          this.hammingDistance(receipt.image_hash, existing.image_hash) <= this.maxHashDistance) {
+        matchedOn.unshift('image');
+      }
+
+      console.log(`👯 Receipt ${receipt.receipt_id} looks like ${existing.receipt_id} (${matchedOn.join(', ')})`);
+      return {
+        receipt_id: existing.receipt_id,
+        matched_on: matchedOn,
+        sent_at: existing.processing_timestamp,
+        status: existing.status
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash, fingerprint and duplicate check for a receipt about to be saved
+   * @param {Object} receipt - Parsed receipt data
+   * @param {string} imagePath - Image to hash
+   * @param {Object} previous - Stored version of the receipt when adding a page
+   * @returns {Promise<Object>} { image_hash, fingerprint, duplicate_check }
+   */
+  async check(receipt, imagePath, previous = null) {
+    // Pages after the first keep the first photo's hash
+    const imageHash = previous ? previous.image_hash || null : await this.computeImageHash(imagePath);
+    const fingerprint = this.computeFingerprint(receipt);
+
+    // Once the user chose to keep a receipt, don't ask again when pages are added
+    if (previous?.duplicate_check?.status === 'kept') {
+      return { image_hash: imageHash, fingerprint, duplicate_check: previous.duplicate_check };
+    }
+
+    const duplicate = await this.findDuplicate({ ...receipt, image_hash: imageHash, fingerprint });
+
+    return {
+      image_hash: imageHash,
+      fingerprint,
+      duplicate_check: duplicate ? {
+        status: 'suspected',
+        duplicate_of: duplicate,
+        checked_at: new Date().toISOString()
+      } : null
+    };
+  }
+}
+
+module.exports = new DuplicateDetector();
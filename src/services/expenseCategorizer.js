@@ -0,0 +1,397 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const LocaleParser = require('./localeParser');
+const MerchantDirectory = require('./merchantDirectory');
+const OCRProviders = require('./ocr');
+
+// Words that point to a category, used to seed the classifier before any team has taught it
+const CATEGORY_KEYWORDS = {
+  'Meals': ['restaurant', 'cafe', 'coffee', 'espresso', 'latte', 'cappuccino', 'tea', 'bakery', 'bistro', 'brasserie', 'diner', 'grill', 'pizza', 'pizzeria', 'burger', 'fries', 'sandwich', 'salad', 'soup', 'sushi', 'noodles', 'taco', 'burrito', 'breakfast', 'lunch', 'dinner', 'brunch', 'dessert', 'beer', 'wine', 'cocktail', 'pub', 'tavern', 'kitchen', 'steakhouse', 'trattoria', 'ristorante', 'gasthaus', 'imbiss', 'kaffee', 'mittagessen', 'table', 'server', 'takeaway'],
+  'Groceries': ['grocery', 'groceries', 'supermarket', 'market', 'milk', 'bread', 'eggs', 'butter', 'cheese', 'produce', 'bananas', 'apples', 'vegetables', 'fruit', 'yogurt', 'cereal', 'deli', 'organic', 'supermarkt', 'lebensmittel', 'marche'],
+  'Fuel': ['fuel', 'petrol', 'diesel', 'unleaded', 'gasoline', 'pump', 'gallons', 'litres', 'liters', 'octane', 'premium unleaded', 'gas station', 'service station', 'tankstelle', 'benzin', 'super e10', 'carburant', 'gasolina'],
+  'Transport': ['taxi', 'cab', 'rideshare', 'ride', 'parking', 'garage', 'toll', 'metro', 'subway fare', 'bus', 'tram', 'transit', 'car rental', 'rental car', 'scooter', 'parken', 'parkhaus', 'fahrschein'],
+  'Travel': ['airline', 'airlines', 'airways', 'flight', 'airport', 'boarding', 'baggage', 'seat', 'fare', 'rail', 'railway', 'train', 'ticket', 'passenger', 'itinerary', 'departure', 'lufthansa', 'ryanair', 'easyjet', 'amtrak', 'flug', 'bahn'],
+  'Lodging': ['hotel', 'motel', 'inn', 'resort', 'hostel', 'lodge', 'suite', 'room', 'night', 'nights', 'folio', 'guest', 'accommodation', 'airbnb', 'booking', 'zimmer', 'übernachtung', 'hotelzimmer'],
+  'Office Supplies': ['office', 'paper', 'printer', 'toner', 'ink', 'cartridge', 'stapler', 'staples', 'pens', 'pen', 'pencil', 'notebook', 'binder', 'folder', 'envelopes', 'labels', 'tape', 'post it', 'sticky notes', 'desk', 'bürobedarf', 'papier'],
+  'Electronics': ['electronics', 'laptop', 'computer', 'monitor', 'keyboard', 'mouse', 'cable', 'charger', 'adapter', 'usb', 'hdmi', 'headphones', 'battery', 'batteries', 'phone case', 'tablet', 'ssd', 'memory card'],
+  'Shopping': ['clothing', 'apparel', 'shoes', 'shirt', 'jeans', 'furniture', 'home', 'garden', 'hardware', 'tools', 'department store', 'gift', 'toys'],
+  'Health': ['pharmacy', 'drugstore', 'prescription', 'clinic', 'medical', 'doctor', 'dental', 'optician', 'vitamins', 'ibuprofen', 'aspirin', 'bandages', 'apotheke', 'farmacia', 'pharmacie'],
+  'Utilities': ['electricity', 'electric', 'water', 'utility', 'internet', 'broadband', 'mobile plan', 'phone bill', 'wireless', 'energy', 'kwh', 'meter', 'strom'],
+  'Entertainment': ['cinema', 'movie', 'movies', 'theatre', 'theater', 'concert', 'museum', 'admission', 'tickets', 'show', 'gallery', 'bowling', 'kino', 'streaming', 'game'],
+  'Other': []
+};
+
+// Other words users type for a category ("food", "hotel", "office")
+const CATEGORY_ALIASES = {
+  food: 'Meals',
+  meal: 'Meals',
+  restaurant: 'Meals',
+  dining: 'Meals',
+  grocery: 'Groceries',
+  gas: 'Fuel',
+  petrol: 'Fuel',
+  taxi: 'Transport',
+  parking: 'Transport',
+  transportation: 'Transport',
+  flight: 'Travel',
+  flights: 'Travel',
+  hotel: 'Lodging',
+  accommodation: 'Lodging',
+  office: 'Office Supplies',
+  supplies: 'Office Supplies',
+  pharmacy: 'Health',
+  medical: 'Health',
+  bills: 'Utilities'
+};
+
+// Words on every kind of receipt that say nothing about the category
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'total', 'subtotal', 'tax', 'vat', 'gst', 'qty', 'item', 'items', 'receipt', 'thank', 'thanks', 'you', 'your', 'visit', 'store', 'shop', 'cash', 'card', 'change', 'due', 'amount', 'each', 'sale', 'price', 'new', 'inc', 'ltd', 'llc', 'gmbh']);
+
+// How much more a caption word counts than a word printed on the receipt
+const CAPTION_WEIGHT = 2;
+
+// Times a seed keyword counts as seen, so a handful of team corrections can outweigh it
+const SEED_WEIGHT = 3;
+
+// Additive smoothing for words a category hasn't seen; small, so one telling word can decide
+const SMOOTHING = 0.1;
+
+class ExpenseCategorizer {
+  constructor() {
+    this.dataFile = process.env.CATEGORIZATION_FILE ||
+      path.join(process.cwd(), 'storage', 'categorization.json');
+    this.categories = MerchantDirectory.categories;
+    // Classifier guesses below this probability leave the receipt uncategorized
+    this.minConfidence = parseFloat(process.env.CATEGORY_MIN_CONFIDENCE) || 0.5;
+    this.seedCounts = this.buildSeedCounts();
+    this.data = null;
+    // Writes are chained so two corrections can't save over each other
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Pick a receipt's category. In order: a category set or named in the caption,
+   * the team's earlier correction for the same merchant, the editable rules,
+   * the merchant's default category, then the offline classifier.
+   * @param {Object} receipt - { merchant_name, merchant_id, line_items, caption, caption_category, phone_number }
+   * @param {Object} options - { merchant (directory entry), tenantId }
+   * @returns {Promise<Object>} { category, category_source, category_confidence }
+   */
+  async categorize(receipt, options = {}) {
+    const data = await this.load();
+    const teamId = this.getTeamId(receipt.phone_number, options.tenantId);
+    const team = data.teams[teamId];
+
+    const captionCategory = receipt.caption_category || this.findCategoryInCaption(receipt.caption);
+    if (captionCategory) {
+      return this.result(captionCategory, 'caption');
+    }
+
+    const learned = team?.merchants[this.merchantKey(receipt)];
+    if (learned) {
+      return this.result(learned.category, 'learned');
+    }
+
+    const rule = this.matchRule(receipt, teamId);
+    if (rule) {
+      return this.result(rule.category, 'rule');
+    }
+
+    const merchant = options.merchant ||
+      (receipt.merchant_id ? await MerchantDirectory.getMerchant(receipt.merchant_id) : null);
+    if (merchant?.category) {
+      return this.result(merchant.category, 'merchant');
+    }
+
+    const prediction = this.classify(receipt, team);
+    if (prediction && prediction.confidence >= this.minConfidence) {
+      return this.result(prediction.category, 'classifier', prediction.confidence);
+    }
+
+    return this.result(null, null);
+  }
+
+  /**
+   * Learn from a user choosing a receipt's category: the team's next receipt
+   * from the same merchant gets it, and the classifier counts the receipt's words
+   * @param {Object} receipt - Receipt before the correction
+   * @param {string} category - Category the user chose
+   * @returns {Promise<void>}
+   */
+  async learn(receipt, category) {
+    const data = await this.load();
+    const teamId = this.getTeamId(receipt.phone_number);
+    const team = data.teams[teamId] ??= { merchants: {}, tokens: {}, overrides: 0 };
+
+    const key = this.merchantKey(receipt);
+    if (key) {
+      const previous = team.merchants[key];
+      team.merchants[key] = {
+        category,
+        count: previous?.category === category ? previous.count + 1 : 1,
+        updated_at: new Date().toISOString()
+      };
+    }
+
+    const counts = team.tokens[category] ??= {};
+    for (const [token, weight] of this.tokenize(receipt)) {
+      counts[token] = (counts[token] || 0) + weight;
+    }
+    team.overrides++;
+
+    console.log(`🏷️ Learned ${category} for ${key || 'receipt'} (team ${teamId})`);
+    await this.save();
+  }
+
+  /**
+   * Read a category the way a user typed it: the exact name, a word for it
+   * ("food", "hotel") or the start of one ("office" -> "Office Supplies")
+   * @param {string} input - Category as typed
+   * @returns {string|null} Category name, or null
+   */
+  normalizeCategory(input) {
+    const value = LocaleParser.foldText(String(input || '')).replace(/^#/, '').replace(/[^a-z ]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!value) return null;
+
+    const exact = this.categories.find(category => LocaleParser.foldText(category) === value);
+    if (exact) return exact;
+    if (CATEGORY_ALIASES[value]) return CATEGORY_ALIASES[value];
+
+    const prefixed = this.categories.filter(category => LocaleParser.foldText(category).startsWith(value));
+    return value.length >= 3 && prefixed.length === 1 ? prefixed[0] : null;
+  }
+
+  /**
+   * A category named in the caption ("Meals", "client dinner #travel").
+   * "Other" only counts as a hashtag, since it's an everyday word.
+   */
+  findCategoryInCaption(caption) {
+    const text = LocaleParser.foldText(String(caption || ''));
+    if (!text.trim()) return null;
+
+    return this.categories.find(category => {
+      const name = LocaleParser.foldText(category).replace(/ /g, '[\\s_-]?');
+      const prefix = category === 'Other' ? '#' : '#?';
+      return new RegExp(`(?:^|[^a-z0-9#])${prefix}${name}(?![a-z0-9])`).test(text);
+    }) || null;
+  }
+
+  /**
+   * Naive Bayes over the words of the merchant name, line items and caption,
+   * with the seed keywords plus the team's corrections as training data
+   * @returns {Object|null} { category, confidence }, or null with no known words
+   */
+  classify(receipt, team = null) {
+    const counts = this.categories.map(category => {
+      const seed = this.seedCounts[category] || {};
+      const learned = team?.tokens[category] || {};
+      const merged = { ...seed };
+      for (const [token, count] of Object.entries(learned)) merged[token] = (merged[token] || 0) + count;
+      return { category, tokens: merged, total: Object.values(merged).reduce((sum, count) => sum + count, 0) };
+    }).filter(({ total }) => total > 0);
+
+    const vocabulary = new Set(counts.flatMap(({ tokens }) => Object.keys(tokens)));
+    const words = [...this.tokenize(receipt)].filter(([token]) => vocabulary.has(token));
+    if (words.length === 0 || counts.length === 0) return null;
+
+    const scores = counts.map(({ category, tokens, total }) => ({
+      category,
+      score: words.reduce((score, [token, weight]) =>
+        score + weight * Math.log(((tokens[token] || 0) + SMOOTHING) / (total + SMOOTHING * vocabulary.size)), 0)
+    }));
+
+    // Softmax over the log scores gives each category's probability
+    const best = Math.max(...scores.map(({ score }) => score));
+    const weights = scores.map(({ category, score }) => ({ category, weight: Math.exp(score - best) }));
+    const sum = weights.reduce((total, { weight }) => total + weight, 0);
+    const top = weights.sort((a, b) => b.weight - a.weight)[0];
+
+    return { category: top.category, confidence: Math.round((top.weight / sum) * 100) / 100 };
+  }
+
+  /**
+   * Words of the merchant name, line item descriptions and caption, with how
+   * much each counts. Two-word keywords are kept as pairs ("gas station").
+   * @returns {Map<string, number>} Token -> weight
+   */
+  tokenize(receipt) {
+    const tokens = new Map();
+    const add = (text, weight) => {
+      const words = LocaleParser.foldText(String(text || ''))
+        .replace(/[^a-z0-9ß ]+/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length >= 2 && !/^\d+$/.test(word));
+
+      words.forEach((word, index) => {
+        if (!STOP_WORDS.has(word) && word.length >= 3) tokens.set(word, (tokens.get(word) || 0) + weight);
+        if (index > 0) {
+          const pair = `${words[index - 1]} ${word}`;
+          tokens.set(pair, (tokens.get(pair) || 0) + weight);
+        }
+      });
+    };
+
+    add(receipt.merchant_name, 1);
+    for (const item of receipt.line_items || []) add(item.description, 1);
+    add(receipt.caption, CAPTION_WEIGHT);
+    return tokens;
+  }
+
+  /**
+   * The first rule that matches the receipt, trying the team's own rules first.
+   * A rule matches when the merchant name contains its merchant and a line
+   * item or the caption contains one of its keywords (when it has them).
+   */
+  matchRule(receipt, teamId) {
+    const merchantKey = MerchantDirectory.normalizeKey(receipt.merchant_name);
+    const text = ` ${LocaleParser.foldText([
+      ...(receipt.line_items || []).map(item => item.description),
+      receipt.caption
+    ].filter(Boolean).join(' ')).replace(/[^a-z0-9ß]+/g, ' ')} `;
+
+    const rules = [
+      ...this.data.rules.filter(rule => rule.team === teamId),
+      ...this.data.rules.filter(rule => !rule.team)
+    ];
+
+    return rules.find(rule => {
+      if (rule.merchant) {
+        const key = MerchantDirectory.normalizeKey(rule.merchant);
+        if (!key || !` ${merchantKey} `.includes(` ${key} `)) return false;
+      }
+      if (rule.keywords?.length > 0) {
+        const found = rule.keywords.some(keyword =>
+          text.includes(` ${LocaleParser.foldText(keyword).replace(/[^a-z0-9ß]+/g, ' ').trim()} `));
+        if (!found) return false;
+      }
+      return Boolean(rule.merchant || rule.keywords?.length > 0);
+    }) || null;
+  }
+
+  /**
+   * List the categorization rules
+   * @param {Object} options - { team }
+   * @returns {Promise<Array<Object>>} Rules, in the order they are tried
+   */
+  async listRules({ team = null } = {}) {
+    const data = await this.load();
+    return data.rules.filter(rule => !team || rule.team === team);
+  }
+
+  /**
+   * Add a categorization rule
+   * @param {Object} rule - { category, merchant, keywords, team }
+   * @returns {Promise<Object>} Stored rule
+   */
+  async addRule({ category, merchant = null, keywords = [], team = null }) {
+    const data = await this.load();
+    const now = new Date().toISOString();
+    const rule = { rule_id: uuidv4(), category, merchant, keywords, team, created_at: now, updated_at: now };
+
+    data.rules.push(rule);
+    await this.save();
+    console.log(`🏷️ Category rule ${rule.rule_id} added: ${merchant || keywords.join(', ')} -> ${category}`);
+    return rule;
+  }
+
+  /**
+   * Change a categorization rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} changes - { category, merchant, keywords, team }
+   * @returns {Promise<Object|null>} Updated rule, or null if not found
+   */
+  async updateRule(ruleId, changes) {
+    const data = await this.load();
+    const rule = data.rules.find(r => r.rule_id === ruleId);
+    if (!rule) return null;
+
+    Object.assign(rule, changes, { updated_at: new Date().toISOString() });
+    await this.save();
+    console.log(`🏷️ Category rule ${ruleId} updated: ${Object.keys(changes).join(', ')}`);
+    return rule;
+  }
+
+  /**
+   * Delete a categorization rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} Whether the rule existed
+   */
+  async deleteRule(ruleId) {
+    const data = await this.load();
+    const index = data.rules.findIndex(rule => rule.rule_id === ruleId);
+    if (index === -1) return false;
+
+    data.rules.splice(index, 1);
+    await this.save();
+    console.log(`🗑️ Category rule ${ruleId} deleted`);
+    return true;
+  }
+
+  /**
+   * The team a phone number's corrections are shared with: its tenant in
+   * OCR_TENANTS_FILE, or just that number
+   */
+  getTeamId(phoneNumber, tenantId = null) {
+    return tenantId || OCRProviders.findTenantByPhone(phoneNumber) || `phone_${phoneNumber || 'unknown'}`;
+  }
+
+  merchantKey(receipt) {
+    const key = receipt.merchant_id || MerchantDirectory.normalizeKey(receipt.merchant_name);
+    return key && key !== 'unknown merchant' ? key : null;
+  }
+
+  result(category, source, confidence = null) {
+    return {
+      category,
+      category_source: source,
+      category_confidence: category ? (confidence ?? 1) : null
+    };
+  }
+
+  buildSeedCounts() {
+    const seed = {};
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      seed[category] = {};
+      for (const keyword of keywords) {
+        for (const [token] of this.tokenize({ merchant_name: keyword })) {
+          seed[category][token] = (seed[category][token] || 0) + SEED_WEIGHT;
+        }
+      }
+    }
+    return seed;
+  }
+
+  /**
+   * Load the rules and what each team has taught (once)
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    let data = { rules: [], teams: {} };
+    try {
+      data = { ...data, ...JSON.parse(await fs.readFile(this.dataFile, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Error reading categorization data, starting without rules:', error.message);
+      }
+    }
+
+    this.data = data;
+    return data;
+  }
+
+  async save() {
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+        await fs.writeFile(this.dataFile, JSON.stringify(this.data, null, 2));
+      } catch (error) {
+        console.error('❌ Error saving categorization data:', error);
+      }
+    });
+    return this.pendingWrite;
+  }
+}
+
+module.exports = new ExpenseCategorizer();
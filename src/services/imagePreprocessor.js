@@ -0,0 +1,368 @@
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const fs = require('fs').promises;
+const path = require('path');
+
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+
+class ImagePreprocessor {
+  constructor() {
+    this.enabled = process.env.ENABLE_IMAGE_PREPROCESSING !== 'false';
+    // OCR works best around 300 DPI; for receipts that is roughly 1000-2400px on the long side
+    this.maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION || '2400');
+    this.minDimension = parseInt(process.env.IMAGE_MIN_DIMENSION || '1000');
+    this.maxSkewDegrees = 10;
+    this.lowContrastStdev = 40;
+  }
+
+  /**
+   * Prepare a receipt photo for OCR: EXIF auto-rotate, format conversion,
+   * crop to the receipt, deskew, contrast/threshold and resize.
+   *
+   * The processed image is written next to the original as *_processed.png
+   * so reviewers can see exactly what OCR received.
+   *
+   * @param {string} filePath - Original image path
+   * @returns {Promise<Object>} { originalPath, processedPath, mimeType, steps, ... }
+   */
+  async preprocess(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (!this.enabled || ext === '.pdf') {
+      return {
+        originalPath: filePath,
+        processedPath: filePath,
+        skipped: true,
+        steps: []
+      };
+    }
+
+    console.log(`🖼️ Preprocessing image ${path.basename(filePath)}...`);
+    const startTime = Date.now();
+    const steps = [];
+
+    const { input, converted } = await this.readImage(filePath);
+    if (converted) {
+      steps.push('heic_to_jpeg');
+    }
+
+    // Only the first frame of animated GIF/WebP is used
+    const metadata = await sharp(input, { pages: 1 }).metadata();
+    if (['gif', 'webp', 'heif', 'tiff'].includes(metadata.format)) {
+      steps.push(`${metadata.format}_to_png`);
+    }
+    if (metadata.orientation && metadata.orientation > 1) {
+      steps.push('exif_auto_rotate');
+    }
+
+    // EXIF auto-rotate, flatten transparency, greyscale and cap the resolution
+    let image = await sharp(input, { pages: 1 })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({
+        width: this.maxDimension,
+        height: this.maxDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const originalSize = { width: metadata.width, height: metadata.height };
+    if (Math.max(originalSize.width, originalSize.height) > this.maxDimension) {
+      steps.push('downscale');
+    }
+
+    // Crop to the receipt edges first so deskew only looks at ink on paper
+    const crop = this.findReceiptBounds(image.data, image.info);
+    if (crop) {
+      image = await this.toRaw(this.fromRaw(image).extract(crop));
+      steps.push('crop');
+    }
+
+    // Deskew
+    const skewAngle = this.estimateSkewAngle(image.data, image.info);
+    if (Math.abs(skewAngle) >= 0.5) {
+      image = await this.toRaw(this.fromRaw(image).rotate(-skewAngle, { background: '#ffffff' }));
+      steps.push('deskew');
+    }
+
+    // Contrast: stretch levels, and binarize faded thermal paper
+    const { channels } = await this.fromRaw(image).stats();
+    let pipeline = this.fromRaw(image).normalise();
+    const lowContrast = channels[0].stdev < this.lowContrastStdev;
+    steps.push('normalise');
+    if (lowContrast) {
+      pipeline = pipeline.threshold(this.otsuThreshold(image.data));
+      steps.push('threshold');
+    }
+
+    // Small photos are upscaled so characters are large enough for OCR
+    if (Math.max(image.info.width, image.info.height) < this.minDimension) {
+      pipeline = pipeline.resize({
+        width: this.minDimension,
+        height: this.minDimension,
+        fit: 'inside'
+      });
+      steps.push('upscale');
+    }
+
+    const processedPath = this.getProcessedPath(filePath);
+    const output = await pipeline.png().toFile(processedPath);
+
+    console.log(`✅ Image preprocessed in ${Date.now() - startTime}ms (${steps.join(', ')})`);
+
+    return {
+      originalPath: filePath,
+      processedPath,
+      mimeType: 'image/png',
+      steps,
+      skew_angle: Math.round(skewAngle * 10) / 10,
+      crop: crop || null,
+      original_size: originalSize,
+      processed_size: { width: output.width, height: output.height },
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Estimate text skew using horizontal projection profiles of dark pixels.
+   * Text lines produce the sharpest profile when projected along their own angle.
+   * @returns {number} Skew angle in degrees (positive = clockwise)
+   */
+  estimateSkewAngle(data, { width, height }) {
+    // Sample dark pixels on a coarse grid to keep this fast on large images.
+    // Only pixels next to paper count, so text strokes matter and solid
+    // background left in the corners does not.
+    const stride = Math.max(1, Math.floor(Math.max(width, height) / 800));
+    const threshold = this.inkThreshold(data);
+    const reach = 2 * stride;
+    const points = [];
+
+    for (let y = 0; y < height; y += stride) {
+      for (let x = reach; x < width - reach; x += stride) {
+        const index = y * width + x;
+        if (data[index] < threshold &&
+            (data[index - reach] >= threshold || data[index + reach] >= threshold)) {
+          points.push(x, y);
+        }
+      }
+    }
+
+    // Too little (or too much) ink to say anything useful
+    const sampleCount = points.length / 2;
+    const totalSamples = Math.ceil(width / stride) * Math.ceil(height / stride);
+    if (sampleCount < 200 || sampleCount > totalSamples * 0.5) return 0;
+
+    const scoreAngle = (degrees) => {
+      const radians = degrees * Math.PI / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const bins = new Map();
+
+      for (let i = 0; i < points.length; i += 2) {
+        const bin = Math.round((points[i + 1] * cos - points[i] * sin) / stride);
+        bins.set(bin, (bins.get(bin) || 0) + 1);
+      }
+
+      let score = 0;
+      for (const count of bins.values()) score += count * count;
+      return score;
+    };
+
+    let bestAngle = 0;
+    let bestScore = scoreAngle(0);
+
+    // Coarse search, then refine around the best angle
+    for (let angle = -this.maxSkewDegrees; angle <= this.maxSkewDegrees; angle += 1) {
+      const score = scoreAngle(angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+    const coarseAngle = bestAngle;
+    for (let angle = coarseAngle - 1; angle <= coarseAngle + 1; angle += 0.1) {
+      const score = scoreAngle(angle);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+
+    return bestAngle;
+  }
+
+  /**
+   * Find the region to crop to, if cropping would help
+   * @returns {Object|null} sharp extract region, or null when cropping wouldn't help
+   */
+  findReceiptBounds(data, info) {
+    const bounds = this.measureReceiptBounds(data, info);
+    if (!bounds) return null;
+
+    // Skip when the photo is already tight, or when the "receipt" would be implausibly small
+    if (bounds.areaRatio > 0.9 || bounds.areaRatio < 0.15) return null;
+
+    return bounds.region;
+  }
+
+  /**
+   * Find the bounding box of the (bright) receipt paper against a darker background
+   * @param {Buffer} data - Greyscale pixels
+   * @param {Object} info - { width, height }
+   * @param {number} minShare - Share of a row/column that must be paper for it to count
+   * @returns {Object|null} { region, areaRatio } or null when no paper was found
+   */
+  measureReceiptBounds(data, { width, height }, minShare = 0.3) {
+    const threshold = this.otsuThreshold(data);
+    const rowBright = new Array(height).fill(0);
+    const colBright = new Array(width).fill(0);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[y * width + x] >= threshold) {
+          rowBright[y]++;
+          colBright[x]++;
+        }
+      }
+    }
+
+    // A row/column belongs to the receipt when a good share of it is paper
+    const firstLast = (counts, length) => {
+      const minCount = Math.max(1, length * minShare);
+      let first = counts.findIndex(count => count >= minCount);
+      if (first === -1) return null;
+      let last = counts.length - 1;
+      while (last > first && counts[last] < minCount) last--;
+      return [first, last];
+    };
+
+    const rows = firstLast(rowBright, width);
+    const cols = firstLast(colBright, height);
+    if (!rows || !cols) return null;
+
+    const marginX = Math.round(width * 0.01);
+    const marginY = Math.round(height * 0.01);
+    const left = Math.max(0, cols[0] - marginX);
+    const top = Math.max(0, rows[0] - marginY);
+    const right = Math.min(width - 1, cols[1] + marginX);
+    const bottom = Math.min(height - 1, rows[1] + marginY);
+
+    const region = { left, top, width: right - left + 1, height: bottom - top + 1 };
+
+    return {
+      region,
+      areaRatio: (region.width * region.height) / (width * height)
+    };
+  }
+
+  /**
+   * Grey level below which a pixel counts as ink: clearly darker than the paper,
+   * where paper is the 90th percentile brightness. Unlike Otsu this still works
+   * when leftover dark background would otherwise swallow faded grey print.
+   */
+  inkThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let count = 0;
+    let paper = 255;
+    for (let level = 0; level < 256; level++) {
+      count += histogram[level];
+      if (count >= data.length * 0.9) {
+        paper = level;
+        break;
+      }
+    }
+
+    return Math.round(paper * 0.8);
+  }
+
+  /**
+   * Otsu's method: the grey level that best separates ink from paper
+   */
+  otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    const total = data.length;
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 128;
+
+    for (let i = 0; i < 256; i++) {
+      weightBackground += histogram[i];
+      if (weightBackground === 0) continue;
+      const weightForeground = total - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += i * histogram[i];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sum - sumBackground) / weightForeground;
+      const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = i;
+      }
+    }
+
+    return threshold;
+  }
+
+  fromRaw({ data, info }) {
+    return sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    });
+  }
+
+  /**
+   * Render a pipeline to a single-channel raw buffer (sharp would otherwise emit sRGB)
+   */
+  toRaw(pipeline) {
+    return pipeline
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Read an image into a buffer sharp can decode
+   * @param {string} filePath - Image path
+   * @returns {Promise<Object>} { input, converted } - converted when a HEIC/HEIF was turned into JPEG
+   */
+  async readImage(filePath) {
+    const input = await fs.readFile(filePath);
+
+    // HEIC/HEIF: sharp's prebuilt libvips cannot decode HEVC, so convert to JPEG first.
+    // The extension alone isn't trusted: a JPEG saved as .heic is left to sharp
+    const heicName = HEIC_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && this.isIsoMedia(input);
+    if (heicName || this.isHeic(input)) {
+      return { input: Buffer.from(await heicConvert({ buffer: input, format: 'JPEG', quality: 0.95 })), converted: true };
+    }
+    return { input, converted: false };
+  }
+
+  isHeic(buffer) {
+    // ISO BMFF "ftyp" box with a HEIF brand
+    if (!this.isIsoMedia(buffer)) return false;
+    return ['heic', 'heix', 'hevc', 'hevx'].includes(buffer.toString('ascii', 8, 12));
+  }
+
+  isIsoMedia(buffer) {
+    return buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp';
+  }
+
+  getProcessedPath(filePath) {
+    const { dir, name } = path.parse(filePath);
+    return path.join(dir, `${name}_processed.png`);
+  }
+}
+
+module.exports = new ImagePreprocessor();
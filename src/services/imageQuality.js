@@ -0,0 +1,211 @@
+const sharp = require('sharp');
+const path = require('path');
+const ImagePreprocessor = require('./imagePreprocessor');
+
+// What to tell the user for each failed check
+const ISSUES = {
+  blurry: {
+    message: 'The photo looks blurry',
+    tip: 'Hold your phone steady, tap the screen to focus on the receipt, and make sure there is enough light.'
+  },
+  too_dark: {
+    message: 'The photo is too dark',
+    tip: 'Move to a brighter spot or turn on your flash.'
+  },
+  glare: {
+    message: 'There is glare on the receipt',
+    tip: 'Tilt the receipt or your phone slightly so the light does not reflect off the paper.'
+  },
+  too_small: {
+    message: 'The receipt is too small in the photo',
+    tip: 'Move closer so the receipt fills most of the frame, with all four edges visible.'
+  },
+  not_a_receipt: {
+    message: 'This does not look like a receipt',
+    tip: 'Send a photo of a printed receipt laid flat on a plain, darker surface.'
+  },
+  low_confidence: {
+    message: 'I could not read the text reliably',
+    tip: 'Lay the receipt flat, avoid shadows and creases, and take the photo straight on.'
+  }
+};
+
+class ImageQualityService {
+  constructor() {
+    this.enabled = process.env.ENABLE_QUALITY_GATE !== 'false';
+    this.blurThreshold = parseFloat(process.env.IMAGE_BLUR_THRESHOLD || '60');
+    this.minConfidence = parseFloat(process.env.OCR_MIN_CONFIDENCE || '0.5');
+    this.minReceiptArea = 0.1;
+    this.analysisDimension = 1000;
+  }
+
+  /**
+   * Pre-OCR check: is this photo good enough to be worth reading?
+   * @param {string} filePath - Original image path
+   * @returns {Promise<Object>} { passed, issues, metrics }
+   */
+  async assessImage(filePath) {
+    if (!this.enabled || path.extname(filePath).toLowerCase() === '.pdf') {
+      return { passed: true, issues: [], metrics: {} };
+    }
+
+    const { input } = await ImagePreprocessor.readImage(filePath);
+    const { data, info } = await sharp(input, { pages: 1 })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize({
+        width: this.analysisDimension,
+        height: this.analysisDimension,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const issues = [];
+    const metrics = {};
+
+    // Framing: how much of the photo the receipt paper covers (a loose share
+    // so a receipt far away from the camera still registers)
+    const bounds = ImagePreprocessor.measureReceiptBounds(data, info, 0.02);
+    metrics.receipt_area = bounds ? Math.round(bounds.areaRatio * 100) / 100 : 0;
+
+    // The remaining checks only look at the receipt itself
+    const region = this.extractRegion(data, info, bounds?.region);
+    const median = this.percentile(region.data, 0.5);
+
+    // Brightness: the paper (brightest 10% of the receipt) should be reasonably light
+    metrics.brightness = Math.round(this.mean(region.data));
+    metrics.paper_level = this.percentile(region.data, 0.9);
+    if (metrics.paper_level < 90 || metrics.brightness < 50) {
+      issues.push('too_dark');
+    }
+    if (bounds && bounds.areaRatio < this.minReceiptArea) {
+      issues.push('too_small');
+    }
+
+    // Dark or distant photos make the remaining measurements unreliable
+    if (issues.length > 0) {
+      return this.buildResult(issues, metrics);
+    }
+
+    // Receipts are mostly evenly-toned paper with a modest amount of print
+    const paperShare = this.fraction(region.data, value => Math.abs(value - median) <= 25);
+    const ink = this.fraction(region.data, value => value < median * 0.75);
+    metrics.paper_share = Math.round(paperShare * 100) / 100;
+    metrics.ink_coverage = Math.round(ink * 1000) / 1000;
+    if (paperShare < 0.4 || ink < 0.003) {
+      return this.buildResult(['not_a_receipt'], metrics);
+    }
+
+    metrics.sharpness = Math.round(this.laplacianVariance(region.data, region.width, region.height));
+    if (metrics.sharpness < this.blurThreshold) {
+      issues.push('blurry');
+    }
+
+    // Glare: blown-out highlights on paper that is otherwise not pure white
+    const saturated = this.fraction(region.data, value => value >= 250);
+    metrics.glare = Math.round(saturated * 1000) / 1000;
+    if (saturated > 0.05 && median < 215) {
+      issues.push('glare');
+    }
+
+    return this.buildResult(issues, metrics);
+  }
+
+  /**
+   * Post-OCR check: did OCR produce something we can trust?
+   * @param {Object} receiptData - Parsed receipt data
+   * @returns {Object} { passed, issues, metrics }
+   */
+  assessOcrResult(receiptData) {
+    if (!this.enabled) {
+      return { passed: true, issues: [], metrics: {} };
+    }
+
+    const issues = [];
+    const text = (receiptData.original_text || '').trim();
+    const metrics = {
+      confidence: receiptData.confidence_score || 0,
+      text_length: text.length
+    };
+
+    if (text.length < 10 || !/\d/.test(text)) {
+      issues.push('not_a_receipt');
+    } else if (metrics.confidence < this.minConfidence) {
+      issues.push('low_confidence');
+    }
+
+    return this.buildResult(issues, metrics);
+  }
+
+  buildResult(issueCodes, metrics) {
+    const issues = issueCodes.map(code => ({ code, ...ISSUES[code] }));
+    return { passed: issues.length === 0, issues, metrics };
+  }
+
+  /**
+   * Variance of the Laplacian - low values mean few sharp edges (blur)
+   */
+  laplacianVariance(data, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+        sum += value;
+        sumSquares += value * value;
+        count++;
+      }
+    }
+
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+
+  extractRegion(data, info, region) {
+    if (!region) {
+      return { data, width: info.width, height: info.height };
+    }
+
+    const cropped = Buffer.alloc(region.width * region.height);
+    for (let y = 0; y < region.height; y++) {
+      const start = (region.top + y) * info.width + region.left;
+      data.copy(cropped, y * region.width, start, start + region.width);
+    }
+    return { data: cropped, width: region.width, height: region.height };
+  }
+
+  percentile(data, p) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let count = 0;
+    for (let level = 0; level < 256; level++) {
+      count += histogram[level];
+      if (count >= data.length * p) return level;
+    }
+    return 255;
+  }
+
+  mean(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i];
+    return data.length > 0 ? sum / data.length : 0;
+  }
+
+  fraction(data, predicate) {
+    let matches = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (predicate(data[i])) matches++;
+    }
+    return data.length > 0 ? matches / data.length : 0;
+  }
+}
+
+module.exports = new ImageQualityService();
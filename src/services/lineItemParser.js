@@ -0,0 +1,428 @@
+const LocaleParser = require('./localeParser');
+const TaxTypes = require('./taxTypes');
+
+// Totals, taxes, tips, payments and change - never items
+const NON_ITEM_LINE = /\b(?:sub[\s-]?total|total|tax|tip|gratuity|service charge|trinkgeld|propina|pourboire|balance|amount due|change|cash|card|visa|mastercard|amex|tender(?:ed)?|payment|summe|zwischensumme|mwst|ust|vat|gst|hst|pst|qst|iva|tva|importe|montant|betrag|gegeben|r[üu]ckgeld|wechselgeld)\b/i;
+
+// Lines that take money off the item above them (or the whole order)
+const DISCOUNT_LINE = /\b(?:discount|savings?|you saved|coupon|promo(?:tion)?|markdown|rabatt|nachlass|preisvorteil|remise|r[ée]duction|descuento|sconto|desconto)\b/i;
+
+// Units a quantity or unit price may be given in ("0,512 kg x 3,99 €/kg")
+const UNIT = '(?:kg|g|lbs?|oz|l|ml|pcs?|stk|st|ea|each)\\.?';
+
+// Per-line tax flags printed after the amount: "A", "B1", "T", "*", "7%"
+const TAX_CODE = '[A-Z]\\d?|\\*{1,2}|\\d{1,2}(?:[.,]\\d{1,2})?\\s?%';
+
+// An amount with optional currency symbol or code and sign, as printed on the line
+const MONEY = `-?\\s?${LocaleParser.currencySymbol}\\s?-?(?:${LocaleParser.amountPattern})-?(?:\\s?(?:€|(?:[A-Z]{3}|kr|zł|Kč|Ft|TL)\\b))?`;
+const QUANTITY = '\\d+(?:[.,]\\d{1,3})?';
+
+// "2 x 1,09" on its own - quantity and unit price with no line total
+const QUANTITY_LINE = new RegExp(`^(${QUANTITY})\\s*(?:${UNIT})?\\s*[x×*@]\\s*(${MONEY})(?:\\s*\\/\\s*${UNIT})?$`, 'i');
+// "<description> <line total> [tax code]"
+const LINE_TOTAL = new RegExp(`^(.*?)\\s*(${MONEY})(?:\\s+(${TAX_CODE}))?$`);
+// "... 2 x 4.50", "... 0,512 kg x 3,99 €/kg", "... 2 @ 4.50"
+const QUANTITY_AT_PRICE = new RegExp(`^(.*?)\\s*(${QUANTITY})\\s*(?:${UNIT})?\\s*[x×*@]\\s*(${MONEY})(?:\\s*\\/\\s*${UNIT}|\\s+(?:ea|each))?$`, 'i');
+// "... @ 4.50"
+const AT_PRICE = new RegExp(`^(.*?)\\s*@\\s*(${MONEY})(?:\\s*\\/\\s*${UNIT}|\\s+(?:ea|each))?$`, 'i');
+// "... 4.50" - a unit price column in front of the line total
+const PRICE_COLUMN = new RegExp(`^(.*?)\\s+(${MONEY})$`);
+
+// Quantity markers around the description: "2 x Latte", "2x Latte", "Latte x2", "3 Stk Brot"
+const LEADING_QUANTITY = new RegExp(`^(${QUANTITY})\\s*(?:[x×*]|${UNIT})\\s+(.+)$`, 'i');
+const LEADING_X_QUANTITY = /^[x×](\d+)\s+(.+)$/i;
+const TRAILING_QUANTITY = /^(.+?)\s+(?:[x×]\s*(\d+)|(\d+)\s*[x×])$/i;
+const PLAIN_QUANTITY = /^(\d{1,3})\s+(.+)$|^(.+?)\s+(\d{1,3}(?:[.,]\d{1,3})?)$/;
+
+// Product codes: labelled, a leading number, or a barcode at the end
+const LABELLED_SKU = /\b(?:SKU|UPC|EAN|PLU|Item\s?#|Art(?:\.|ikel)?(?:-?Nr\.?)?)[:#\s]*([A-Z0-9][A-Z0-9-]{2,19})\b/i;
+const LEADING_SKU = /^(\d{5,14})\s+(.+)$/;
+const TRAILING_SKU = /^(.+?)\s+(\d{8,14})$/;
+
+class LineItemParser {
+  /**
+   * Extract structured line items, from line_item entities when the OCR
+   * provider returned them and from the receipt text otherwise
+   * @param {Array} entities - OCR entities
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @returns {Object} { items, source } - source is 'entities', 'text' or null
+   */
+  extract(entities = [], text = '', context = {}) {
+    const textItems = this.parseText(text, context);
+    const entityItems = this.fromEntities(entities, context);
+
+    if (entityItems.length > 0) {
+      return { items: this.fillFromText(entityItems, textItems), source: 'entities' };
+    }
+    return { items: textItems, source: textItems.length > 0 ? 'text' : null };
+  }
+
+  /**
+   * Line items from Document AI-style line_item entities, whose properties are
+   * line_item/description, /quantity, /unit_price, /amount and /product_code
+   */
+  fromEntities(entities, context) {
+    const items = [];
+
+    for (const entity of entities) {
+      if (entity.type !== 'line_item' || !Array.isArray(entity.properties)) continue;
+
+      const property = name => entity.properties.find(p => p.type === `line_item/${name}`)?.mentionText || null;
+      const description = this.cleanDescription(property('description') || entity.mentionText || '');
+      const amountMinor = LocaleParser.parseAmountMinor(property('amount'), context);
+      if (!description || amountMinor === null) continue;
+
+      items.push(this.buildItem({
+        description,
+        quantity: this.parseQuantity(property('quantity')),
+        unitPriceMinor: LocaleParser.parseAmountMinor(property('unit_price'), context),
+        amountMinor,
+        sku: property('product_code')
+      }, context));
+    }
+
+    return items;
+  }
+
+  /**
+   * Layout-aware text parser: handles quantity and unit price on the item's
+   * line or the line below it, descriptions on the line above the amounts,
+   * discount lines, product codes and per-line tax flags
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @returns {Array<Object>} Line items
+   */
+  parseText(text, context = {}) {
+    const items = [];
+    let lastItem = null;
+    let pendingDescription = null;
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim().replace(/\s+/g, ' ');
+      if (!line) continue;
+
+      if (NON_ITEM_LINE.test(line) || this.isTaxLine(line) || LocaleParser.parseDate(line, context)) {
+        lastItem = null;
+        pendingDescription = null;
+        continue;
+      }
+
+      const parsed = this.parseLine(line, context);
+
+      if (!parsed) {
+        // A description printed on its own, with the amounts on the next line
+        pendingDescription = /\p{L}.*\p{L}/u.test(line) ? this.cleanDescription(line) : null;
+        continue;
+      }
+
+      if (parsed.kind === 'quantity') {
+        // "2 x 1,09" under an item that only showed its line total
+        const gross = Math.round(parsed.quantity * parsed.unitPriceMinor);
+        if (lastItem && lastItem.quantity === 1 && !lastItem.discount_minor && Math.abs(gross - lastItem.amount_minor) <= 1) {
+          Object.assign(lastItem, this.buildItem({ ...this.toParts(lastItem), ...parsed }, context));
+        } else if (pendingDescription) {
+          lastItem = this.buildItem({ ...parsed, description: pendingDescription, amountMinor: gross }, context);
+          items.push(lastItem);
+        }
+        pendingDescription = null;
+        continue;
+      }
+
+      const description = parsed.description || pendingDescription;
+      pendingDescription = null;
+
+      if (parsed.kind === 'discount' || (parsed.amountMinor < 0 && lastItem)) {
+        const discount = Math.abs(parsed.amountMinor);
+        if (lastItem && discount <= lastItem.amount_minor) {
+          const parts = this.toParts(lastItem);
+          Object.assign(lastItem, this.buildItem({
+            ...parts,
+            amountMinor: parts.amountMinor - discount,
+            discountMinor: (parts.discountMinor || 0) + discount
+          }, context));
+          continue;
+        }
+        // An order-level discount is kept as a negative line
+        items.push(this.buildItem({ ...parsed, description: description || 'Discount', amountMinor: -discount }, context));
+        lastItem = null;
+        continue;
+      }
+
+      if (!description || !/\p{L}{2}/u.test(description)) continue;
+
+      lastItem = this.buildItem({ ...parsed, description }, context);
+      items.push(lastItem);
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse one receipt line
+   * @param {string} line - Text line
+   * @param {Object} context - { locale, currency }
+   * @param {Object} options - { requireDecimals } (false for amounts typed by a user)
+   * @returns {Object|null} { kind: 'item' | 'discount' | 'quantity', description,
+   *   quantity, unitPriceMinor, amountMinor, sku, taxCode }, or null when the
+   *   line has no amount
+   */
+  parseLine(line, context = {}, { requireDecimals = true } = {}) {
+    const exponent = requireDecimals ? LocaleParser.getCurrencyExponent(context.currency) : 0;
+
+    const quantityOnly = line.match(QUANTITY_LINE);
+    if (quantityOnly) {
+      return {
+        kind: 'quantity',
+        quantity: this.parseQuantity(quantityOnly[1]),
+        unitPriceMinor: LocaleParser.parseAmountMinor(quantityOnly[2], context)
+      };
+    }
+
+    const total = line.match(LINE_TOTAL);
+    if (!total || !this.hasMinorDigits(total[2], exponent)) return null;
+
+    const amountMinor = LocaleParser.parseAmountMinor(total[2], context);
+    if (amountMinor === null) return null;
+
+    let head = total[1].trim();
+    let quantity = null;
+    let unitPriceMinor = null;
+
+    const quantityAtPrice = head.match(QUANTITY_AT_PRICE);
+    const atPrice = !quantityAtPrice && head.match(AT_PRICE);
+    const priceColumn = !quantityAtPrice && !atPrice && head.match(PRICE_COLUMN);
+
+    if (quantityAtPrice) {
+      head = quantityAtPrice[1];
+      quantity = this.parseQuantity(quantityAtPrice[2]);
+      unitPriceMinor = LocaleParser.parseAmountMinor(quantityAtPrice[3], context);
+    } else if (atPrice) {
+      head = atPrice[1];
+      unitPriceMinor = LocaleParser.parseAmountMinor(atPrice[2], context);
+    } else if (priceColumn && this.hasMinorDigits(priceColumn[2], exponent)) {
+      // A second amount is only a unit price if it adds up to the line total
+      const columnPrice = LocaleParser.parseAmountMinor(priceColumn[2], context);
+      const markedQuantity = this.splitDescription(priceColumn[1], {}).quantity;
+      const plain = priceColumn[1].match(PLAIN_QUANTITY);
+      const plainQuantity = plain && this.parseQuantity(plain[1] || plain[4]);
+
+      if (columnPrice > 0 && markedQuantity && this.multipliesTo(markedQuantity, columnPrice, amountMinor)) {
+        head = priceColumn[1];
+        unitPriceMinor = columnPrice;
+      } else if (columnPrice > 0 && plainQuantity && this.multipliesTo(plainQuantity, columnPrice, amountMinor)) {
+        head = plain[2] || plain[3];
+        quantity = plainQuantity;
+        unitPriceMinor = columnPrice;
+      } else if (columnPrice > 0 && Number.isInteger(amountMinor / columnPrice) && amountMinor / columnPrice >= 1) {
+        head = priceColumn[1];
+        quantity = amountMinor / columnPrice;
+        unitPriceMinor = columnPrice;
+      }
+    }
+
+    const description = this.splitDescription(head, { quantity, unitPriceMinor, amountMinor });
+
+    return {
+      kind: DISCOUNT_LINE.test(head) ? 'discount' : 'item',
+      description: description.text,
+      quantity: description.quantity,
+      unitPriceMinor,
+      amountMinor,
+      sku: description.sku,
+      taxCode: total[3] ? total[3].replace(/\s/g, '') : null
+    };
+  }
+
+  /**
+   * Pull the quantity marker and product code out of the description
+   */
+  splitDescription(head, { quantity, unitPriceMinor, amountMinor }) {
+    let text = head.trim();
+    let sku = null;
+    let match;
+
+    if ((match = text.match(LABELLED_SKU))) {
+      sku = match[1];
+      text = text.replace(match[0], ' ').trim();
+    }
+
+    if ((match = text.match(LEADING_QUANTITY))) {
+      quantity = quantity || this.parseQuantity(match[1]);
+      text = match[2];
+    } else if ((match = text.match(LEADING_X_QUANTITY))) {
+      quantity = quantity || this.parseQuantity(match[1]);
+      text = match[2];
+    } else if ((match = text.match(TRAILING_QUANTITY))) {
+      quantity = quantity || this.parseQuantity(match[2] || match[3]);
+      text = match[1];
+    } else if (unitPriceMinor && (match = text.match(/^(\d{1,3})\s+(.+)$/)) &&
+               this.multipliesTo(this.parseQuantity(match[1]), unitPriceMinor, amountMinor)) {
+      // A bare leading number only counts as a quantity when the prices confirm it
+      quantity = quantity || this.parseQuantity(match[1]);
+      text = match[2];
+    }
+
+    if (!sku && (match = text.match(LEADING_SKU))) {
+      sku = match[1];
+      text = match[2];
+    } else if (!sku && (match = text.match(TRAILING_SKU))) {
+      sku = match[2];
+      text = match[1];
+    }
+
+    return { text: this.cleanDescription(text), quantity, sku };
+  }
+
+  /**
+   * Assemble a stored line item. Amounts are decimal strings plus exact minor
+   * units; amount is the line total after any discount.
+   */
+  buildItem({ description, quantity, unitPriceMinor = null, amountMinor, discountMinor = null, sku = null, taxCode = null }, context) {
+    const { currency } = context;
+    const qty = quantity || 1;
+    const grossMinor = (amountMinor || 0) + (discountMinor || 0);
+    let unitMinor = unitPriceMinor ?? null;
+    if (unitMinor === null && Number.isInteger(qty) && grossMinor % qty === 0) {
+      unitMinor = grossMinor / qty;
+    }
+
+    return {
+      description,
+      quantity: qty,
+      unit_price: LocaleParser.fromMinorUnits(unitMinor, currency),
+      unit_price_minor: unitMinor,
+      discount: LocaleParser.fromMinorUnits(discountMinor, currency),
+      discount_minor: discountMinor,
+      amount: LocaleParser.fromMinorUnits(amountMinor, currency),
+      amount_minor: amountMinor,
+      sku: sku || null,
+      tax_code: taxCode || null
+    };
+  }
+
+  toParts(item) {
+    return {
+      description: item.description,
+      quantity: item.quantity,
+      unitPriceMinor: item.quantity === 1 && !item.discount_minor ? null : item.unit_price_minor,
+      amountMinor: item.amount_minor,
+      discountMinor: item.discount_minor,
+      sku: item.sku,
+      taxCode: item.tax_code
+    };
+  }
+
+  /**
+   * Entity items rarely carry discounts or tax flags; take them from the
+   * matching text line when there is one
+   */
+  fillFromText(entityItems, textItems) {
+    const unused = [...textItems];
+
+    return entityItems.map(item => {
+      const index = unused.findIndex(candidate =>
+        (candidate.amount_minor === item.amount_minor || candidate.amount_minor + (candidate.discount_minor || 0) === item.amount_minor) &&
+        candidate.description.toLowerCase().startsWith(item.description.toLowerCase().slice(0, 4)));
+      if (index === -1) return item;
+
+      const [match] = unused.splice(index, 1);
+      return {
+        ...item,
+        discount: item.discount || match.discount,
+        discount_minor: item.discount_minor || match.discount_minor,
+        amount: match.discount_minor ? match.amount : item.amount,
+        amount_minor: match.discount_minor ? match.amount_minor : item.amount_minor,
+        sku: item.sku || match.sku,
+        tax_code: item.tax_code || match.tax_code
+      };
+    });
+  }
+
+  /**
+   * Check that the line items add up to the receipt total, with tax either
+   * added on top (US-style) or already included in the prices (VAT-style)
+   * @param {Object} receipt - { line_items, total_amount_minor, tax_amount_minor, subtotal_amount_minor, currency }
+   * @returns {Object} { status: 'matched' | 'mismatch' | 'unavailable', items_total,
+   *   items_total_minor, tax_included, difference, difference_minor, matches_subtotal }
+   */
+  reconcile(receipt) {
+    const items = receipt.line_items || [];
+    const { currency } = receipt;
+    // A tip printed above the total is in it, but not in the items
+    const total = receipt.tip_included && Number.isInteger(receipt.tip_amount_minor)
+      ? receipt.total_amount_minor - receipt.tip_amount_minor
+      : receipt.total_amount_minor;
+
+    if (items.length === 0 || !Number.isInteger(total)) {
+      return { status: 'unavailable', items_total: null, items_total_minor: null };
+    }
+
+    const itemsTotal = items.reduce((sum, item) => sum + (item.amount_minor || 0), 0);
+    const tax = receipt.tax_amount_minor || 0;
+    // One minor unit of slack for per-line rounding
+    const tolerance = 1;
+
+    let taxIncluded = false;
+    let difference = total - (itemsTotal + tax);
+    if (Math.abs(difference) > tolerance && tax && Math.abs(total - itemsTotal) <= tolerance) {
+      taxIncluded = true;
+      difference = total - itemsTotal;
+    }
+
+    return {
+      status: Math.abs(difference) <= tolerance ? 'matched' : 'mismatch',
+      items_total: LocaleParser.fromMinorUnits(itemsTotal, currency),
+      items_total_minor: itemsTotal,
+      tax_included: taxIncluded,
+      difference: LocaleParser.fromMinorUnits(difference, currency),
+      difference_minor: difference,
+      matches_subtotal: Number.isInteger(receipt.subtotal_amount_minor)
+        ? Math.abs(receipt.subtotal_amount_minor - itemsTotal) <= tolerance
+        : null
+    };
+  }
+
+  isDiscountLine(line) {
+    return DISCOUNT_LINE.test(line);
+  }
+
+  /**
+   * Whether the line names a tax, as TaxParser reads it ("CGST 2.5% 30.86", "MwSt 19% 1,52")
+   */
+  isTaxLine(line) {
+    return TaxTypes.classify(line, null) !== null;
+  }
+
+  /**
+   * Short label for messages: "2 x Latte", "0.512 x Bananen", "Muffin"
+   */
+  describe(item) {
+    const description = item.description || 'Item';
+    return item.quantity && item.quantity !== 1 ? `${item.quantity} x ${description}` : description;
+  }
+
+  multipliesTo(quantity, unitPriceMinor, amountMinor) {
+    return Boolean(quantity) && Math.abs(Math.round(quantity * unitPriceMinor) - amountMinor) <= 1;
+  }
+
+  parseQuantity(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const quantity = parseFloat(String(value).replace(',', '.'));
+    return quantity > 0 ? quantity : null;
+  }
+
+  /**
+   * Line totals are printed with the currency's decimals ("9.00"), which
+   * keeps table numbers, counts and phone fragments out of the items
+   */
+  hasMinorDigits(money, exponent) {
+    return exponent === 0 || new RegExp(`[.,]\\d{${exponent}}(?!\\d)`).test(money);
+  }
+
+  cleanDescription(text) {
+    return String(text || '').replace(/\s+/g, ' ').replace(/^[\s*#.:-]+|[\s*#.:-]+$/g, '').trim();
+  }
+}
+
+module.exports = new LineItemParser();
@@ -0,0 +1,388 @@
+// Country (ISO 3166 alpha-2) -> phone calling code, locale and local currency.
+// The first entry for a currency is that currency's default locale, and the
+// first entry for a calling code is the country a phone number maps to.
+const COUNTRIES = [
+  { country: 'US', callingCode: '1', locale: 'en-US', currency: 'USD' },
+  { country: 'CA', callingCode: '1', locale: 'en-CA', currency: 'CAD' },
+  { country: 'DE', callingCode: '49', locale: 'de-DE', currency: 'EUR' },
+  { country: 'AT', callingCode: '43', locale: 'de-AT', currency: 'EUR' },
+  { country: 'FR', callingCode: '33', locale: 'fr-FR', currency: 'EUR' },
+  { country: 'BE', callingCode: '32', locale: 'fr-BE', currency: 'EUR' },
+  { country: 'ES', callingCode: '34', locale: 'es-ES', currency: 'EUR' },
+  { country: 'PT', callingCode: '351', locale: 'pt-PT', currency: 'EUR' },
+  { country: 'IT', callingCode: '39', locale: 'it-IT', currency: 'EUR' },
+  { country: 'NL', callingCode: '31', locale: 'nl-NL', currency: 'EUR' },
+  { country: 'IE', callingCode: '353', locale: 'en-IE', currency: 'EUR' },
+  { country: 'FI', callingCode: '358', locale: 'fi-FI', currency: 'EUR' },
+  { country: 'GR', callingCode: '30', locale: 'el-GR', currency: 'EUR' },
+  { country: 'GB', callingCode: '44', locale: 'en-GB', currency: 'GBP' },
+  { country: 'CH', callingCode: '41', locale: 'de-CH', currency: 'CHF' },
+  { country: 'PL', callingCode: '48', locale: 'pl-PL', currency: 'PLN' },
+  { country: 'SE', callingCode: '46', locale: 'sv-SE', currency: 'SEK' },
+  { country: 'NO', callingCode: '47', locale: 'nb-NO', currency: 'NOK' },
+  { country: 'DK', callingCode: '45', locale: 'da-DK', currency: 'DKK' },
+  { country: 'CZ', callingCode: '420', locale: 'cs-CZ', currency: 'CZK' },
+  { country: 'HU', callingCode: '36', locale: 'hu-HU', currency: 'HUF' },
+  { country: 'RO', callingCode: '40', locale: 'ro-RO', currency: 'RON' },
+  { country: 'TR', callingCode: '90', locale: 'tr-TR', currency: 'TRY' },
+  { country: 'IN', callingCode: '91', locale: 'en-IN', currency: 'INR' },
+  { country: 'PK', callingCode: '92', locale: 'en-PK', currency: 'PKR' },
+  { country: 'BR', callingCode: '55', locale: 'pt-BR', currency: 'BRL' },
+  { country: 'MX', callingCode: '52', locale: 'es-MX', currency: 'MXN' },
+  { country: 'AR', callingCode: '54', locale: 'es-AR', currency: 'ARS' },
+  { country: 'CL', callingCode: '56', locale: 'es-CL', currency: 'CLP' },
+  { country: 'CO', callingCode: '57', locale: 'es-CO', currency: 'COP' },
+  { country: 'PE', callingCode: '51', locale: 'es-PE', currency: 'PEN' },
+  { country: 'UY', callingCode: '598', locale: 'es-UY', currency: 'UYU' },
+  { country: 'PY', callingCode: '595', locale: 'es-PY', currency: 'PYG' },
+  { country: 'BO', callingCode: '591', locale: 'es-BO', currency: 'BOB' },
+  { country: 'EC', callingCode: '593', locale: 'es-EC', currency: 'USD' },
+  { country: 'CR', callingCode: '506', locale: 'es-CR', currency: 'CRC' },
+  { country: 'AU', callingCode: '61', locale: 'en-AU', currency: 'AUD' },
+  { country: 'NZ', callingCode: '64', locale: 'en-NZ', currency: 'NZD' },
+  { country: 'SG', callingCode: '65', locale: 'en-SG', currency: 'SGD' },
+  { country: 'MY', callingCode: '60', locale: 'ms-MY', currency: 'MYR' },
+  { country: 'ID', callingCode: '62', locale: 'id-ID', currency: 'IDR' },
+  { country: 'PH', callingCode: '63', locale: 'en-PH', currency: 'PHP' },
+  { country: 'TH', callingCode: '66', locale: 'th-TH', currency: 'THB' },
+  { country: 'JP', callingCode: '81', locale: 'ja-JP', currency: 'JPY' },
+  { country: 'ZA', callingCode: '27', locale: 'en-ZA', currency: 'ZAR' },
+  { country: 'NG', callingCode: '234', locale: 'en-NG', currency: 'NGN' },
+  { country: 'KE', callingCode: '254', locale: 'en-KE', currency: 'KES' },
+  { country: 'AE', callingCode: '971', locale: 'en-AE', currency: 'AED' },
+  { country: 'SA', callingCode: '966', locale: 'en-SA', currency: 'SAR' },
+  { country: 'IL', callingCode: '972', locale: 'he-IL', currency: 'ILS' },
+  { country: 'CN', callingCode: '86', locale: 'zh-CN', currency: 'CNY' },
+  { country: 'HK', callingCode: '852', locale: 'en-HK', currency: 'HKD' },
+  { country: 'KR', callingCode: '82', locale: 'ko-KR', currency: 'KRW' }
+];
+
+// Longest calling code first, so +353 (Ireland) is not read as +35x
+const COUNTRIES_BY_CODE = [...COUNTRIES].sort((a, b) => b.callingCode.length - a.callingCode.length);
+
+/**
+ * A number as printed on a receipt, with any thousands grouping:
+ * 1234.56, 1,234.56, 1.234,56, 1'234.56, 1 234,56, 1,23,456.78, 12,50
+ */
+const AMOUNT_PATTERN = '\\d{1,3}(?:[.,\'’\\u00a0\\u202f]\\d{2,3})+(?:[.,]\\d{1,3})?|\\d+(?:[.,]\\d{1,3})?';
+
+// Optional currency symbol, or symbol/ISO code, in front of an amount
+const SYMBOLS = '[A-Z]{1,3}\\$|Rs\\.?|[$€£¥₹₩₽₺₪₱฿₫₦]';
+const CURRENCY_SYMBOL = `(?:${SYMBOLS})?`;
+const CURRENCY_PREFIX = `(?:${SYMBOLS}|[A-Z]{3}(?=[\\s\\d]))?`;
+
+// Month names are recognised in these languages as well as the receipt's own
+const MONTH_LANGUAGES = ['en', 'es', 'fr', 'de', 'pt', 'it'];
+
+class LocaleParser {
+  constructor() {
+    this.defaultLocale = this.normalizeLocale(process.env.DEFAULT_LOCALE) || 'en-US';
+    this.amountPattern = AMOUNT_PATTERN;
+    this.currencySymbol = CURRENCY_SYMBOL;
+    this.currencyPrefix = CURRENCY_PREFIX;
+    this.monthCache = new Map();
+  }
+
+  /**
+   * Pick the locale to read a receipt with
+   * @param {Object} context - { locale, currency, phoneNumber }
+   * @returns {string} BCP 47 locale tag
+   */
+  resolveLocale({ locale, currency, phoneNumber } = {}) {
+    // 1. The user's own setting
+    const userLocale = this.normalizeLocale(locale);
+    if (userLocale) return userLocale;
+
+    // 2. The sender's country, unless the receipt is in another country's currency
+    const country = this.getCountryForPhone(phoneNumber);
+    if (country && (!currency || country.currency === currency)) {
+      return country.locale;
+    }
+
+    // 3. Where the receipt's currency is used
+    const currencyCountry = currency && COUNTRIES.find(c => c.currency === currency);
+    if (currencyCountry) return currencyCountry.locale;
+
+    return country?.locale || this.defaultLocale;
+  }
+
+  /**
+   * Validate and canonicalize a locale tag ("pt-br" -> "pt-BR")
+   * @returns {string|null} Canonical tag, or null if unsupported
+   */
+  normalizeLocale(locale) {
+    if (!locale || typeof locale !== 'string') return null;
+
+    try {
+      const [canonical] = Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'));
+      return Intl.NumberFormat.supportedLocalesOf(canonical).length > 0 ? canonical : null;
+    } catch {
+      return null;
+    }
+  }
+
+  getCountry(countryCode) {
+    return COUNTRIES.find(country => country.country === countryCode) || null;
+  }
+
+  getCountryForPhone(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (!digits) return null;
+    return COUNTRIES_BY_CODE.find(country => digits.startsWith(country.callingCode)) || null;
+  }
+
+  /**
+   * Number of minor-unit digits for a currency (JPY 0, USD 2, KWD 3)
+   */
+  getCurrencyExponent(currency) {
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency: currency || 'USD' })
+        .resolvedOptions().maximumFractionDigits;
+    } catch {
+      return 2;
+    }
+  }
+
+  getDecimalSeparator(locale) {
+    const parts = new Intl.NumberFormat(locale || this.defaultLocale).formatToParts(1.5);
+    return parts.find(part => part.type === 'decimal')?.value || '.';
+  }
+
+  /**
+   * Parse an amount as printed on a receipt into exact minor units.
+   * The rightmost separator is the decimal point when both "." and "," appear;
+   * a lone separator followed by exactly three digits is decided by the locale.
+   * @param {string|number} input - e.g. "1.234,56 €", "$12.50", "(3.00)"
+   * @param {Object} context - { locale, currency }
+   * @returns {number|null} Integer amount in minor units (cents), or null
+   */
+  parseAmountMinor(input, { locale, currency } = {}) {
+    if (input === null || input === undefined || input === '') return null;
+
+    const exponent = this.getCurrencyExponent(currency);
+
+    if (typeof input === 'number') {
+      return Number.isFinite(input) ? Math.round(input * 10 ** exponent) : null;
+    }
+
+    const text = String(input).trim();
+    const match = text.match(/\d(?:[\d.,'’\u00a0\u202f]|\s(?=\d{3}(?!\d)))*/);
+    if (!match) return null;
+
+    const number = match[0].replace(/['’\u00a0\u202f\s]/g, '').replace(/[.,]+$/, '');
+    const negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text) || /-\s*$/.test(text);
+
+    let integerPart = number;
+    let fractionPart = '';
+    const decimalIndex = this.findDecimalSeparator(number, locale);
+    if (decimalIndex !== -1) {
+      integerPart = number.slice(0, decimalIndex);
+      fractionPart = number.slice(decimalIndex + 1);
+    }
+    integerPart = integerPart.replace(/[.,]/g, '') || '0';
+
+    // Round half up to the currency's precision using digits only (no float error)
+    const padded = (fractionPart + '0'.repeat(exponent)).slice(0, exponent);
+    let minor = parseInt(integerPart + padded, 10);
+    if (fractionPart.length > exponent && Number(fractionPart[exponent]) >= 5) {
+      minor += 1;
+    }
+
+    if (isNaN(minor)) return null;
+    return negative ? -minor : minor;
+  }
+
+  findDecimalSeparator(number, locale) {
+    const lastDot = number.lastIndexOf('.');
+    const lastComma = number.lastIndexOf(',');
+
+    // Both present: whichever comes last is the decimal separator
+    if (lastDot !== -1 && lastComma !== -1) {
+      return Math.max(lastDot, lastComma);
+    }
+
+    const index = Math.max(lastDot, lastComma);
+    if (index === -1) return -1;
+
+    const separator = number[index];
+    const digitsAfter = number.length - index - 1;
+    const occurrences = number.split(separator).length - 1;
+
+    // 1.234.567 or 1,23,456 are grouping; 1.234.56 ends in a decimal part
+    if (occurrences > 1) {
+      return digitsAfter === 3 ? -1 : index;
+    }
+    if (digitsAfter !== 3) return index;
+
+    // "12.500" / "12,500": decimal only if that is the locale's decimal separator
+    return this.getDecimalSeparator(locale) === separator ? index : -1;
+  }
+
+  /**
+   * Parse an amount into a plain decimal string ("1234.56") at the currency's precision
+   * @returns {string|null}
+   */
+  parseAmount(input, context = {}) {
+    const minor = this.parseAmountMinor(input, context);
+    return minor === null ? null : this.fromMinorUnits(minor, context.currency);
+  }
+
+  /**
+   * Convert a plain decimal string ("1234.56") to minor units, exactly
+   * @returns {number|null}
+   */
+  toMinorUnits(amount, currency) {
+    if (amount === null || amount === undefined || amount === '') return null;
+    const match = String(amount).trim().match(/^(-)?(\d*)(?:\.(\d*))?$/);
+    if (!match) return null;
+
+    const exponent = this.getCurrencyExponent(currency);
+    const fraction = match[3] || '';
+    let minor = parseInt((match[2] || '0') + (fraction + '0'.repeat(exponent)).slice(0, exponent), 10);
+    if (fraction.length > exponent && Number(fraction[exponent]) >= 5) {
+      minor += 1;
+    }
+    return match[1] ? -minor : minor;
+  }
+
+  /**
+   * Convert minor units back to a plain decimal string
+   * @returns {string|null}
+   */
+  fromMinorUnits(minor, currency) {
+    if (minor === null || minor === undefined || isNaN(minor)) return null;
+
+    const exponent = this.getCurrencyExponent(currency);
+    const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+    const sign = minor < 0 ? '-' : '';
+    if (exponent === 0) return sign + digits;
+    return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+  }
+
+  /**
+   * Find and parse the first date in a string, as ISO 8601 (YYYY-MM-DD).
+   * Numeric dates follow the locale's day/month order unless a part is > 12;
+   * an ambiguous date that would lie in the future is read the other way round.
+   * @param {string} input - e.g. "03/04/2025", "2025-04-03", "3 de abril de 2025"
+   * @param {Object} context - { locale }
+   * @returns {string|null} ISO date, or null
+   */
+  parseDate(input, { locale } = {}) {
+    if (!input) return null;
+    const text = this.foldText(String(input));
+
+    const isoMatch = text.match(/(?<!\d)(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+    if (isoMatch) {
+      return this.buildDate(isoMatch[1], isoMatch[2], isoMatch[3]);
+    }
+
+    const numericMatch = text.match(/(?<![\d.,])(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?![\d.,]\d)/);
+    if (numericMatch) {
+      const [, first, second, year] = numericMatch;
+      const monthFirst = Number(second) > 12 ||
+        (Number(first) <= 12 && this.getDateOrder(locale) === 'MDY');
+      const preferred = monthFirst
+        ? this.buildDate(year, first, second)
+        : this.buildDate(year, second, first);
+      const swapped = monthFirst
+        ? this.buildDate(year, second, first)
+        : this.buildDate(year, first, second);
+
+      if (preferred && (!this.isFuture(preferred) || !swapped || this.isFuture(swapped))) {
+        return preferred;
+      }
+      return swapped;
+    }
+
+    const months = this.getMonthNames(locale);
+    const dayFirst = text.match(/(?<!\d)(\d{1,2})(?:st|nd|rd|th|er|o|º)?\.?[\s\-/]*(?:de\s+)?([a-z]{3,})\.?,?[\s\-/]*(?:de\s+)?(\d{4}|\d{2})(?!\d)/);
+    if (dayFirst && this.lookupMonth(months, dayFirst[2])) {
+      return this.buildDate(dayFirst[3], this.lookupMonth(months, dayFirst[2]), dayFirst[1]);
+    }
+
+    const monthFirst = text.match(/([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?!\d)/);
+    if (monthFirst && this.lookupMonth(months, monthFirst[1])) {
+      return this.buildDate(monthFirst[3], this.lookupMonth(months, monthFirst[1]), monthFirst[2]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Day/month/year order the locale writes numeric dates in: 'MDY', 'DMY' or 'YMD'
+   */
+  getDateOrder(locale) {
+    const parts = new Intl.DateTimeFormat(locale || this.defaultLocale, {
+      year: 'numeric', month: 'numeric', day: 'numeric'
+    }).formatToParts(new Date(2001, 10, 22));
+
+    return parts
+      .filter(part => ['day', 'month', 'year'].includes(part.type))
+      .map(part => part.type[0].toUpperCase())
+      .join('');
+  }
+
+  /**
+   * Month names (long, short and 3-letter prefixes) in the locale's language
+   * and the other common receipt languages
+   */
+  getMonthNames(locale) {
+    const key = locale || this.defaultLocale;
+    if (this.monthCache.has(key)) return this.monthCache.get(key);
+
+    const names = new Map();
+    for (const language of [key, ...MONTH_LANGUAGES]) {
+      for (const style of ['long', 'short']) {
+        const format = new Intl.DateTimeFormat(language, { month: style, timeZone: 'UTC' });
+        for (let month = 1; month <= 12; month++) {
+          const name = this.foldText(format.format(Date.UTC(2001, month - 1, 15))).replace(/[^a-z]/g, '');
+          if (name.length < 3) continue;
+          names.set(name, month);
+          if (!names.has(name.slice(0, 3))) names.set(name.slice(0, 3), month);
+        }
+      }
+    }
+
+    this.monthCache.set(key, names);
+    return names;
+  }
+
+  lookupMonth(months, word) {
+    return months.get(word) || months.get(word.slice(0, 3)) || null;
+  }
+
+  buildDate(year, month, day) {
+    let fullYear = Number(year);
+    if (String(year).length === 2) {
+      fullYear += 2000;
+      if (fullYear > new Date().getFullYear() + 1) fullYear -= 100;
+    }
+
+    const date = new Date(Date.UTC(fullYear, Number(month) - 1, Number(day)));
+    if (date.getUTCFullYear() !== fullYear ||
+        date.getUTCMonth() !== Number(month) - 1 ||
+        date.getUTCDate() !== Number(day)) {
+      return null;
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  isFuture(isoDate) {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return isoDate > tomorrow;
+  }
+
+  /**
+   * Format an ISO date for display in the user's locale
+   */
+  formatDate(isoDate, locale) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate || '')) return isoDate || null;
+    return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(locale || this.defaultLocale, { timeZone: 'UTC' });
+  }
+
+  foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+}
+
+module.exports = new LocaleParser();
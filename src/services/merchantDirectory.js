@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+const LocaleParser = require('./localeParser');
+const TaxParser = require('./taxParser');
+
+// Expense categories a merchant (and so a receipt) can default to
+const CATEGORIES = [
+  'Meals',
+  'Groceries',
+  'Fuel',
+  'Transport',
+  'Travel',
+  'Lodging',
+  'Office Supplies',
+  'Electronics',
+  'Shopping',
+  'Health',
+  'Utilities',
+  'Entertainment',
+  'Other'
+];
+
+// Chains known out of the box, with the other spellings their receipts use
+const BUILTIN_MERCHANTS = [
+  { name: 'Starbucks', category: 'Meals' },
+  { name: "McDonald's", category: 'Meals', aliases: ['mc donalds'] },
+  { name: 'Subway', category: 'Meals' },
+  { name: 'Burger King', category: 'Meals' },
+  { name: 'KFC', category: 'Meals', aliases: ['kentucky fried chicken'] },
+  { name: "Dunkin'", category: 'Meals', aliases: ['dunkin donuts'] },
+  { name: 'Tim Hortons', category: 'Meals' },
+  { name: 'Costa Coffee', category: 'Meals' },
+  { name: 'Pret A Manger', category: 'Meals', aliases: ['pret'] },
+  { name: 'Chipotle', category: 'Meals', aliases: ['chipotle mexican grill'] },
+  { name: "Domino's", category: 'Meals', aliases: ['dominos pizza'] },
+  { name: 'Walmart', category: 'Shopping', aliases: ['wal mart', 'walmart supercenter'] },
+  { name: 'Target', category: 'Shopping' },
+  { name: 'Costco', category: 'Groceries', aliases: ['costco wholesale'] },
+  { name: 'Whole Foods Market', category: 'Groceries', aliases: ['whole foods', 'wfm'] },
+  { name: "Trader Joe's", category: 'Groceries' },
+  { name: 'Kroger', category: 'Groceries' },
+  { name: 'Safeway', category: 'Groceries' },
+  { name: '7-Eleven', category: 'Groceries', aliases: ['7 11', 'seven eleven'] },
+  { name: 'Tesco', category: 'Groceries' },
+  { name: "Sainsbury's", category: 'Groceries' },
+  { name: 'Aldi', category: 'Groceries', aliases: ['aldi sud', 'aldi nord'] },
+  { name: 'Lidl', category: 'Groceries' },
+  { name: 'Rewe', category: 'Groceries' },
+  { name: 'Edeka', category: 'Groceries' },
+  { name: 'Carrefour', category: 'Groceries' },
+  { name: 'Mercadona', category: 'Groceries' },
+  { name: 'Shell', category: 'Fuel' },
+  { name: 'BP', category: 'Fuel' },
+  { name: 'ExxonMobil', category: 'Fuel', aliases: ['exxon', 'mobil'] },
+  { name: 'Chevron', category: 'Fuel' },
+  { name: 'Esso', category: 'Fuel' },
+  { name: 'Aral', category: 'Fuel' },
+  { name: 'TotalEnergies', category: 'Fuel' },
+  { name: 'Uber', category: 'Transport', aliases: ['uber trip'] },
+  { name: 'Lyft', category: 'Transport' },
+  { name: 'Amazon', category: 'Shopping', aliases: ['amazon com', 'amzn'] },
+  { name: 'Best Buy', category: 'Electronics' },
+  { name: 'Apple', category: 'Electronics', aliases: ['apple store'] },
+  { name: 'Staples', category: 'Office Supplies' },
+  { name: 'Office Depot', category: 'Office Supplies', aliases: ['officemax'] },
+  { name: 'CVS Pharmacy', category: 'Health', aliases: ['cvs'] },
+  { name: 'Walgreens', category: 'Health' },
+  { name: 'Boots', category: 'Health' },
+  { name: 'The Home Depot', category: 'Shopping' },
+  { name: 'IKEA', category: 'Shopping' },
+  { name: 'Marriott', category: 'Lodging' },
+  { name: 'Hilton', category: 'Lodging' }
+];
+
+// Words that say nothing about which merchant it is
+const LEGAL_SUFFIXES = new Set(['inc', 'llc', 'ltd', 'limited', 'gmbh', 'ag', 'co', 'corp', 'corporation', 'company', 'plc', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'kg', 'ohg', 'oy', 'ab', 'pty', 'pvt']);
+const STORE_WORDS = new Set(['store', 'shop', 'branch', 'location', 'outlet', 'filiale', 'markt', 'supercenter']);
+
+// Store numbers: "#1234", "Store 0042", "Nr. 12", "Filiale 345"
+const STORE_NUMBER = /(?:#\s*\d+|\b(?:store|no|nr|filiale|branch|unit)\.?\s*#?\s*\d+)\b/gi;
+
+// Address lines near the top of the receipt
+const STREET_LINE = /\d+[a-z]?\s+[\w .'-]+?\b(?:st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|hwy|highway|pl|place|ct|court|sq|square|pkwy|parkway)\b\.?|[\wäöüß-]+(?:straße|strasse|str\.|weg|platz|allee|gasse|ring|damm)\s*\d+[a-z]?|\b\d+,?\s*(?:rue|avenue|av\.|boulevard|bd|place|chemin|calle|via|avenida)\b/i;
+const POSTCODE_LINE = /\b\d{5}(?:-\d{4})?\b|\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b|\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b|\b\d{4}\s+[A-Z][a-z]/;
+const PHONE = /(?:\b(?:tel|phone|ph|fon|telefon|t[eé]l[eé]fono)\.?[:\s]*)?(\+?\(?\d[\d\s().\/-]{7,}\d)/i;
+
+class MerchantDirectory {
+  constructor() {
+    this.directoryFile = process.env.MERCHANT_DIRECTORY_FILE ||
+      path.join(process.cwd(), 'storage', 'merchants.json');
+    this.categories = CATEGORIES;
+    // Store addresses kept per merchant
+    this.maxLocations = 50;
+    this.directory = null;
+    // Writes are chained so two receipts can't save over each other
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Resolve a raw merchant name from a receipt to its directory entry,
+   * adding the merchant when it's new and recording the details printed on
+   * the receipt
+   * @param {string} rawName - Merchant name as read from the receipt
+   * @param {Object} details - { address, phone, tax_id } from extractDetails
+   * @returns {Promise<Object|null>} Merchant entry, or null for an unknown merchant
+   */
+  async resolve(rawName, details = {}) {
+    const key = this.normalizeKey(rawName);
+    if (!key || key === 'unknown merchant') return null;
+
+    const directory = await this.load();
+    let merchant = this.match(key);
+
+    if (!merchant) {
+      merchant = this.addMerchant(directory, this.cleanName(rawName), { source: 'receipt' });
+      console.log(`🏪 New merchant in directory: ${merchant.name}`);
+    }
+    directory.aliases[key] = merchant.merchant_id;
+
+    this.recordDetails(merchant, details);
+    await this.save();
+    return merchant;
+  }
+
+  /**
+   * Find a merchant by any of its names without changing the directory
+   * @param {string} name - Raw or canonical merchant name
+   * @returns {Promise<Object|null>} Merchant entry, or null
+   */
+  async find(name) {
+    await this.load();
+    const key = this.normalizeKey(name);
+    return key ? this.match(key) : null;
+  }
+
+  /**
+   * Learn from a user correcting a receipt's merchant: the raw name becomes
+   * an alias of the merchant they chose (added to the directory if new)
+   * @param {string} rawName - Merchant name as read from the receipt
+   * @param {string} correctName - Merchant name the user gave
+   * @returns {Promise<Object|null>} Merchant entry the raw name now resolves to
+   */
+  async learnAlias(rawName, correctName) {
+    const correctKey = this.normalizeKey(correctName);
+    if (!correctKey) return null;
+
+    const directory = await this.load();
+    const merchant = this.match(correctKey) ||
+      this.addMerchant(directory, this.cleanName(correctName), { source: 'user' });
+    directory.aliases[correctKey] = merchant.merchant_id;
+
+    // A merchant's own name is never taken over (the user may have picked the wrong receipt)
+    const rawKey = this.normalizeKey(rawName);
+    const previousId = directory.aliases[rawKey];
+    const ownName = previousId && this.normalizeKey(directory.merchants[previousId]?.name) === rawKey;
+    if (rawKey && rawKey !== 'unknown merchant' && previousId !== merchant.merchant_id && !ownName) {
+      directory.aliases[rawKey] = merchant.merchant_id;
+      this.removeIfOrphaned(directory, previousId);
+      console.log(`🏪 Learned alias "${rawKey}" for ${merchant.name}`);
+    }
+
+    merchant.updated_at = new Date().toISOString();
+    await this.save();
+    return merchant;
+  }
+
+  /**
+   * List merchants, optionally only those whose names match a search
+   * @param {Object} options - { search, category }
+   * @returns {Promise<Array<Object>>} Merchants with their aliases
+   */
+  async listMerchants({ search = null, category = null } = {}) {
+    const directory = await this.load();
+    const searchKey = search ? this.normalizeKey(search) : null;
+
+    return Object.values(directory.merchants)
+      .map(merchant => this.withAliases(merchant))
+      .filter(merchant => !category || merchant.category === category)
+      .filter(merchant => !searchKey || merchant.aliases.some(alias => alias.includes(searchKey)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get one merchant with its aliases
+   * @param {string} merchantId - Merchant ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMerchant(merchantId) {
+    const directory = await this.load();
+    const merchant = directory.merchants[merchantId];
+    return merchant ? this.withAliases(merchant) : null;
+  }
+
+  /**
+   * Change a merchant's name, default category or details, and add aliases
+   * @param {string} merchantId - Merchant ID
+   * @param {Object} changes - { name, category, tax_id, aliases }
+   * @returns {Promise<Object|null>} Updated merchant, or null if not found
+   */
+  async updateMerchant(merchantId, { aliases = [], ...changes }) {
+    const directory = await this.load();
+    const merchant = directory.merchants[merchantId];
+    if (!merchant) return null;
+
+    Object.assign(merchant, changes, { source: merchant.source === 'builtin' ? 'builtin' : 'user' });
+    for (const name of [changes.name, ...aliases].filter(Boolean)) {
+      const key = this.normalizeKey(name);
+      if (!key) continue;
+      const previousId = directory.aliases[key];
+      directory.aliases[key] = merchantId;
+      if (previousId !== merchantId) this.removeIfOrphaned(directory, previousId);
+    }
+
+    merchant.updated_at = new Date().toISOString();
+    await this.save();
+    console.log(`🏪 Merchant ${merchantId} updated: ${Object.keys(changes).concat(aliases.length ? ['aliases'] : []).join(', ')}`);
+    return this.withAliases(merchant);
+  }
+
+  /**
+   * Read the merchant's address, phone number and tax ID from the top of the receipt
+   * @param {string} text - Receipt text
+   * @returns {Object} { address, phone, tax_id } (null when not printed)
+   */
+  extractDetails(text) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean).slice(0, 12);
+    const details = { address: null, phone: null, tax_id: null };
+
+    const streetIndex = lines.findIndex(line => STREET_LINE.test(line));
+    if (streetIndex !== -1) {
+      const next = lines[streetIndex + 1];
+      details.address = next && POSTCODE_LINE.test(next) && !PHONE.test(next.replace(POSTCODE_LINE, ''))
+        ? `${lines[streetIndex]}, ${next}`
+        : lines[streetIndex];
+    } else {
+      details.address = lines.find(line => POSTCODE_LINE.test(line) && /[a-z]{3}/i.test(line) && !LocaleParser.parseDate(line)) || null;
+    }
+
+    for (const line of lines) {
+      const match = line.match(PHONE);
+      if (!match || LocaleParser.parseDate(line) || /[.,]\d{2}$/.test(match[1])) continue;
+      if (TaxParser.findRegistrationNumbers(line).length > 0) continue;
+      const digits = match[1].replace(/\D/g, '');
+      if (digits.length >= 9 && digits.length <= 15) {
+        details.phone = match[1].trim();
+        break;
+      }
+    }
+
+    details.tax_id = TaxParser.findRegistrationNumbers(text)[0]?.number || null;
+    return details;
+  }
+
+  /**
+   * Matching key for a merchant name: lower case without accents, store
+   * numbers, punctuation, legal suffixes or store words
+   * ("STARBUCKS STORE #1234" -> "starbucks")
+   */
+  normalizeKey(name) {
+    const words = LocaleParser.foldText(String(name || ''))
+      .replace(STORE_NUMBER, ' ')
+      .replace(/['’`]/g, '')
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(word => word && !LEGAL_SUFFIXES.has(word) && !STORE_WORDS.has(word));
+
+    if (words[0] === 'the' && words.length > 1) words.shift();
+    while (words.length > 1 && /^\d{3,}$/.test(words[words.length - 1])) words.pop();
+    return words.join(' ');
+  }
+
+  /**
+   * Match a key to a merchant: the exact alias, else the longest alias it
+   * starts with ("starbucks coffee" -> "starbucks"), else an alias one
+   * letter off (an OCR misread like "starbucks" -> "5tarbucks")
+   */
+  match(key) {
+    const { aliases, merchants } = this.directory;
+    if (aliases[key]) return merchants[aliases[key]] || null;
+
+    // Short aliases ("bp") only stand for a known chain
+    const prefix = Object.keys(aliases)
+      .filter(alias => key.startsWith(`${alias} `))
+      .filter(alias => alias.length >= 4 || merchants[aliases[alias]]?.source === 'builtin')
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return merchants[aliases[prefix]] || null;
+
+    const words = key.split(' ');
+    const close = Object.keys(aliases).find(alias => {
+      if (alias.length < 6) return false;
+      const head = words.slice(0, alias.split(' ').length).join(' ');
+      return this.editDistance(head, alias) <= 1;
+    });
+    return close ? merchants[aliases[close]] || null : null;
+  }
+
+  addMerchant(directory, name, { category = null, source }) {
+    const base = this.normalizeKey(name).replace(/ /g, '-') || 'merchant';
+    let merchantId = base;
+    for (let n = 2; directory.merchants[merchantId]; n++) merchantId = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    const merchant = {
+      merchant_id: merchantId,
+      name,
+      category,
+      tax_id: null,
+      locations: [],
+      source,
+      created_at: now,
+      updated_at: now
+    };
+    directory.merchants[merchantId] = merchant;
+    directory.aliases[this.normalizeKey(name)] = merchantId;
+    return merchant;
+  }
+
+  /**
+   * Keep the tax ID and each store's address and phone number seen on receipts
+   */
+  recordDetails(merchant, { address = null, phone = null, tax_id = null } = {}) {
+    if (tax_id && !merchant.tax_id) merchant.tax_id = tax_id;
+    if (!address && !phone) return;
+
+    const known = merchant.locations.find(location =>
+      (address && location.address === address) || (!address && phone && location.phone === phone));
+    if (known) {
+      if (phone && !known.phone) known.phone = phone;
+      known.last_seen_at = new Date().toISOString();
+    } else if (merchant.locations.length < this.maxLocations) {
+      merchant.locations.push({ address, phone, last_seen_at: new Date().toISOString() });
+    }
+    merchant.updated_at = new Date().toISOString();
+  }
+
+  /**
+   * Drop a merchant that was only ever added from a receipt and has no names left
+   */
+  removeIfOrphaned(directory, merchantId) {
+    const merchant = directory.merchants[merchantId];
+    if (!merchant || merchant.source !== 'receipt') return;
+    if (Object.values(directory.aliases).includes(merchantId)) return;
+    delete directory.merchants[merchantId];
+  }
+
+  withAliases(merchant) {
+    const aliases = Object.entries(this.directory.aliases)
+      .filter(([, merchantId]) => merchantId === merchant.merchant_id)
+      .map(([alias]) => alias);
+    return { ...merchant, aliases };
+  }
+
+  /**
+   * Tidy a raw name into a display name: no store number, and title case
+   * when the receipt printed it all in capitals
+   */
+  cleanName(rawName) {
+    const name = String(rawName).replace(STORE_NUMBER, ' ').replace(/\s+/g, ' ').trim();
+    if (name !== name.toUpperCase()) return name;
+    return name.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+  }
+
+  editDistance(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return 2;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Load the directory from storage (once), adding any built-in chains it lacks
+   */
+  async load() {
+    if (this.directory) return this.directory;
+
+    let directory = { merchants: {}, aliases: {} };
+    try {
+      directory = JSON.parse(await fs.readFile(this.directoryFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️ Error reading merchant directory, starting from the built-in list:', error.message);
+      }
+    }
+
+    for (const { name, category, aliases = [] } of BUILTIN_MERCHANTS) {
+      const key = this.normalizeKey(name);
+      if (directory.aliases[key]) continue;
+      const merchant = this.addMerchant(directory, name, { category, source: 'builtin' });
+      for (const alias of aliases) {
+        directory.aliases[this.normalizeKey(alias)] ??= merchant.merchant_id;
+      }
+    }
+
+    this.directory = directory;
+    return directory;
+  }
+
+  async save() {
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.directoryFile), { recursive: true });
+        await fs.writeFile(this.directoryFile, JSON.stringify(this.directory, null, 2));
+      } catch (error) {
+        console.error('❌ Error saving merchant directory:', error);
+      }
+    });
+    return this.pendingWrite;
+  }
+}
+
+module.exports = new MerchantDirectory();
@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RecordFiles = require('./recordFiles');
+
+class MessageDedupeService {
+  constructor() {
+    this.dir = process.env.MESSAGE_DEDUPE_DIR || path.join(process.cwd(), 'storage', 'messages');
+    // Meta keeps redelivering an unacknowledged webhook for up to 7 days
+    this.ttlMs = parseInt(process.env.MESSAGE_DEDUPE_TTL_HOURS || '168') * 60 * 60 * 1000;
+    this.records = new RecordFiles({ dir: this.dir, label: 'message record' });
+  }
+
+  /**
+   * Record a WhatsApp message ID the first time it is delivered. The record
+   * is created exclusively, so two deliveries arriving at once can't both win.
+   * @param {string} messageId - WhatsApp message ID (message.id)
+   * @returns {Promise<boolean>} True for a new message, false for a redelivery
+   */
+  async claim(messageId) {
+    // Without an ID there is nothing to compare, so the message is processed
+    if (!messageId) return true;
+
+    this.records.purgeExpired(record => new Date(record.expires_at).getTime() <= Date.now());
+    const filePath = this.records.getHashedPath('message', messageId);
+    const now = Date.now();
+    const record = JSON.stringify({
+      message_id: messageId,
+      received_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.ttlMs).toISOString()
+    });
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(filePath, record, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        // Processing a message twice is better than dropping it
+        console.warn(`⚠️ Error recording message ${messageId}, processing it anyway:`, error.message);
+        return true;
+      }
+    }
+
+    // Seen before; an expired record counts as a new message. A record that
+    // can't be read yet is still being written by a concurrent delivery.
+    const existing = await this.records.readJson(filePath);
+    if (!existing || new Date(existing.expires_at).getTime() > now) {
+      return false;
+    }
+
+    await fs.writeFile(filePath, record);
+    return true;
+  }
+}
+
+module.exports = new MessageDedupeService();
@@ -0,0 +1,176 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+
+// Azure prebuilt-receipt fields mapped to the entity types parseReceiptData understands
+const FIELD_TYPE_MAP = {
+  MerchantName: 'supplier_name',
+  Total: 'total_amount',
+  TotalTax: 'tax_amount',
+  Subtotal: 'subtotal_amount',
+  Tip: 'tip_amount',
+  TransactionDate: 'receipt_date'
+};
+
+// Azure receipt item fields mapped to Document AI line_item property types
+const ITEM_PROPERTY_MAP = {
+  Description: 'line_item/description',
+  Quantity: 'line_item/quantity',
+  Price: 'line_item/unit_price',
+  TotalPrice: 'line_item/amount',
+  ProductCode: 'line_item/product_code'
+};
+
+// Azure tax detail fields mapped to Document AI vat property types
+const TAX_PROPERTY_MAP = {
+  Amount: 'vat/tax_amount',
+  Rate: 'vat/tax_rate',
+  NetAmount: 'vat/amount',
+  Description: 'vat/category_code'
+};
+
+/**
+ * Azure Form Recognizer / Document Intelligence provider (prebuilt-receipt model)
+ */
+class AzureFormRecognizerProvider {
+  constructor(options = {}) {
+    this.name = 'azure_form_recognizer';
+    this.endpoint = (options.endpoint || process.env.AZURE_FORM_RECOGNIZER_ENDPOINT || '').replace(/\/$/, '');
+    this.apiKey = options.apiKey || process.env.AZURE_FORM_RECOGNIZER_KEY;
+    this.apiVersion = options.apiVersion || process.env.AZURE_FORM_RECOGNIZER_API_VERSION || '2023-07-31';
+    this.pollIntervalMs = 1000;
+    this.timeoutMs = parseInt(process.env.OCR_PROVIDER_TIMEOUT_MS || '60000');
+  }
+
+  isConfigured() {
+    return Boolean(this.endpoint && this.apiKey);
+  }
+
+  /**
+   * Process a receipt with the Azure prebuilt-receipt model
+   * @param {string} filePath - Local file path
+   * @param {Object} options - { mimeType }
+   * @returns {Promise<Object>} OCR results
+   */
+  async recognize(filePath, options = {}) {
+    console.log('🟦 Processing with Azure Form Recognizer...');
+
+    const content = await fs.readFile(filePath);
+
+    const submit = await axios.post(
+      `${this.endpoint}/formrecognizer/documentModels/prebuilt-receipt:analyze?api-version=${this.apiVersion}`,
+      content,
+      {
+        headers: {
+          'Ocp-Apim-Subscription-Key': this.apiKey,
+          'Content-Type': options.mimeType || 'application/octet-stream'
+        },
+        maxBodyLength: Infinity
+      }
+    );
+
+    const analyzeResult = await this.pollResult(submit.headers['operation-location']);
+    const document = analyzeResult.documents?.[0];
+
+    const entities = [];
+    for (const [fieldName, type] of Object.entries(FIELD_TYPE_MAP)) {
+      const field = document?.fields?.[fieldName];
+      if (field?.content) {
+        entities.push({ type, mentionText: field.content, confidence: field.confidence || 0 });
+      }
+    }
+
+    for (const item of document?.fields?.Items?.valueArray || []) {
+      const properties = Object.entries(ITEM_PROPERTY_MAP)
+        .filter(([fieldName]) => item.valueObject?.[fieldName]?.content)
+        .map(([fieldName, type]) => ({
+          type,
+          mentionText: item.valueObject[fieldName].content,
+          confidence: item.valueObject[fieldName].confidence || 0
+        }));
+      if (properties.length > 0) {
+        entities.push({ type: 'line_item', mentionText: item.content || '', confidence: item.confidence || 0, properties });
+      }
+    }
+
+    for (const detail of document?.fields?.TaxDetails?.valueArray || []) {
+      const properties = Object.entries(TAX_PROPERTY_MAP)
+        .filter(([fieldName]) => detail.valueObject?.[fieldName]?.content)
+        .map(([fieldName, type]) => ({
+          type,
+          mentionText: detail.valueObject[fieldName].content,
+          confidence: detail.valueObject[fieldName].confidence || 0
+        }));
+      if (properties.length > 0) {
+        entities.push({ type: 'vat', mentionText: detail.content || '', confidence: detail.confidence || 0, properties });
+      }
+    }
+
+    const pages = (analyzeResult.pages || []).map(page => ({
+      pageNumber: page.pageNumber,
+      // Same shape as Document AI page anchors so multi-page text can be split per page
+      layout: {
+        textAnchor: {
+          textSegments: (page.spans || []).map(span => ({
+            startIndex: span.offset,
+            endIndex: span.offset + span.length
+          }))
+        }
+      },
+      tokens: (page.words || []).map(word => ({
+        text: word.content,
+        layout: {
+          confidence: word.confidence,
+          boundingPoly: {
+            vertices: this.polygonToVertices(word.polygon || [])
+          }
+        }
+      }))
+    }));
+
+    console.log(`✅ Azure Form Recognizer processed ${pages.length} page(s)`);
+
+    return {
+      text: analyzeResult.content || '',
+      entities,
+      pages,
+      confidence: document?.confidence || 0
+    };
+  }
+
+  /**
+   * Poll the analyze operation until it succeeds, fails or times out
+   */
+  async pollResult(operationUrl) {
+    if (!operationUrl) {
+      throw new Error('Azure Form Recognizer did not return an operation location');
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (Date.now() < deadline) {
+      const response = await axios.get(operationUrl, {
+        headers: { 'Ocp-Apim-Subscription-Key': this.apiKey }
+      });
+
+      const { status, analyzeResult, error } = response.data;
+      if (status === 'succeeded') return analyzeResult;
+      if (status === 'failed') {
+        throw new Error(`Azure Form Recognizer analysis failed: ${error?.message || 'unknown error'}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    throw new Error('Azure Form Recognizer analysis timed out');
+  }
+
+  polygonToVertices(polygon) {
+    const vertices = [];
+    for (let i = 0; i + 1 < polygon.length; i += 2) {
+      vertices.push({ x: polygon[i], y: polygon[i + 1] });
+    }
+    return vertices;
+  }
+}
+
+module.exports = AzureFormRecognizerProvider;
@@ -0,0 +1,78 @@
+const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
+const fs = require('fs').promises;
+
+/**
+ * Google Document AI provider (Expense/Receipt processor)
+ */
+class DocumentAIProvider {
+  constructor(options = {}) {
+    this.name = 'document_ai';
+    this.projectId = options.projectId || process.env.GOOGLE_CLOUD_PROJECT_ID;
+    this.location = options.location || process.env.GOOGLE_CLOUD_LOCATION || 'us';
+    this.processorId = options.processorId || process.env.DOCUMENT_AI_PROCESSOR_ID;
+    this.client = null;
+
+    if (!this.projectId) {
+      console.warn('⚠️ GOOGLE_CLOUD_PROJECT_ID not set, Document AI OCR disabled');
+    }
+    if (!this.processorId) {
+      console.warn('⚠️ DOCUMENT_AI_PROCESSOR_ID not set, Document AI OCR disabled');
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.projectId && this.processorId);
+  }
+
+  /**
+   * Process a receipt with Google Document AI
+   * @param {string} filePath - Local file path
+   * @param {Object} options - { mimeType }
+   * @returns {Promise<Object>} OCR results
+   */
+  async recognize(filePath, options = {}) {
+    console.log('🤖 Processing with Google Document AI...');
+
+    if (!this.client) {
+      this.client = new DocumentProcessorServiceClient();
+    }
+
+    const imageBuffer = await fs.readFile(filePath);
+
+    // Configure the request
+    const request = {
+      name: `projects/${this.projectId}/locations/${this.location}/processors/${this.processorId}`,
+      rawDocument: {
+        content: imageBuffer.toString('base64'),
+        mimeType: options.mimeType || 'image/jpeg'
+      }
+    };
+
+    // Process the document
+    const [result] = await this.client.processDocument(request);
+    const document = result.document;
+
+    console.log(`✅ Document AI processed ${document.pages.length} page(s)`);
+
+    return {
+      text: document.text,
+      entities: document.entities || [],
+      pages: document.pages || [],
+      confidence: this.calculateAverageConfidence(document)
+    };
+  }
+
+  calculateAverageConfidence(document) {
+    if (!document.entities || document.entities.length === 0) return 0.5;
+    
+    const confidences = document.entities
+      .map(entity => entity.confidence || 0.5)
+      .filter(conf => conf > 0);
+    
+    return confidences.length > 0 
+      ? confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length
+      : 0.5;
+  }
+}
+
+module.exports = DocumentAIProvider;
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Custom HTTP OCR service provider.
+ *
+ * POSTs { content (base64), mimeType, fileName } as JSON to OCR_HTTP_URL and expects
+ * the common OCR result contract back: { text, entities, pages, confidence }.
+ */
+class HttpOCRProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'http';
+    this.url = options.url || process.env.OCR_HTTP_URL;
+    this.apiKey = options.apiKey || process.env.OCR_HTTP_API_KEY;
+    this.timeoutMs = parseInt(options.timeoutMs || process.env.OCR_PROVIDER_TIMEOUT_MS || '60000');
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * Send a receipt to the custom OCR service
+   * @param {string} filePath - Local file path
+   * @param {Object} options - { mimeType }
+   * @returns {Promise<Object>} OCR results
+   */
+  async recognize(filePath, options = {}) {
+    console.log(`🌐 Processing with HTTP OCR service (${this.name})...`);
+
+    const content = await fs.readFile(filePath);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      this.url,
+      {
+        content: content.toString('base64'),
+        mimeType: options.mimeType,
+        fileName: path.basename(filePath)
+      },
+      { headers, timeout: this.timeoutMs, maxBodyLength: Infinity }
+    );
+
+    return response.data;
+  }
+}
+
+module.exports = HttpOCRProvider;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const DocumentAIProvider = require('./documentAiProvider');
+const LocalOCRProvider = require('./localProvider');
+const TextractProvider = require('./textractProvider');
+const AzureFormRecognizerProvider = require('./azureProvider');
+const HttpOCRProvider = require('./httpProvider');
+const MockOCRProvider = require('./mockProvider');
+
+/**
+ * OCR provider registry.
+ *
+ * Every provider implements:
+ *   name            - unique provider name
+ *   isConfigured()  - whether the provider has the settings it needs
+ *   recognize(filePath, { mimeType }) - resolves to { text, entities, pages, confidence }
+ *
+ * Providers are tried in order (OCR_PROVIDERS, or the tenant's own list) until one succeeds.
+ */
+class OCRProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.tenants = this.loadTenantConfig();
+
+    this.register(new DocumentAIProvider());
+    this.register(new LocalOCRProvider());
+    this.register(new TextractProvider());
+    this.register(new AzureFormRecognizerProvider());
+    this.register(new HttpOCRProvider());
+    this.register(new MockOCRProvider());
+
+    this.defaultChain = this.parseProviderList(process.env.OCR_PROVIDERS) ||
+      (process.env.ENABLE_MOCK_OCR === 'true' ? ['document_ai', 'mock'] : ['document_ai', 'local']);
+
+    if (this.defaultChain.includes('mock')) {
+      console.warn('⚠️ Mock OCR is in the provider chain, receipts may contain made-up data');
+    }
+    console.log(`🔎 OCR provider chain: ${this.defaultChain.join(' → ')}`);
+  }
+
+  /**
+   * Register (or replace) an OCR provider
+   * @param {Object} provider - Provider implementing name, isConfigured() and recognize()
+   */
+  register(provider) {
+    if (!provider?.name || typeof provider.recognize !== 'function') {
+      throw new Error('OCR providers need a name and a recognize() method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Resolve the ordered list of provider names for a tenant or phone number
+   * @param {Object} context - { tenantId, phoneNumber }
+   * @returns {Array<string>} Provider names in failover order
+   */
+  getProviderChain(context = {}) {
+    const tenantId = context.tenantId || this.findTenantByPhone(context.phoneNumber);
+    const tenant = tenantId ? this.tenants[tenantId] : null;
+
+    return tenant?.providers || this.defaultChain;
+  }
+
+  /**
+   * Run OCR with automatic failover across the provider chain
+   * @param {string} filePath - Local file path
+   * @param {Object} options - { mimeType, tenantId, phoneNumber }
+   * @returns {Promise<Object>} OCR results plus provider and attempts
+   */
+  async recognize(filePath, options = {}) {
+    const chain = this.getProviderChain(options);
+    const attempts = [];
+
+    for (const name of chain) {
+      const provider = this.providers.get(name);
+
+      if (!provider) {
+        attempts.push({ provider: name, status: 'skipped', reason: 'not registered' });
+        continue;
+      }
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: name, status: 'skipped', reason: 'not configured' });
+        continue;
+      }
+
+      try {
+        const result = this.normalizeResult(await provider.recognize(filePath, options));
+        attempts.push({ provider: name, status: 'success' });
+        return { ...result, provider: name, attempts };
+      } catch (error) {
+        console.error(`❌ OCR provider ${name} failed:`, error.message);
+        console.log('🔄 Falling back to next OCR provider...');
+        attempts.push({ provider: name, status: 'failed', reason: error.message });
+      }
+    }
+
+    const summary = attempts.map(a => `${a.provider}: ${a.reason}`).join('; ');
+    const error = new Error(`All OCR providers failed (${summary || 'no providers configured'})`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Enforce the common result contract on whatever a provider returned
+   */
+  normalizeResult(result = {}) {
+    const confidence = Number(result.confidence);
+
+    return {
+      text: typeof result.text === 'string' ? result.text : '',
+      entities: Array.isArray(result.entities) ? result.entities : [],
+      pages: Array.isArray(result.pages) ? result.pages : [],
+      confidence: isNaN(confidence) ? 0 : Math.max(0, Math.min(1, confidence))
+    };
+  }
+
+  /**
+   * Load per-tenant provider settings from OCR_TENANTS_FILE, e.g.
+   * { "acme": { "providers": ["azure_form_recognizer", "local"], "phone_numbers": ["15551234567"] } }
+   */
+  loadTenantConfig() {
+    const configPath = process.env.OCR_TENANTS_FILE;
+    if (!configPath) return {};
+
+    try {
+      const tenants = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      console.log(`🏢 Loaded OCR settings for ${Object.keys(tenants).length} tenant(s)`);
+      return tenants;
+    } catch (error) {
+      console.error(`❌ Error loading OCR tenant config ${configPath}:`, error.message);
+      return {};
+    }
+  }
+
+  findTenantByPhone(phoneNumber) {
+    if (!phoneNumber) return null;
+    return Object.keys(this.tenants).find(id =>
+      (this.tenants[id].phone_numbers || []).includes(phoneNumber)
+    ) || null;
+  }
+
+  parseProviderList(value) {
+    if (!value) return null;
+    const list = value.split(',').map(name => name.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+  }
+}
+
+module.exports = new OCRProviderRegistry();
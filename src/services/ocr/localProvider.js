@@ -0,0 +1,117 @@
+const { createWorker } = require('tesseract.js');
+const path = require('path');
+
+/**
+ * Local OCR provider backed by Tesseract (no network or cloud account required)
+ */
+class LocalOCRProvider {
+  constructor() {
+    this.name = 'local';
+    this.language = process.env.LOCAL_OCR_LANGUAGE || 'eng';
+    // Point this at a directory of *.traineddata files to run fully offline
+    this.langPath = process.env.TESSERACT_LANG_PATH;
+    this.cachePath = process.env.TESSERACT_CACHE_PATH || path.join(process.cwd(), 'storage', 'tesseract');
+    this.workerPromise = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Lazily create a single Tesseract worker and reuse it across receipts
+   * @returns {Promise<Object>} Tesseract worker
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      console.log(`🔤 Initializing Tesseract worker (${this.language})...`);
+
+      const options = { cachePath: this.cachePath };
+      if (this.langPath) {
+        options.langPath = this.langPath;
+      }
+
+      this.workerPromise = createWorker(this.language, 1, options).catch(error => {
+        // Allow the next call to retry initialization
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognize text in a receipt image
+   * @param {string} filePath - Local file path
+   * @returns {Promise<Object>} OCR results ({ text, entities, pages, confidence })
+   */
+  async recognize(filePath) {
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      throw new Error('Local OCR does not support PDF files');
+    }
+
+    console.log('🔤 Processing with local Tesseract OCR...');
+
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(filePath);
+
+    const words = data.words || [];
+    console.log(`✅ Local OCR recognized ${words.length} word(s), confidence ${Math.round(data.confidence)}%`);
+
+    return {
+      text: data.text || '',
+      // Tesseract does no entity extraction; parseReceiptData falls back to text parsing
+      entities: [],
+      pages: [
+        {
+          pageNumber: 1,
+          lines: (data.lines || []).map(line => this.toLayoutElement(line)),
+          tokens: words.map(word => this.toLayoutElement(word))
+        }
+      ],
+      confidence: this.normalizeConfidence(data.confidence)
+    };
+  }
+
+  /**
+   * Shape a Tesseract word/line like a Document AI layout element
+   */
+  toLayoutElement(element) {
+    const { x0, y0, x1, y1 } = element.bbox;
+    return {
+      text: element.text,
+      layout: {
+        confidence: this.normalizeConfidence(element.confidence),
+        boundingPoly: {
+          vertices: [
+            { x: x0, y: y0 },
+            { x: x1, y: y0 },
+            { x: x1, y: y1 },
+            { x: x0, y: y1 }
+          ]
+        }
+      }
+    };
+  }
+
+  /**
+   * Tesseract reports confidence as 0-100; receipts store 0-1
+   */
+  normalizeConfidence(confidence) {
+    if (typeof confidence !== 'number' || isNaN(confidence)) return 0;
+    return Math.round(Math.max(0, Math.min(100, confidence))) / 100;
+  }
+
+  /**
+   * Terminate the Tesseract worker (used on shutdown)
+   */
+  async terminate() {
+    if (this.workerPromise) {
+      const worker = await this.workerPromise;
+      this.workerPromise = null;
+      await worker.terminate();
+    }
+  }
+}
+
+module.exports = LocalOCRProvider;
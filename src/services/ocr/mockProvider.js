@@ -0,0 +1,69 @@
+/**
+ * Mock OCR provider (demo only). Returns randomized sample receipts and is
+ * only placed in the default provider chain when ENABLE_MOCK_OCR=true.
+ */
+class MockOCRProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {string} filePath - Local file path (ignored)
+   * @returns {Promise<Object>} OCR results with made-up receipt data
+   */
+  async recognize(filePath) {
+    console.log('🎭 Processing with mock OCR (demo mode)...');
+
+    // Returns randomized sample data - never enable this in production
+    const mockReceiptData = {
+      text: `
+MERCHANT RECEIPT
+Store Name: Demo Restaurant
+Date: ${new Date().toLocaleDateString()}
+Time: ${new Date().toLocaleTimeString()}
+
+Items:
+Coffee               $4.50
+Sandwich            $12.00
+Tax                  $1.32
+Total              $17.82
+
+Thank you for your business!
+      `.trim(),
+      entities: [
+        { type: 'total_amount', mentionText: '$17.82', confidence: 0.95 },
+        { type: 'supplier_name', mentionText: 'Demo Restaurant', confidence: 0.90 },
+        { type: 'receipt_date', mentionText: new Date().toLocaleDateString(), confidence: 0.85 },
+        { type: 'tax_amount', mentionText: '$1.32', confidence: 0.80 }
+      ],
+      pages: [{ pageNumber: 1 }],
+      confidence: 0.87
+    };
+
+    // Add some randomization for demo purposes
+    const amounts = ['$17.82', '$23.45', '$8.90', '$156.78', '$42.10'];
+    const merchants = ['Demo Restaurant', 'Coffee Shop', 'Gas Station', 'Office Supplies Co', 'Grocery Store'];
+    const taxes = ['$1.32', '$2.45', '$0.89', '$15.67', '$4.21'];
+
+    const randomAmount = amounts[Math.floor(Math.random() * amounts.length)];
+    const randomMerchant = merchants[Math.floor(Math.random() * merchants.length)];
+    const randomTax = taxes[Math.floor(Math.random() * taxes.length)];
+
+    mockReceiptData.text = mockReceiptData.text
+      .replace('$17.82', randomAmount)
+      .replace('Demo Restaurant', randomMerchant)
+      .replace('$1.32', randomTax);
+
+    mockReceiptData.entities[0].mentionText = randomAmount;
+    mockReceiptData.entities[1].mentionText = randomMerchant;
+    mockReceiptData.entities[3].mentionText = randomTax;
+
+    return mockReceiptData;
+  }
+}
+
+module.exports = MockOCRProvider;
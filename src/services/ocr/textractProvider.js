@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+
+// Textract summary field types mapped to the entity types parseReceiptData understands
+const FIELD_TYPE_MAP = {
+  VENDOR_NAME: 'supplier_name',
+  TOTAL: 'total_amount',
+  AMOUNT_PAID: 'total_amount',
+  TAX: 'tax_amount',
+  SUBTOTAL: 'subtotal_amount',
+  INVOICE_RECEIPT_DATE: 'receipt_date',
+  PAYMENT_TERMS: 'payment_type'
+};
+
+// Textract line item field types mapped to Document AI line_item property types
+const ITEM_PROPERTY_MAP = {
+  ITEM: 'line_item/description',
+  QUANTITY: 'line_item/quantity',
+  UNIT_PRICE: 'line_item/unit_price',
+  PRICE: 'line_item/amount',
+  PRODUCT_CODE: 'line_item/product_code'
+};
+
+/**
+ * AWS Textract provider (AnalyzeExpense API).
+ * Requires the optional @aws-sdk/client-textract package and standard AWS credentials.
+ */
+class TextractProvider {
+  constructor(options = {}) {
+    this.name = 'aws_textract';
+    this.region = options.region || process.env.AWS_TEXTRACT_REGION || process.env.AWS_REGION;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.region);
+  }
+
+  getClient() {
+    if (!this.client) {
+      let textract;
+      try {
+        textract = require('@aws-sdk/client-textract');
+      } catch (error) {
+        throw new Error('AWS Textract provider requires the @aws-sdk/client-textract package');
+      }
+      this.client = {
+        sdk: textract,
+        textract: new textract.TextractClient({ region: this.region })
+      };
+    }
+    return this.client;
+  }
+
+  /**
+   * Process a receipt with AWS Textract AnalyzeExpense
+   * @param {string} filePath - Local file path
+   * @returns {Promise<Object>} OCR results
+   */
+  async recognize(filePath) {
+    console.log('🟧 Processing with AWS Textract...');
+
+    const { sdk, textract } = this.getClient();
+    const bytes = await fs.readFile(filePath);
+
+    const response = await textract.send(new sdk.AnalyzeExpenseCommand({
+      Document: { Bytes: bytes }
+    }));
+
+    const documents = response.ExpenseDocuments || [];
+    const entities = [];
+    const lines = [];
+    const pages = [];
+
+    for (const doc of documents) {
+      for (const field of doc.SummaryFields || []) {
+        const type = FIELD_TYPE_MAP[field.Type?.Text];
+        if (type && field.ValueDetection?.Text) {
+          entities.push({
+            type,
+            mentionText: field.ValueDetection.Text,
+            confidence: (field.ValueDetection.Confidence || 0) / 100
+          });
+        }
+      }
+
+      for (const group of doc.LineItemGroups || []) {
+        for (const lineItem of group.LineItems || []) {
+          const properties = (lineItem.LineItemExpenseFields || [])
+            .filter(field => ITEM_PROPERTY_MAP[field.Type?.Text] && field.ValueDetection?.Text)
+            .map(field => ({
+              type: ITEM_PROPERTY_MAP[field.Type.Text],
+              mentionText: field.ValueDetection.Text,
+              confidence: (field.ValueDetection.Confidence || 0) / 100
+            }));
+          if (properties.length > 0) {
+            entities.push({
+              type: 'line_item',
+              mentionText: properties.map(property => property.mentionText).join(' '),
+              confidence: Math.min(...properties.map(property => property.confidence)),
+              properties
+            });
+          }
+        }
+      }
+
+      for (const block of doc.Blocks || []) {
+        if (block.BlockType === 'LINE') {
+          lines.push(block.Text);
+        }
+        if (block.BlockType === 'PAGE') {
+          pages.push({ pageNumber: pages.length + 1 });
+        }
+      }
+    }
+
+    console.log(`✅ Textract found ${entities.length} field(s) in ${documents.length} document(s)`);
+
+    return {
+      text: lines.join('\n'),
+      entities,
+      pages: pages.length > 0 ? pages : [{ pageNumber: 1 }],
+      confidence: entities.length > 0
+        ? entities.reduce((sum, e) => sum + e.confidence, 0) / entities.length
+        : 0
+    };
+  }
+}
+
+module.exports = TextractProvider;
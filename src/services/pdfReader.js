@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class PdfReader {
+  constructor() {
+    // 200 DPI keeps receipt print readable for OCR without huge images
+    this.renderDpi = parseInt(process.env.PDF_RENDER_DPI || '200');
+    this.maxPages = parseInt(process.env.PDF_MAX_PAGES || '10');
+    // A page with less text than this is treated as a scan and rendered for OCR
+    this.minTextChars = parseInt(process.env.PDF_TEXT_MIN_CHARS || '20');
+    this.pdfjsPromise = null;
+  }
+
+  /**
+   * Lazily load pdf.js (an ES module, so it can't be required)
+   * @returns {Promise<Object>} pdf.js module
+   */
+  async getPdfjs() {
+    if (!this.pdfjsPromise) {
+      this.pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs').catch(error => {
+        this.pdfjsPromise = null;
+        throw error;
+      });
+    }
+    return this.pdfjsPromise;
+  }
+
+  /**
+   * Read each page of a PDF. Pages with a text layer (e-receipts, invoices)
+   * return their text; pages without one (scans) are rendered to PNG next to
+   * the PDF as *_page<N>.png so they can be OCR'd.
+   *
+   * @param {string} filePath - PDF path
+   * @returns {Promise<Object>} { pageCount, pages: [{ pageNumber, text, imagePath }] }
+   */
+  async read(filePath) {
+    const pdfjs = await this.getPdfjs();
+    const fontsDir = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts');
+    const document = await pdfjs.getDocument({
+      data: new Uint8Array(await fs.readFile(filePath)),
+      standardFontDataUrl: `${fontsDir}${path.sep}`,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pageCount = document.numPages;
+      if (pageCount > this.maxPages) {
+        console.warn(`⚠️ PDF ${path.basename(filePath)} has ${pageCount} pages, reading the first ${this.maxPages}`);
+      }
+
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= Math.min(pageCount, this.maxPages); pageNumber++) {
+        const page = await document.getPage(pageNumber);
+        const text = this.buildText((await page.getTextContent()).items);
+
+        if (this.hasEnoughText(text)) {
+          pages.push({ pageNumber, text, imagePath: null });
+        } else {
+          pages.push({ pageNumber, text: null, imagePath: await this.renderPage(document, page, filePath) });
+        }
+        page.cleanup();
+      }
+
+      const rendered = pages.filter(page => page.imagePath).length;
+      console.log(`📑 Read ${pages.length} PDF page(s): ${pages.length - rendered} with text, ${rendered} rendered for OCR`);
+
+      return { pageCount, pages };
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  /**
+   * Whether a page's text (from its text layer or OCR) is worth reading as a receipt page
+   * @param {string} text - Page text
+   * @returns {boolean}
+   */
+  hasEnoughText(text) {
+    return (text || '').replace(/\s/g, '').length >= this.minTextChars;
+  }
+
+  /**
+   * Rebuild lines from pdf.js text items: items sharing a baseline are one
+   * line, read left to right, and lines run top to bottom
+   * @param {Array<Object>} items - getTextContent() items ({ str, transform, width, height })
+   * @returns {string} Page text
+   */
+  buildText(items) {
+    const lines = [];
+
+    for (const item of items.filter(item => item.str && item.str.trim())) {
+      const [, , , , x, y] = item.transform;
+      const height = item.height || Math.abs(item.transform[3]) || 1;
+      const line = lines.find(candidate => Math.abs(candidate.y - y) < height / 2);
+
+      if (line) {
+        line.items.push({ x, width: item.width, height, str: item.str });
+      } else {
+        lines.push({ y, items: [{ x, width: item.width, height, str: item.str }] });
+      }
+    }
+
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(line => {
+        const sorted = line.items.sort((a, b) => a.x - b.x);
+        return sorted.reduce((text, item, index) => {
+          if (index === 0) return item.str;
+          const previous = sorted[index - 1];
+          // Columns (item name ... price) are separate items with a gap between them
+          const gap = item.x - (previous.x + previous.width);
+          return text + (gap > item.height * 0.2 ? ' ' : '') + item.str;
+        }, '').replace(/\s+/g, ' ').trim();
+      })
+      .join('\n');
+  }
+
+  /**
+   * Render a page to PNG at PDF_RENDER_DPI
+   * @returns {Promise<string>} Image path
+   */
+  async renderPage(document, page, filePath) {
+    const viewport = page.getViewport({ scale: this.renderDpi / 72 });
+    const { canvas, context } = document.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+    // Transparent areas would come out black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    const parsed = path.parse(filePath);
+    const imagePath = path.join(parsed.dir, `${parsed.name}_page${page.pageNumber}.png`);
+    await fs.writeFile(imagePath, canvas.toBuffer('image/png'));
+    document.canvasFactory.destroy({ canvas, context });
+
+    return imagePath;
+  }
+}
+
+module.exports = new PdfReader();
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RecordFiles = require('../recordFiles');
+
+/**
+ * Job store keeping one JSON file per job in JOB_QUEUE_DIR (default storage/jobs).
+ * Jobs survive restarts, but the store belongs to a single server process:
+ * use the Redis store when several instances share the queue.
+ */
+class FileJobStore {
+  constructor(options = {}) {
+    this.name = 'file';
+    // Running jobs found at startup were left behind by an earlier process
+    this.shared = false;
+    this.dir = options.dir || process.env.JOB_QUEUE_DIR || path.join(process.cwd(), 'storage', 'jobs');
+    // Store operations run one at a time (records.exclusive), so two workers never claim the same job
+    this.records = new RecordFiles({ dir: this.dir, label: 'job file' });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  async add(job) {
+    await this.records.exclusive(() => this.write(job));
+    return job;
+  }
+
+  async get(jobId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getJobPath(jobId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Merge changes into a stored job
+   * @returns {Promise<Object|null>} Updated job, or null when it doesn't exist
+   */
+  async update(jobId, changes) {
+    return this.records.exclusive(async () => {
+      const job = await this.get(jobId);
+      if (!job) return null;
+
+      const updated = { ...job, ...changes, updated_at: new Date().toISOString() };
+      await this.write(updated);
+      return updated;
+    });
+  }
+
+  async remove(jobId) {
+    return this.records.exclusive(async () => {
+      try {
+        await fs.unlink(this.getJobPath(jobId));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Jobs in the store, oldest first
+   * @param {Object} filter - { status, type }
+   */
+  async list({ status, type } = {}) {
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    const jobs = [];
+
+    for (const file of files) {
+      try {
+        jobs.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+      } catch (error) {
+        // A job removed while listing, or a half-written file from a crash
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ Skipping unreadable job file ${file}:`, error.message);
+        }
+      }
+    }
+
+    return jobs
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Take the queued job that has waited longest and is due, marking it running
+   * @param {Object} lock - Fields to set on the claimed job (status, locked_by, ...)
+   * @returns {Promise<Object|null>} Claimed job, or null when nothing is due
+   */
+  async claim(lock) {
+    return this.records.exclusive(async () => {
+      const now = new Date().toISOString();
+      const [job] = (await this.list({ status: 'queued' }))
+        .filter(queued => queued.run_at <= now)
+        .sort((a, b) => a.run_at.localeCompare(b.run_at));
+      if (!job) return null;
+
+      const claimed = { ...job, ...lock, attempts: job.attempts + 1, updated_at: now };
+      await this.write(claimed);
+      return claimed;
+    });
+  }
+
+  /**
+   * Write through a temporary file so a crash never leaves half a job
+   */
+  async write(job) {
+    const filePath = this.getJobPath(job.job_id);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  getJobPath(jobId) {
+    return path.join(this.dir, `${String(jobId).replace(/[^a-zA-Z0-9-]/g, '')}.json`);
+  }
+}
+
+module.exports = FileJobStore;
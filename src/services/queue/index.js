@@ -0,0 +1,361 @@
+const { v4: uuidv4 } = require('uuid');
+const FileJobStore = require('./fileStore');
+const RedisJobStore = require('./redisStore');
+
+/**
+ * Durable job queue with a worker pool.
+ *
+ * Every job handler implements:
+ *   type                 - the job type it runs
+ *   run(job, { signal }) - does the work; throwing retries the job. Past JOB_TIMEOUT_SECONDS
+ *                          the signal is aborted and the job is retried once run() has
+ *                          stopped, so handlers should check the signal between steps
+ *   onDead(job, error)   - optional, called once the job has used up its attempts
+ *
+ * Jobs are kept in a store (JOB_QUEUE_STORE: file, or redis for several instances),
+ * so a crash or redeploy mid-job only delays it. Failed jobs are retried with
+ * exponential backoff and finally kept as "dead" until retried or deleted via the API.
+ */
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = uuidv4();
+    this.concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2'));
+    this.maxAttempts = Math.max(1, parseInt(process.env.JOB_MAX_ATTEMPTS || '5'));
+    this.retryBaseMs = parseInt(process.env.JOB_RETRY_BASE_SECONDS || '10') * 1000;
+    this.retryMaxMs = parseInt(process.env.JOB_RETRY_MAX_SECONDS || '600') * 1000;
+    this.timeoutMs = parseInt(process.env.JOB_TIMEOUT_SECONDS || '300') * 1000;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000');
+    this.store = this.createStore(process.env.JOB_QUEUE_STORE || 'file');
+    this.ready = null;
+    this.active = new Map();
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+    this.lastRecovery = 0;
+  }
+
+  /**
+   * Register (or replace) the handler for a job type
+   * @param {Object} handler - Handler implementing type, run() and optionally onDead()
+   */
+  register(handler) {
+    if (!handler?.type || typeof handler.run !== 'function') {
+      throw new Error('Job handlers need a type and a run() method');
+    }
+    this.handlers.set(handler.type, handler);
+  }
+
+  /**
+   * Store a job and wake the workers
+   * @param {string} type - Job type (a registered handler)
+   * @param {Object} payload - JSON-serializable job data
+   * @param {Object} options - { maxAttempts, delayMs }
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for ${type} jobs`);
+    }
+
+    const now = new Date();
+    const job = {
+      job_id: uuidv4(),
+      type,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: options.maxAttempts || this.maxAttempts,
+      run_at: new Date(now.getTime() + (options.delayMs || 0)).toISOString(),
+      last_error: null,
+      errors: [],
+      locked_by: null,
+      locked_until: null,
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
+    };
+
+    await (await this.getStore()).add(job);
+    console.log(`📥 Queued ${type} job ${job.job_id}`);
+
+    this.poll();
+    return job;
+  }
+
+  /**
+   * Start the workers: recover jobs left running by a crash, then keep claiming due jobs
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.getStore();
+    await this.recover();
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    console.log(`👷 Job queue started: ${this.concurrency} worker(s), ${this.store.name} store`);
+    this.poll();
+  }
+
+  /**
+   * Stop claiming jobs and give running ones a moment to finish; any still
+   * running are picked up again after the next start
+   * @param {number} graceMs - How long to wait for running jobs
+   */
+  async stop(graceMs = 10000) {
+    this.running = false;
+    clearInterval(this.timer);
+    if (this.active.size === 0) return;
+
+    console.log(`⏳ Waiting for ${this.active.size} running job(s)...`);
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.active.values()]),
+      new Promise(resolve => { timer = setTimeout(resolve, graceMs); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  /**
+   * Claim due jobs until every worker is busy
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      const store = await this.getStore();
+      if (Date.now() - this.lastRecovery > this.timeoutMs) {
+        await this.recover();
+      }
+
+      while (this.running && this.active.size < this.concurrency) {
+        const now = Date.now();
+        const job = await store.claim({
+          status: 'running',
+          locked_by: this.workerId,
+          locked_until: new Date(now + this.timeoutMs).toISOString(),
+          started_at: new Date(now).toISOString()
+        });
+        if (!job) break;
+
+        const task = this.execute(job).finally(() => {
+          this.active.delete(job.job_id);
+          this.poll();
+        });
+        this.active.set(job.job_id, task);
+      }
+    } catch (error) {
+      console.error('❌ Error polling job queue:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run one claimed job; a finished job is removed from the store. A job that
+   * runs too long is aborted, but stays claimed until its handler has stopped,
+   * so the same job never runs twice at once.
+   */
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    console.log(`⚙️ Running ${job.type} job ${job.job_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      console.warn(`⏱️ Job ${job.job_id} timed out, waiting for it to stop...`);
+      controller.abort(new Error(`Job timed out after ${Math.round(this.timeoutMs / 1000)}s`));
+    }, this.timeoutMs);
+    const lock = this.holdLock(job);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for ${job.type} jobs`);
+      }
+      // A run that still finished after the timeout did the work; retrying would repeat it
+      await handler.run(job, { signal: controller.signal });
+
+      await lock.release();
+      await this.store.remove(job.job_id);
+      console.log(`✅ Job ${job.job_id} finished`);
+    } catch (error) {
+      await lock.release();
+      await this.fail(job, handler, controller.signal.aborted ? controller.signal.reason : error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Keep renewing a running job's lock in a shared store, so other instances
+   * don't take it for abandoned while it is still running (or being aborted).
+   * A single-process store only requeues jobs of a previous process.
+   * @returns {Object} { release() } - stops renewing once pending renewals are written
+   */
+  holdLock(job) {
+    if (!this.store.shared) {
+      return { release: async () => {} };
+    }
+
+    let renewal = Promise.resolve();
+    const timer = setInterval(() => {
+      renewal = renewal
+        .then(() => this.store.update(job.job_id, { locked_until: new Date(Date.now() + this.timeoutMs).toISOString() }))
+        .catch(error => console.warn(`⚠️ Error renewing lock of job ${job.job_id}:`, error.message));
+    }, Math.max(1000, Math.floor(this.timeoutMs / 2)));
+
+    return {
+      release: async () => {
+        clearInterval(timer);
+        await renewal;
+      }
+    };
+  }
+
+  /**
+   * Schedule a retry with backoff, or move the job to the dead-letter list
+   * once it has used up its attempts
+   */
+  async fail(job, handler, error) {
+    const errors = [...(job.errors || []), {
+      attempt: job.attempts,
+      message: error.message,
+      at: new Date().toISOString()
+    }].slice(-this.maxAttempts);
+    const unlock = { last_error: error.message, errors, locked_by: null, locked_until: null };
+
+    try {
+      if (job.attempts < job.max_attempts) {
+        const delayMs = this.getRetryDelay(job.attempts);
+        await this.store.update(job.job_id, {
+          ...unlock,
+          status: 'queued',
+          run_at: new Date(Date.now() + delayMs).toISOString()
+        });
+        console.warn(`🔁 Job ${job.job_id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${Math.round(delayMs / 1000)}s:`, error.message);
+        return;
+      }
+
+      await this.store.update(job.job_id, { ...unlock, status: 'dead', dead_at: new Date().toISOString() });
+      console.error(`☠️ Job ${job.job_id} moved to the dead-letter list after ${job.attempts} attempts:`, error.message);
+    } catch (storeError) {
+      console.error(`❌ Error recording failure of job ${job.job_id}:`, storeError.message);
+      return;
+    }
+
+    if (handler?.onDead) {
+      try {
+        await handler.onDead(job, error);
+      } catch (deadError) {
+        console.error(`❌ Error handling dead job ${job.job_id}:`, deadError.message);
+      }
+    }
+  }
+
+  /**
+   * Put running jobs whose worker is gone back in the queue: with a
+   * single-process store every job running at startup is, with a shared one
+   * only those whose lock has expired
+   */
+  async recover() {
+    this.lastRecovery = Date.now();
+    const now = new Date().toISOString();
+
+    try {
+      const stale = (await this.store.list({ status: 'running' })).filter(job =>
+        !this.active.has(job.job_id) &&
+        (this.store.shared ? job.locked_until < now : job.locked_by !== this.workerId));
+
+      for (const job of stale) {
+        await this.store.update(job.job_id, { status: 'queued', run_at: now, locked_by: null, locked_until: null });
+        console.log(`♻️ Requeued job ${job.job_id} left running by a stopped worker`);
+      }
+    } catch (error) {
+      console.error('❌ Error recovering running jobs:', error.message);
+    }
+  }
+
+  /**
+   * Delay before the next attempt: JOB_RETRY_BASE_SECONDS, doubling per attempt
+   * up to JOB_RETRY_MAX_SECONDS
+   * @param {number} attempts - Attempts made so far
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(0, attempts - 1), this.retryMaxMs);
+  }
+
+  /**
+   * Jobs in the queue, oldest first
+   * @param {Object} filter - { status, type, limit }
+   * @returns {Promise<Object>} { jobs, counts } with counts per status
+   */
+  async listJobs({ status, type, limit = 100 } = {}) {
+    const jobs = await (await this.getStore()).list({ type });
+    const counts = { queued: 0, running: 0, dead: 0 };
+    jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+
+    return {
+      jobs: jobs.filter(job => !status || job.status === status).slice(0, limit),
+      counts
+    };
+  }
+
+  async getJob(jobId) {
+    return (await this.getStore()).get(jobId);
+  }
+
+  /**
+   * Queue a dead (or waiting) job to run now, with its attempts reset
+   * @returns {Promise<Object|null>} Requeued job, or null when it doesn't exist
+   */
+  async retryJob(jobId) {
+    const job = await (await this.getStore()).update(jobId, {
+      status: 'queued',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      dead_at: null
+    });
+
+    if (job) {
+      console.log(`🔁 Job ${jobId} requeued by hand`);
+      this.poll();
+    }
+    return job;
+  }
+
+  async deleteJob(jobId) {
+    return (await this.getStore()).remove(jobId);
+  }
+
+  /**
+   * The store, connected on first use. A Redis store that can't connect
+   * falls back to the file store so webhooks are never dropped.
+   */
+  async getStore() {
+    if (!this.ready) {
+      this.ready = this.store.init().catch(async error => {
+        if (this.store.name === 'file') throw error;
+
+        console.error(`❌ Job store ${this.store.name} unavailable, using the file store:`, error.message);
+        this.store = new FileJobStore();
+        await this.store.init();
+      });
+    }
+    await this.ready;
+    return this.store;
+  }
+
+  createStore(name) {
+    if (name === 'redis') {
+      const store = new RedisJobStore();
+      if (store.isConfigured()) return store;
+      console.warn('⚠️ JOB_QUEUE_STORE=redis needs REDIS_URL, using the file store');
+    } else if (name !== 'file') {
+      console.warn(`⚠️ Unknown JOB_QUEUE_STORE "${name}", using the file store`);
+    }
+    return new FileJobStore();
+  }
+}
+
+module.exports = new JobQueue();
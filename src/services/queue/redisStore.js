@@ -0,0 +1,167 @@
+// Replace a job only if it is unchanged since it was read, and keep the queued
+// set in step with its status, in one step. ARGV: job ID, JSON as read, new
+// JSON, due time in ms ('' when the job is no longer queued)
+const SWAP_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+if ARGV[4] == '' then
+  redis.call('ZREM', KEYS[2], ARGV[1])
+else
+  redis.call('ZADD', KEYS[2], ARGV[4], ARGV[1])
+end
+return 1
+`;
+
+// Remove a queued-set entry whose job is gone or no longer queued
+const DROP_STALE_SCRIPT = `
+local json = redis.call('HGET', KEYS[1], ARGV[1])
+if json and cjson.decode(json).status == 'queued' then return 0 end
+redis.call('ZREM', KEYS[2], ARGV[1])
+return 1
+`;
+
+// How often a write that lost a race against another instance is retried
+const MAX_SWAP_ATTEMPTS = 10;
+
+/**
+ * Job store in Redis (REDIS_URL), for several server instances sharing one queue.
+ * Requires the optional redis package.
+ *
+ * Keys (under JOB_QUEUE_REDIS_PREFIX, default "receipts:jobs"):
+ *   <prefix>:jobs    - hash of job ID -> job JSON
+ *   <prefix>:queued  - sorted set of queued job IDs, scored by when they are due
+ *
+ * Every change after add() is a compare-and-swap (SWAP_SCRIPT), so a job is
+ * never lost between leaving the queued set and being marked running, and
+ * concurrent updates from several instances don't overwrite each other.
+ */
+class RedisJobStore {
+  constructor(options = {}) {
+    this.name = 'redis';
+    // Running jobs may belong to another instance, so only expired locks are recovered
+    this.shared = true;
+    this.url = options.url || process.env.REDIS_URL;
+    this.prefix = options.prefix || process.env.JOB_QUEUE_REDIS_PREFIX || 'receipts:jobs';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  async init() {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('The Redis job store requires the redis package');
+    }
+
+    this.client = redis.createClient({ url: this.url });
+    this.client.on('error', error => console.error('❌ Redis job store error:', error.message));
+    await this.client.connect();
+  }
+
+  async add(job) {
+    await this.save(job);
+    return job;
+  }
+
+  async get(jobId) {
+    const json = await this.client.hGet(this.key('jobs'), jobId);
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Merge changes into a stored job
+   * @returns {Promise<Object|null>} Updated job, or null when it doesn't exist
+   */
+  async update(jobId, changes) {
+    return this.swap(jobId, job => ({ ...job, ...changes, updated_at: new Date().toISOString() }));
+  }
+
+  async remove(jobId) {
+    const [removed] = await this.client.multi()
+      .hDel(this.key('jobs'), jobId)
+      .zRem(this.key('queued'), jobId)
+      .exec();
+    return removed > 0;
+  }
+
+  async list({ status, type } = {}) {
+    const jobs = (await this.client.hVals(this.key('jobs'))).map(json => JSON.parse(json));
+
+    return jobs
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Take the queued job that is due soonest. If another instance claims it
+   * first, the next one is tried.
+   * @returns {Promise<Object|null>} Claimed job, or null when none is due
+   */
+  async claim(lock) {
+    for (let attempt = 0; attempt < MAX_SWAP_ATTEMPTS; attempt++) {
+      const [jobId] = await this.client.zRangeByScore(this.key('queued'), '-inf', Date.now(), {
+        LIMIT: { offset: 0, count: 1 }
+      });
+      if (!jobId) return null;
+
+      const claimed = await this.swap(jobId, job => job.status === 'queued'
+        ? { ...job, ...lock, attempts: job.attempts + 1, updated_at: new Date().toISOString() }
+        : null);
+      if (claimed) return claimed;
+
+      // Claimed elsewhere in the meantime, or a stale entry without a queued job
+      await this.client.eval(DROP_STALE_SCRIPT, {
+        keys: [this.key('jobs'), this.key('queued')],
+        arguments: [jobId]
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Read a job, change it and write it back if nobody else changed it in
+   * between; otherwise read it again and retry
+   * @param {string} jobId - Job ID
+   * @param {Function} change - job => changed job, or null to leave it as it is
+   * @returns {Promise<Object|null>} Changed job, or null when it doesn't exist or wasn't changed
+   */
+  async swap(jobId, change) {
+    for (let attempt = 0; attempt < MAX_SWAP_ATTEMPTS; attempt++) {
+      const json = await this.client.hGet(this.key('jobs'), jobId);
+      if (!json) return null;
+
+      const changed = change(JSON.parse(json));
+      if (!changed) return null;
+
+      const swapped = await this.client.eval(SWAP_SCRIPT, {
+        keys: [this.key('jobs'), this.key('queued')],
+        arguments: [jobId, json, JSON.stringify(changed), changed.status === 'queued' ? String(new Date(changed.run_at).getTime()) : '']
+      });
+      if (swapped === 1) return changed;
+    }
+    throw new Error(`Job ${jobId} kept changing, update not saved`);
+  }
+
+  /**
+   * Write a new job and add it to the queued set
+   */
+  async save(job) {
+    const transaction = this.client.multi().hSet(this.key('jobs'), job.job_id, JSON.stringify(job));
+
+    if (job.status === 'queued') {
+      transaction.zAdd(this.key('queued'), { score: new Date(job.run_at).getTime(), value: job.job_id });
+    }
+
+    await transaction.exec();
+  }
+
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+}
+
+module.exports = RedisJobStore;
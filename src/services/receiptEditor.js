@@ -0,0 +1,344 @@
+const StorageService = require('./storage');
+const ReceiptProcessor = require('./receiptProcessor');
+const LocaleParser = require('./localeParser');
+const CurrencyService = require('./currency');
+const LineItemParser = require('./lineItemParser');
+const TaxParser = require('./taxParser');
+const MerchantDirectory = require('./merchantDirectory');
+const ExpenseCategorizer = require('./expenseCategorizer');
+const ReceiptValidator = require('./receiptValidator');
+
+const PAYMENT_METHODS = ['Credit Card', 'Debit Card', 'Cash', 'PayPal', 'Mobile Payment', 'Other'];
+
+const AMOUNT_FIELDS = ['total_amount', 'tax_amount', 'subtotal_amount', 'tip_amount'];
+
+const EDITABLE_FIELDS = {
+  merchant_name: {
+    label: 'Merchant',
+    hint: 'Send the store or business name, e.g. "Blue Bottle Coffee"'
+  },
+  category: {
+    label: 'Category',
+    hint: `Send one of: ${ExpenseCategorizer.categories.join(', ')}`
+  },
+  total_amount: {
+    label: 'Total',
+    hint: 'Send the total as a number, e.g. "23.45"'
+  },
+  tax_amount: {
+    label: 'Tax',
+    hint: 'Send the tax as a number, e.g. "1.89"'
+  },
+  tip_amount: {
+    label: 'Tip',
+    hint: 'Send the tip as a number, e.g. "8.00", or 0 for no tip'
+  },
+  date: {
+    label: 'Date',
+    hint: 'Send the date as YYYY-MM-DD, or the way it is written on the receipt'
+  },
+  currency: {
+    label: 'Currency',
+    hint: 'Send a 3-letter currency code, e.g. "USD" or "EUR"'
+  },
+  payment_method: {
+    label: 'Payment method',
+    hint: `Send one of: ${PAYMENT_METHODS.join(', ')}`
+  },
+  line_items: {
+    label: 'Line items',
+    hint: 'Send one item per line as "Description - amount", with an optional quantity, e.g.\nCoffee - 4.50\n2 x Sandwich - 12.00'
+  }
+};
+
+class ReceiptEditor {
+  /**
+   * Get the fields a user may correct from WhatsApp
+   * @returns {Object} Field definitions keyed by receipt field name
+   */
+  getEditableFields() {
+    return EDITABLE_FIELDS;
+  }
+
+  isEditableField(field) {
+    return Object.prototype.hasOwnProperty.call(EDITABLE_FIELDS, field);
+  }
+
+  /**
+   * Validate and normalize a user-supplied value for a receipt field
+   * @param {string} field - Receipt field name
+   * @param {string} rawValue - Value as typed by the user
+   * @param {Object} context - { locale, currency } of the receipt being edited
+   * @returns {Object} { valid, value } or { valid: false, error }
+   */
+  validateField(field, rawValue, context = {}) {
+    const input = String(rawValue || '').trim();
+
+    if (!this.isEditableField(field)) {
+      return { valid: false, error: `"${field}" cannot be edited` };
+    }
+    if (!input) {
+      return { valid: false, error: 'The value cannot be empty' };
+    }
+
+    switch (field) {
+      case 'merchant_name':
+        if (input.length < 2 || input.length > 100) {
+          return { valid: false, error: 'Merchant name must be between 2 and 100 characters' };
+        }
+        return { valid: true, value: ReceiptProcessor.cleanText(input) };
+
+      case 'category': {
+        const category = ExpenseCategorizer.normalizeCategory(input);
+        if (!category) {
+          return { valid: false, error: 'Unknown category' };
+        }
+        return { valid: true, value: category };
+      }
+
+      case 'total_amount':
+      case 'tax_amount':
+      case 'tip_amount': {
+        const amount = this.parseAmountInput(input, context);
+        if (amount === null) {
+          return { valid: false, error: 'That doesn\'t look like an amount' };
+        }
+        return { valid: true, value: amount };
+      }
+
+      case 'date': {
+        const date = LocaleParser.parseDate(input, context);
+        if (!date || LocaleParser.isFuture(date)) {
+          return { valid: false, error: 'That isn\'t a valid date (future dates are not allowed)' };
+        }
+        return { valid: true, value: date };
+      }
+
+      case 'currency': {
+        const code = CurrencyService.normalizeCode(input);
+        if (!code) {
+          return { valid: false, error: 'Currency must be a 3-letter ISO 4217 code' };
+        }
+        return { valid: true, value: code };
+      }
+
+      case 'payment_method': {
+        const method = PAYMENT_METHODS.find(m => m.toLowerCase() === input.toLowerCase());
+        if (!method) {
+          return { valid: false, error: 'Unknown payment method' };
+        }
+        return { valid: true, value: method };
+      }
+
+      case 'line_items': {
+        const lines = input.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length > 50) {
+          return { valid: false, error: 'Please send at most 50 items' };
+        }
+
+        const items = [];
+        for (const line of lines) {
+          // "Coffee - 4.50" and "2 x Latte: 9.00" read like receipt lines once the separator goes
+          const parsed = LineItemParser.parseLine(line.replace(/\s*[-:]\s+(?=\S+$)/, ' '), context, { requireDecimals: false });
+          if (!parsed || parsed.kind === 'quantity' || !parsed.description) {
+            return { valid: false, error: `Couldn't read the item "${line}"` };
+          }
+          items.push(LineItemParser.buildItem({
+            ...parsed,
+            amountMinor: parsed.kind === 'discount' ? -Math.abs(parsed.amountMinor) : parsed.amountMinor
+          }, context));
+        }
+        return { valid: true, value: items };
+      }
+
+      default:
+        return { valid: false, error: `"${field}" cannot be edited` };
+    }
+  }
+
+  /**
+   * Write a corrected field value to a receipt, keeping the old value in status_history
+   * @param {string} receiptId - Receipt ID
+   * @param {string} field - Receipt field name
+   * @param {*} newValue - Validated value from validateField
+   * @param {string} correctedBy - Who made the correction (phone number or 'api')
+   * @returns {Promise<Object>} Updated receipt data
+   */
+  async applyCorrection(receiptId, field, newValue, correctedBy) {
+    return this.applyCorrections(receiptId, { [field]: newValue }, correctedBy);
+  }
+
+  /**
+   * Write several corrected fields to a receipt in one status change
+   * @param {string} receiptId - Receipt ID
+   * @param {Object} changes - Validated field values keyed by field name
+   * @param {string} correctedBy - Who made the correction (phone number or 'api')
+   * @returns {Promise<Object>} Updated receipt data
+   */
+  async applyCorrections(receiptId, changes, correctedBy) {
+    const receipt = await StorageService.loadReceipt(receiptId);
+    const merchant = changes.merchant_name !== undefined ? await this.learnMerchant(receipt, changes.merchant_name) : {};
+    const category = await this.updateCategory(receipt, changes, merchant);
+
+    return StorageService.updateReceiptStatus(receiptId, 'corrected', {
+      ...changes,
+      ...this.deriveFields(receipt, changes),
+      ...merchant,
+      ...category,
+      last_correction: {
+        changes: Object.entries(changes).map(([field, newValue]) => ({
+          field,
+          old_value: receipt[field] === undefined ? null : receipt[field],
+          new_value: newValue
+        })),
+        corrected_by: correctedBy,
+        corrected_at: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * Teach the merchant directory that the name read from this receipt means
+   * the merchant the user typed, and use that merchant's canonical name
+   * @returns {Promise<Object>} Merchant fields to store on the receipt
+   */
+  async learnMerchant(receipt, merchantName) {
+    try {
+      const merchant = await MerchantDirectory.learnAlias(receipt.merchant_raw_name || receipt.merchant_name, merchantName);
+      if (!merchant) return {};
+
+      return { merchant_name: merchant.name, merchant_id: merchant.merchant_id };
+    } catch (error) {
+      console.warn('⚠️ Could not update the merchant directory:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * A category the user chose is kept and learned for their team; a new
+   * merchant re-runs categorization unless the user chose the category before
+   * @param {Object} receipt - Receipt before the correction
+   * @param {Object} changes - Validated field values keyed by field name
+   * @param {Object} merchant - Merchant fields from learnMerchant
+   * @returns {Promise<Object>} Category fields to store on the receipt
+   */
+  async updateCategory(receipt, changes, merchant) {
+    try {
+      if (changes.category !== undefined) {
+        await ExpenseCategorizer.learn({ ...receipt, ...merchant }, changes.category);
+        return { category_source: 'user', category_confidence: 1 };
+      }
+      if (changes.merchant_name === undefined || receipt.category_source === 'user') return {};
+
+      return await ExpenseCategorizer.categorize({ ...receipt, ...changes, ...merchant });
+    } catch (error) {
+      console.warn('⚠️ Could not update the category:', error.message);
+      return changes.category !== undefined ? { category_source: 'user', category_confidence: 1 } : {};
+    }
+  }
+
+  /**
+   * Recompute the exact minor-unit amounts (and the decimal strings, at the
+   * currency's precision) for changed amounts, or for all of them when the
+   * currency changed, then re-check the line items and totals
+   */
+  deriveFields(receipt, changes) {
+    const updated = { ...receipt, ...changes };
+    const currencyChanged = changes.currency !== undefined;
+    const derived = {};
+
+    for (const field of AMOUNT_FIELDS) {
+      if (changes[field] === undefined && !currencyChanged) continue;
+      const minor = LocaleParser.toMinorUnits(updated[field], updated.currency);
+      derived[field] = LocaleParser.fromMinorUnits(minor, updated.currency);
+      derived[`${field}_minor`] = minor;
+    }
+
+    // The final total follows the total and the tip; a tip the user gives is confirmed
+    if (changes.total_amount !== undefined || changes.tip_amount !== undefined || currencyChanged) {
+      const amounts = { ...updated, ...derived };
+      derived.final_total_minor = ReceiptValidator.finalTotal(amounts.total_amount_minor, amounts.tip_amount_minor, amounts.tip_included);
+      derived.final_total = LocaleParser.fromMinorUnits(derived.final_total_minor, updated.currency);
+    }
+    if (changes.tip_amount !== undefined) {
+      derived.tip_status = 'confirmed';
+    }
+
+    if (Array.isArray(updated.line_items) && (changes.line_items !== undefined || currencyChanged)) {
+      const toMinor = value => (value === null || value === undefined ? null : LocaleParser.toMinorUnits(value, updated.currency));
+      derived.line_items = updated.line_items.map(item => ({
+        ...item,
+        ...LineItemParser.buildItem({
+          description: item.description,
+          quantity: item.quantity,
+          unitPriceMinor: toMinor(item.unit_price),
+          amountMinor: toMinor(item.amount),
+          discountMinor: toMinor(item.discount),
+          sku: item.sku,
+          taxCode: item.tax_code
+        }, { currency: updated.currency })
+      }));
+    }
+    if (changes.line_items !== undefined) {
+      derived.line_items_source = 'manual';
+    }
+
+    if (Array.isArray(updated.tax_lines) && (changes.tax_lines !== undefined || currencyChanged)) {
+      const toMinor = value => (value === null || value === undefined ? null : LocaleParser.toMinorUnits(value, updated.currency));
+      derived.tax_lines = updated.tax_lines.map(line => ({
+        ...TaxParser.buildLine({
+          type: line.type,
+          rate: line.rate,
+          baseMinor: toMinor(line.base),
+          amountMinor: toMinor(line.amount)
+        }, { currency: updated.currency }),
+        registration_number: line.registration_number || null
+      }));
+
+      // Corrected tax lines set the tax, unless it was corrected too
+      if (changes.tax_lines !== undefined && changes.tax_amount === undefined) {
+        derived.tax_amount_minor = TaxParser.sum(derived.tax_lines);
+        derived.tax_amount = LocaleParser.fromMinorUnits(derived.tax_amount_minor, updated.currency);
+      }
+    }
+
+    derived.line_item_reconciliation = LineItemParser.reconcile({ ...updated, ...derived });
+
+    // Corrected fields are no longer in doubt; everything else is re-checked
+    const hadWarning = code => (receipt.warnings || []).some(warning => warning.code === code);
+    Object.assign(derived, ReceiptValidator.validate({ ...updated, ...derived }, {
+      totalSource: changes.total_amount === undefined && hadWarning('total_inferred') ? 'inferred' : null,
+      dateFound: changes.date !== undefined || !hadWarning('date_not_found')
+    }));
+
+    return derived;
+  }
+
+  /**
+   * Format a field value for display in a WhatsApp message
+   */
+  formatValue(field, value) {
+    if (value === null || value === undefined || value === '') return 'not set';
+
+    if (field === 'line_items') {
+      if (!Array.isArray(value) || value.length === 0) return 'no items';
+      return '\n' + value
+        .map((item, index) => `${index + 1}. ${LineItemParser.describe(item)} - ${item.amount || '0.00'}`)
+        .join('\n');
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Parse an amount typed by the user ("12,50", "€ 1.234,56", "$4.50"), in the receipt's locale
+   */
+  parseAmountInput(input, context = {}) {
+    const pattern = new RegExp(`^${LocaleParser.currencyPrefix}\\s*(${LocaleParser.amountPattern})\\s*[€]?$`);
+    const match = String(input).trim().match(pattern);
+    if (!match) return null;
+    return ReceiptProcessor.parseAmount(match[1], context);
+  }
+}
+
+module.exports = new ReceiptEditor();
@@ -1,67 +1,165 @@
-const { DocumentProcessorServiceClient } = require('@google-cloud/documentai');
 const WhatsAppService = require('./whatsapp');
 const StorageService = require('./storage');
+const OCRProviders = require('./ocr');
+const ImagePreprocessor = require('./imagePreprocessor');
+const ImageQuality = require('./imageQuality');
+const ReceiptStitcher = require('./receiptStitcher');
+const PdfReader = require('./pdfReader');
+const DuplicateDetector = require('./duplicateDetector');
+const LocaleParser = require('./localeParser');
+const CurrencyService = require('./currency');
+const LineItemParser = require('./lineItemParser');
+const TaxParser = require('./taxParser');
+const MerchantDirectory = require('./merchantDirectory');
+const ExpenseCategorizer = require('./expenseCategorizer');
+const CaptionParser = require('./captionParser');
+const ReceiptValidator = require('./receiptValidator');
+const UserSettings = require('./userSettings');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs').promises;
 
 class ReceiptProcessor {
-  constructor() {
-    // Initialize Document AI client
-    this.docAIClient = new DocumentProcessorServiceClient();
-    this.projectId = process.env.GOOGLE_CLOUD_PROJECT_ID;
-    this.location = process.env.GOOGLE_CLOUD_LOCATION || 'us';
-    this.processorId = process.env.DOCUMENT_AI_PROCESSOR_ID;
-    
-    if (!this.projectId) {
-      console.warn('⚠️ GOOGLE_CLOUD_PROJECT_ID not set, OCR will use fallback mode');
-    }
-    if (!this.processorId) {
-      console.warn('⚠️ DOCUMENT_AI_PROCESSOR_ID not set, OCR will use fallback mode');
-    }
-  }
-
   /**
-   * Main method to process a receipt from WhatsApp media ID
+   * Main method to process a receipt from WhatsApp media ID.
+   * Photos sent shortly after one another (or captioned "continued") are added
+   * as pages to the sender's latest pending receipt; a PDF is a receipt of its own.
    * @param {string} mediaId - WhatsApp media ID
    * @param {string} phoneNumber - Sender's phone number
+   * @param {Object} metadata - Additional metadata (caption, contactName, mimeType,
+   *   timestamp of the message, etc.)
+   * @param {Object} options - { signal } to stop processing before anything is stored
+   * @returns {Promise<Object>} Processing result
+   */
+  async processReceipt(mediaId, phoneNumber, { mimeType, ...metadata } = {}, options = {}) {
+    return ReceiptStitcher.runExclusive(phoneNumber, async () => {
+      options.signal?.throwIfAborted();
+      const openReceipt = mimeType === 'application/pdf'
+        ? null
+        : await ReceiptStitcher.findOpenReceipt(phoneNumber, metadata.caption, metadata.timestamp);
+
+      return this.processReceiptFile(this.createWhatsAppMediaSource(mediaId, mimeType), phoneNumber, {
+        ...metadata,
+        continuesReceipt: openReceipt
+      }, options);
+    });
+  }
+
+  /**
+   * Process a receipt file uploaded directly (e.g. via POST /api/receipts/upload)
+   * @param {Object} file - Uploaded file ({ buffer, mimetype, originalname })
+   * @param {string} phoneNumber - Phone number the receipt belongs to
    * @param {Object} metadata - Additional metadata (caption, contactName, etc.)
    * @returns {Promise<Object>} Processing result
    */
-  async processReceipt(mediaId, phoneNumber, metadata = {}) {
-    const receiptId = uuidv4();
+  async processUploadedFile(file, phoneNumber, metadata = {}) {
+    return this.processReceiptFile(this.createUploadSource(file), phoneNumber, metadata);
+  }
+
+  /**
+   * Run the OCR -> parse -> store pipeline for a receipt file from any source
+   * @param {Object} source - File source ({ type, reference, fetch(receiptId) })
+   * @param {string} phoneNumber - Phone number the receipt belongs to
+   * @param {Object} metadata - Additional metadata (caption, contactName, etc.);
+   *   continuesReceipt adds the file as the next page of that receipt
+   * @param {Object} options - { signal }: once aborted (e.g. the job timed out),
+   *   processing stops at the next step and nothing is stored
+   * @returns {Promise<Object>} Processing result
+   */
+  async processReceiptFile(source, phoneNumber, metadata = {}, options = {}) {
+    const { continuesReceipt, ...receiptMetadata } = metadata;
+    const { signal } = options;
+    const receiptId = continuesReceipt ? continuesReceipt.receipt_id : uuidv4();
     const startTime = Date.now();
     
     try {
-      console.log(`🧾 Processing receipt ${receiptId} from ${phoneNumber}`);
-
-      // Step 1: Download media from WhatsApp
-      const mediaInfo = await WhatsAppService.getMediaUrl(mediaId);
-      const fileName = `receipt_${receiptId}_${Date.now()}.${this.getFileExtension(mediaInfo.mime_type)}`;
-      const filePath = await WhatsAppService.downloadMedia(mediaInfo.url, fileName);
-
-      // Step 2: Process with OCR
-      let ocrResults;
-      if (this.projectId && this.processorId) {
-        ocrResults = await this.processWithDocumentAI(filePath);
-      } else {
-        ocrResults = await this.processWithFallbackOCR(filePath);
+      console.log(continuesReceipt
+        ? `📄 Adding page to receipt ${receiptId} from ${phoneNumber} (${source.type})`
+        : `🧾 Processing receipt ${receiptId} from ${phoneNumber} (${source.type})`);
+
+      // Step 1: Get the file from its source
+      const { filePath, fileName } = await source.fetch(receiptId);
+      signal?.throwIfAborted();
+      const isPdf = this.getMimeType(filePath) === 'application/pdf';
+
+      // Step 2: Reject photos that are too blurry, dark, etc. before spending OCR on them
+      const imageQuality = await this.checkImageQuality(filePath);
+      if (!imageQuality.passed) {
+        return this.rejectForQuality(receiptId, [filePath], imageQuality);
       }
 
-      // Step 3: Parse and structure the data
-      const parsedData = await this.parseReceiptData(ocrResults, {
+      // Steps 3-4: Prepare the image and OCR it (providers are tried in failover order);
+      // PDFs are read page by page, using the text layer where there is one
+      const ocrOptions = { tenantId: metadata.tenantId, phoneNumber };
+      const recognized = isPdf
+        ? await this.recognizePdf(filePath, ocrOptions, source.reference)
+        : await this.recognizeImage(filePath, ocrOptions, source.reference);
+      const { image, ocrResults } = recognized;
+      signal?.throwIfAborted();
+
+      // Step 5: Combine with earlier pages of the same receipt, dropping overlapping lines
+      const processedFilePath = image.processedPath !== filePath ? image.processedPath : null;
+      const merged = ReceiptStitcher.mergePages([
+        ...(continuesReceipt ? ReceiptStitcher.getPages(continuesReceipt) : []),
+        ...recognized.pages
+      ]);
+
+      // Step 6: Parse and structure the data
+      const parsedData = await this.parseReceiptData(merged, {
         receiptId,
         phoneNumber,
         originalFileName: fileName,
         filePath,
-        ...metadata
+        processedFilePath,
+        source: source.type,
+        pageCount: merged.pages.length,
+        ...receiptMetadata,
+        // Pages after the first keep the original receipt's file and details
+        ...(continuesReceipt ? {
+          filePath: continuesReceipt.file_path,
+          processedFilePath: continuesReceipt.processed_file_path,
+          caption: continuesReceipt.caption,
+          captionTags: null,
+          contactName: continuesReceipt.contact_name,
+          source: continuesReceipt.source
+        } : {})
       });
 
-      // Step 4: Store the results
+      // Step 7: Reject unreadable results instead of storing a receipt full of guesses
+      const ocrQuality = ImageQuality.assessOcrResult(parsedData);
+      if (!ocrQuality.passed) {
+        return this.rejectForQuality(receiptId, [filePath, ...image.filePaths], ocrQuality);
+      }
+
+      // Step 8: Flag receipts that look like one already submitted
+      Object.assign(parsedData, await this.checkForDuplicate(parsedData, image.processedPath, continuesReceipt));
+
+      // Step 9: Store the results
+      signal?.throwIfAborted();
       await StorageService.saveReceipt(receiptId, {
         ...parsedData,
+        pages: merged.pages,
         processing: {
           duration: Date.now() - startTime,
-          ocrMethod: this.projectId && this.processorId ? 'document_ai' : 'fallback',
+          ocrMethod: ocrResults.provider,
+          ocrAttempts: ocrResults.attempts,
+          imagePreprocessing: {
+            steps: image.steps,
+            skew_angle: image.skew_angle,
+            crop: image.crop,
+            original_size: image.original_size,
+            processed_size: image.processed_size,
+            error: image.error
+          },
+          quality: {
+            image: imageQuality.metrics,
+            ocr: ocrQuality.metrics
+          },
+          stitching: {
+            pages: merged.pages.length,
+            duplicate_lines_removed: merged.duplicateLinesRemoved
+          },
+          pdf: recognized.pdf || null,
           timestamp: new Date().toISOString()
         }
       });
@@ -80,7 +178,8 @@ class ReceiptProcessor {
         error: error.message,
         stack: error.stack,
         phoneNumber,
-        mediaId,
+        source: source.type,
+        sourceReference: source.reference,
         timestamp: new Date().toISOString()
       });
 
@@ -93,99 +192,237 @@ class ReceiptProcessor {
   }
 
   /**
-   * Process receipt using Google Document AI
-   * @param {string} filePath - Local file path
-   * @returns {Promise<Object>} OCR results
+   * Preprocess a photo and OCR it
+   * @param {string} filePath - Original image path
+   * @param {Object} ocrOptions - { tenantId, phoneNumber }
+   * @param {string} sourceReference - Media ID or upload file name
+   * @returns {Promise<Object>} { pages, ocrResults, image }
    */
-  async processWithDocumentAI(filePath) {
+  async recognizeImage(filePath, ocrOptions, sourceReference) {
+    const image = await this.prepareImage(filePath);
+    const ocrResults = await OCRProviders.recognize(image.processedPath, {
+      ...ocrOptions,
+      mimeType: this.getMimeType(image.processedPath)
+    });
+
+    return {
+      pages: ReceiptStitcher.buildPages(ocrResults, {
+        filePath,
+        processedFilePath: image.processedPath !== filePath ? image.processedPath : null,
+        sourceReference
+      }),
+      ocrResults,
+      image: { ...image, filePaths: [image.processedPath] }
+    };
+  }
+
+  /**
+   * Read a PDF page by page. Pages with a text layer are used as they are (no
+   * OCR); scanned pages are rendered and OCR'd like photos. A PDF that can't be
+   * read goes to the OCR chain whole, since some providers accept PDFs.
+   * @param {string} filePath - PDF path
+   * @param {Object} ocrOptions - { tenantId, phoneNumber }
+   * @param {string} sourceReference - Media ID or upload file name
+   * @returns {Promise<Object>} { pages, ocrResults, image, pdf }
+   */
+  async recognizePdf(filePath, ocrOptions, sourceReference) {
+    let pdf;
     try {
-      console.log('🤖 Processing with Google Document AI...');
+      pdf = await PdfReader.read(filePath);
+    } catch (error) {
+      console.error('❌ Reading PDF failed, sending it to OCR as a whole:', error.message);
+      const ocrResults = await OCRProviders.recognize(filePath, { ...ocrOptions, mimeType: 'application/pdf' });
+      return {
+        pages: ReceiptStitcher.buildPages(ocrResults, { filePath, sourceReference }),
+        ocrResults,
+        image: { processedPath: filePath, filePaths: [], steps: [], error: error.message }
+      };
+    }
 
-      const fs = require('fs').promises;
-      const imageBuffer = await fs.readFile(filePath);
+    const pages = [];
+    const providers = [];
+    const attempts = [];
+    const filePaths = [];
+    const blankPages = [];
+    let processedPath = null;
 
-      // Configure the request
-      const request = {
-        name: `projects/${this.projectId}/locations/${this.location}/processors/${this.processorId}`,
-        rawDocument: {
-          content: imageBuffer.toString('base64'),
-          mimeType: this.getMimeType(filePath)
+    for (const pdfPage of pdf.pages) {
+      let ocrResults;
+      let pageImagePath = null;
+
+      if (pdfPage.imagePath) {
+        const image = await this.prepareImage(pdfPage.imagePath);
+        pageImagePath = image.processedPath;
+        // The page keeps only the image it was read from (and is deleted with the receipt)
+        if (pageImagePath !== pdfPage.imagePath) {
+          await this.removeFiles([pdfPage.imagePath]);
         }
-      };
+        filePaths.push(pageImagePath);
+
+        ocrResults = await OCRProviders.recognize(pageImagePath, {
+          ...ocrOptions,
+          mimeType: this.getMimeType(pageImagePath)
+        });
+        attempts.push(...ocrResults.attempts.map(attempt => ({ ...attempt, page: pdfPage.pageNumber })));
+
+        // Blank pages and pages of only logos or graphics have nothing to read, and
+        // their near-zero OCR confidence would drag down the whole receipt's
+        if (!PdfReader.hasEnoughText(ocrResults.text)) {
+          console.log(`📄 Skipping PDF page ${pdfPage.pageNumber}: no text found`);
+          blankPages.push(pdfPage.pageNumber);
+          await this.removeFiles([filePaths.pop()]);
+          continue;
+        }
+        processedPath = processedPath || pageImagePath;
+      } else {
+        ocrResults = { text: pdfPage.text, entities: [], pages: [], confidence: 1, provider: 'pdf_text' };
+      }
 
-      // Process the document
-      const [result] = await this.docAIClient.processDocument(request);
-      const document = result.document;
+      if (!providers.includes(ocrResults.provider)) providers.push(ocrResults.provider);
+      pages.push(...ReceiptStitcher.buildPages(ocrResults, {
+        filePath,
+        processedFilePath: pageImagePath,
+        sourceReference
+      }));
+    }
 
-      console.log(`✅ Document AI processed ${document.pages.length} page(s)`);
+    const renderedPages = pdf.pages.filter(page => page.imagePath).length;
+
+    return {
+      pages,
+      ocrResults: { provider: providers.join('+'), attempts },
+      image: {
+        processedPath: processedPath || filePath,
+        filePaths,
+        steps: renderedPages > 0 ? ['pdf_render'] : []
+      },
+      pdf: {
+        page_count: pdf.pageCount,
+        pages_read: pdf.pages.length,
+        text_pages: pdf.pages.length - renderedPages,
+        rendered_pages: renderedPages,
+        blank_pages: blankPages
+      }
+    };
+  }
 
-      return {
-        text: document.text,
-        entities: document.entities || [],
-        pages: document.pages || [],
-        confidence: this.calculateAverageConfidence(document)
-      };
+  /**
+   * Run the pre-OCR quality checks; a failing check never blocks processing
+   * @param {string} filePath - Original file path
+   * @returns {Promise<Object>} Quality result ({ passed, issues, metrics })
+   */
+  async checkImageQuality(filePath) {
+    try {
+      return await ImageQuality.assessImage(filePath);
     } catch (error) {
-      console.error('❌ Document AI processing failed:', error);
-      console.log('🔄 Falling back to alternative OCR...');
-      return await this.processWithFallbackOCR(filePath);
+      console.error('❌ Image quality check failed, continuing without it:', error.message);
+      return { passed: true, issues: [], metrics: { error: error.message } };
     }
   }
 
   /**
-   * Fallback OCR processing (for demo or when Document AI is not available)
-   * @param {string} filePath - Local file path
-   * @returns {Promise<Object>} OCR results
+   * Run duplicate detection; a failing check never blocks processing
+   * @param {Object} receiptData - Parsed receipt data
+   * @param {string} imagePath - Image to hash
+   * @param {Object} previous - Stored receipt when adding a page to it
+   * @returns {Promise<Object>} { image_hash, fingerprint, duplicate_check }
    */
-  async processWithFallbackOCR(filePath) {
-    console.log('🔄 Processing with fallback OCR (demo mode)...');
-
-    // For demo purposes, return mock data based on common receipt patterns
-    // In production, you could integrate with Tesseract.js or other OCR libraries
-    const mockReceiptData = {
-      text: `
-MERCHANT RECEIPT
-Store Name: Demo Restaurant
-Date: ${new Date().toLocaleDateString()}
-Time: ${new Date().toLocaleTimeString()}
-
-Items:
-Coffee               $4.50
-Sandwich            $12.00
-Tax                  $1.32
-Total              $17.82
-
-Thank you for your business!
-      `.trim(),
-      entities: [
-        { type: 'total_amount', mentionText: '$17.82', confidence: 0.95 },
-        { type: 'supplier_name', mentionText: 'Demo Restaurant', confidence: 0.90 },
-        { type: 'receipt_date', mentionText: new Date().toLocaleDateString(), confidence: 0.85 },
-        { type: 'tax_amount', mentionText: '$1.32', confidence: 0.80 }
-      ],
-      pages: [{ pageNumber: 1 }],
-      confidence: 0.87
-    };
+  async checkForDuplicate(receiptData, imagePath, previous) {
+    try {
+      return await DuplicateDetector.check(receiptData, imagePath, previous);
+    } catch (error) {
+      console.error('❌ Duplicate check failed, continuing without it:', error.message);
+      return { image_hash: null, fingerprint: null, duplicate_check: null };
+    }
+  }
 
-    // Add some randomization for demo purposes
-    const amounts = ['$17.82', '$23.45', '$8.90', '$156.78', '$42.10'];
-    const merchants = ['Demo Restaurant', 'Coffee Shop', 'Gas Station', 'Office Supplies Co', 'Grocery Store'];
-    const taxes = ['$1.32', '$2.45', '$0.89', '$15.67', '$4.21'];
+  /**
+   * Discard a receipt that failed the quality gate so the user can retake it
+   * @param {string} receiptId - Receipt ID
+   * @param {Array<string>} filePaths - Files written for this receipt
+   * @param {Object} quality - Failed quality result
+   * @returns {Promise<Object>} Processing result with qualityIssues
+   */
+  async rejectForQuality(receiptId, filePaths, quality) {
+    const codes = quality.issues.map(issue => issue.code);
+    console.log(`📷 Receipt ${receiptId} rejected by quality gate: ${codes.join(', ')}`);
+
+    await this.removeFiles(filePaths);
 
-    const randomAmount = amounts[Math.floor(Math.random() * amounts.length)];
-    const randomMerchant = merchants[Math.floor(Math.random() * merchants.length)];
-    const randomTax = taxes[Math.floor(Math.random() * taxes.length)];
+    return {
+      success: false,
+      error: 'Image quality check failed',
+      receiptId,
+      qualityIssues: quality.issues
+    };
+  }
 
-    mockReceiptData.text = mockReceiptData.text
-      .replace('$17.82', randomAmount)
-      .replace('Demo Restaurant', randomMerchant)
-      .replace('$1.32', randomTax);
+  /**
+   * Delete files that are no longer needed; missing files are ignored
+   * @param {Array<string>} filePaths - File paths (null entries are skipped)
+   */
+  async removeFiles(filePaths) {
+    for (const filePath of new Set(filePaths.filter(Boolean))) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Run the image preprocessing pipeline, falling back to the original file on failure
+   * @param {string} filePath - Original file path
+   * @returns {Promise<Object>} Preprocessing result ({ processedPath, steps, ... })
+   */
+  async prepareImage(filePath) {
+    try {
+      return await ImagePreprocessor.preprocess(filePath);
+    } catch (error) {
+      console.error('❌ Image preprocessing failed, using original image:', error.message);
+      return {
+        originalPath: filePath,
+        processedPath: filePath,
+        skipped: true,
+        steps: [],
+        error: error.message
+      };
+    }
+  }
 
-    mockReceiptData.entities[0].mentionText = randomAmount;
-    mockReceiptData.entities[1].mentionText = randomMerchant;
-    mockReceiptData.entities[3].mentionText = randomTax;
+  /**
+   * File source that downloads the receipt from WhatsApp media
+   * @param {string} mediaId - WhatsApp media ID
+   * @param {string} mimeType - Type from the message, for documents the media
+   *   API reports as application/octet-stream (defaults to the media's type)
+   * @returns {Object} File source
+   */
+  createWhatsAppMediaSource(mediaId, mimeType) {
+    return {
+      type: 'whatsapp',
+      reference: mediaId,
+      fetch: async (receiptId) => {
+        const mediaInfo = await WhatsAppService.getMediaUrl(mediaId);
+        const fileType = mimeType || mediaInfo.mime_type;
+        const fileName = `receipt_${receiptId}_${Date.now()}.${this.getFileExtension(fileType)}`;
+        const filePath = await WhatsAppService.downloadMedia(mediaInfo.url, fileName);
+        return { filePath, fileName, mimeType: fileType };
+      }
+    };
+  }
 
-    return mockReceiptData;
+  /**
+   * File source for a file already held in memory (multipart upload)
+   * @param {Object} file - Uploaded file ({ buffer, mimetype, originalname })
+   * @returns {Object} File source
+   */
+  createUploadSource(file) {
+    return {
+      type: 'upload',
+      reference: file.originalname,
+      fetch: async (receiptId) => {
+        const fileName = `receipt_${receiptId}_${Date.now()}.${this.getFileExtension(file.mimetype)}`;
+        const filePath = await StorageService.saveReceiptFile(fileName, file.buffer);
+        return { filePath, fileName, mimeType: file.mimetype };
+      }
+    };
   }
 
   /**
@@ -201,6 +438,49 @@ Thank you for your business!
       const entities = ocrResults.entities || [];
       const text = ocrResults.text || '';
 
+      // Numbers and dates are read in the receipt's locale: the user's setting,
+      // else their phone's country, else wherever the printed currency is used
+      const detected = this.extractCurrency(text, metadata.phoneNumber);
+      const currency = detected.currency;
+      const userLocale = metadata.locale || (await UserSettings.getSettings(metadata.phoneNumber)).locale;
+      const locale = LocaleParser.resolveLocale({
+        locale: userLocale,
+        currency: ['symbol', 'code', 'merchant_country'].includes(detected.source) ? currency : null,
+        phoneNumber: metadata.phoneNumber
+      });
+      const context = { locale, currency };
+
+      // Separate taxes (GST and PST, VAT at two rates) add up to the receipt's tax
+      const taxLines = this.extractTaxLines(entities, text, context);
+      const taxAmount = taxLines.length > 0 && !entities.some(e => e.type === 'tax_amount')
+        ? LocaleParser.fromMinorUnits(TaxParser.sum(taxLines), currency)
+        : this.extractAmount(entities, text, 'tax_amount', context);
+      const subtotalAmount = this.extractAmount(entities, text, 'subtotal_amount', context);
+      const total = this.findAmount(entities, text, 'total_amount', context, {
+        subtotalMinor: LocaleParser.toMinorUnits(subtotalAmount, currency),
+        taxMinor: LocaleParser.toMinorUnits(taxAmount, currency)
+      });
+      const totalAmount = total.value;
+      // A tip written in below the printed total comes with a final total
+      const tip = ReceiptValidator.findTip(entities, text, context, LocaleParser.toMinorUnits(totalAmount, currency));
+      const lineItems = this.extractLineItems(entities, text, context);
+
+      // The same chain reads differently on every receipt; the directory knows its one name
+      const rawMerchantName = this.extractMerchantName(entities, text);
+      const merchantDetails = MerchantDirectory.extractDetails(text);
+      const merchant = await this.resolveMerchant(rawMerchantName, merchantDetails);
+
+      // Tags, project and note typed in the caption (already checked when sent from WhatsApp)
+      const captionTags = metadata.captionTags || await this.parseCaption(metadata.caption, metadata);
+      const category = await this.categorize({
+        merchant_name: merchant ? merchant.name : rawMerchantName,
+        merchant_id: merchant ? merchant.merchant_id : null,
+        line_items: lineItems.items,
+        caption: metadata.caption,
+        caption_category: captionTags.category,
+        phone_number: metadata.phoneNumber
+      }, { merchant, tenantId: metadata.tenantId });
+
       // Extract key fields using entity recognition and text parsing
       const receiptData = {
         receipt_id: metadata.receiptId,
@@ -208,35 +488,81 @@ Thank you for your business!
         contact_name: metadata.contactName || 'Unknown',
         
         // Basic receipt info
-        merchant_name: this.extractMerchantName(entities, text),
-        total_amount: this.extractAmount(entities, text, 'total_amount'),
-        tax_amount: this.extractAmount(entities, text, 'tax_amount'),
-        subtotal_amount: this.extractAmount(entities, text, 'subtotal_amount'),
+        merchant_name: merchant ? merchant.name : rawMerchantName,
+        merchant_raw_name: rawMerchantName,
+        merchant_id: merchant ? merchant.merchant_id : null,
+        merchant_address: merchantDetails.address,
+        merchant_phone: merchantDetails.phone,
+        merchant_tax_id: merchantDetails.tax_id,
+
+        // Expense category and what decided it (caption, learned, rule, merchant, classifier or user)
+        category: category.category,
+        category_source: category.category_source,
+        category_confidence: category.category_confidence,
+
+        total_amount: totalAmount,
+        tax_amount: taxAmount,
+        subtotal_amount: subtotalAmount,
+
+        // Exact amounts in the currency's minor units (cents), for arithmetic
+        total_amount_minor: LocaleParser.toMinorUnits(totalAmount, currency),
+        tax_amount_minor: LocaleParser.toMinorUnits(taxAmount, currency),
+        subtotal_amount_minor: LocaleParser.toMinorUnits(subtotalAmount, currency),
         
-        // Date and time
-        date: this.extractDate(entities, text),
+        // Tax per type and rate, with the merchant's registration number
+        tax_lines: taxLines,
+
+        // Tip, what was paid in the end, and whether the tip needs confirming
+        tip_amount: tip.tip_amount,
+        tip_amount_minor: tip.tip_amount_minor,
+        tip_included: tip.tip_included,
+        tip_status: tip.tip_status,
+        final_total: tip.final_total,
+        final_total_minor: tip.final_total_minor,
+        
+        // Date (ISO 8601) and time
+        date: this.extractDate(entities, text, context),
         time: this.extractTime(entities, text),
         
         // Line items
-        line_items: this.extractLineItems(entities, text),
+        line_items: lineItems.items,
+        line_items_source: lineItems.source,
         
         // Additional info
-        currency: this.extractCurrency(text) || 'USD',
+        currency,
+        currency_source: detected.source,
+        merchant_country: detected.merchantCountry,
+        locale,
         payment_method: this.extractPaymentMethod(entities, text),
         
         // Metadata
         original_text: text,
         confidence_score: ocrResults.confidence || 0,
         file_path: metadata.filePath,
+        processed_file_path: metadata.processedFilePath || null,
+        page_count: metadata.pageCount || 1,
         processing_timestamp: new Date().toISOString(),
+        // When the latest photo was sent, which the stitch window is measured from
+        message_timestamp: metadata.timestamp || null,
         
         // User context
         caption: metadata.caption || '',
+        ...CaptionParser.toReceiptFields(captionTags),
+        source: metadata.source || 'whatsapp',
         
         // Status
         status: 'pending_approval'
       };
 
+      // Do the items (plus tax, unless prices include it) add up to the total?
+      receiptData.line_item_reconciliation = LineItemParser.reconcile(receiptData);
+
+      // Cross-check the amounts and flag fields a reviewer should double-check
+      Object.assign(receiptData, ReceiptValidator.validate(receiptData, {
+        totalSource: total.source,
+        dateFound: this.hasDate(entities, text, context)
+      }));
+
       console.log(`✅ Parsed receipt data: ${receiptData.merchant_name} - ${receiptData.total_amount}`);
       return receiptData;
     } catch (error) {
@@ -283,72 +609,110 @@ Thank you for your business!
     return 'Unknown Merchant';
   }
 
+  /**
+   * Look up (or add) the merchant in the merchant directory
+   * @returns {Promise<Object|null>} Merchant entry, or null when unknown or the directory fails
+   */
+  async resolveMerchant(rawName, details) {
+    try {
+      return await MerchantDirectory.resolve(rawName, details);
+    } catch (error) {
+      console.warn('⚠️ Merchant directory lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Parse the caption's tags; a caption that can't be parsed is kept as a note.
+   * Errors (an unknown project) were reported when the photo was sent, so the
+   * fields they refer to are just left empty here.
+   * @returns {Promise<Object>} Parsed caption from CaptionParser.parse
+   */
+  async parseCaption(caption, metadata) {
+    try {
+      return await CaptionParser.parse(caption, { phoneNumber: metadata.phoneNumber, tenantId: metadata.tenantId });
+    } catch (error) {
+      console.warn('⚠️ Caption parsing failed:', error.message);
+      return { ...(await CaptionParser.parse('')), note: caption || null };
+    }
+  }
+
+  /**
+   * Pick the receipt's expense category; a failing lookup leaves it uncategorized
+   * @returns {Promise<Object>} { category, category_source, category_confidence }
+   */
+  async categorize(receipt, options) {
+    try {
+      return await ExpenseCategorizer.categorize(receipt, options);
+    } catch (error) {
+      console.warn('⚠️ Expense categorization failed:', error.message);
+      return { category: null, category_source: null, category_confidence: null };
+    }
+  }
+
   /**
    * Extract monetary amounts
    */
-  extractAmount(entities, text, type) {
+  extractAmount(entities, text, type, context = {}) {
+    return this.findAmount(entities, text, type, context).value;
+  }
+
+  /**
+   * Find a monetary amount and where it came from
+   * @param {Object} hints - { subtotalMinor, taxMinor } to help pick an unlabelled total
+   * @returns {Object} { value, source } - source is 'entity', 'label', 'inferred' or null
+   */
+  findAmount(entities, text, type, context = {}, hints = {}) {
     // Try entity recognition first
     const amountEntity = entities.find(e => e.type === type);
     if (amountEntity && amountEntity.mentionText) {
-      return this.parseAmount(amountEntity.mentionText);
+      return { value: this.parseAmount(amountEntity.mentionText, context), source: 'entity' };
     }
 
     // Fallback to text parsing
+    const amount = `${LocaleParser.currencyPrefix}\\s*(${LocaleParser.amountPattern})`;
     const amountPatterns = {
-      total_amount: /(?:total|amount due|balance)[:\s]*\$?(\d+\.?\d*)/i,
-      tax_amount: /(?:tax|hst|gst|vat)[:\s]*\$?(\d+\.?\d*)/i,
-      subtotal_amount: /(?:subtotal|sub total|sub-total)[:\s]*\$?(\d+\.?\d*)/i
+      total_amount: new RegExp(`(?:(?<!sub[\\s-]?)total(?!\\s*(?:tax|vat|gst|hst|pst|qst|mwst))|amount due|balance|gesamt|(?<!zwischen)summe|importe|montant)[:\\s]*${amount}`, 'i'),
+      // An optional rate may come first: "MwSt 7% 0,16", "Tax (8.875%) 1.23"
+      tax_amount: new RegExp(`(?:tax|hst|gst|vat|iva|mwst|tva)(?:\\s*\\(?\\d{1,2}(?:[.,]\\d{1,3})?\\s?%\\)?)?[:\\s]*${amount}`, 'i'),
+      subtotal_amount: new RegExp(`(?:subtotal|sub total|sub-total|zwischensumme)[:\\s]*${amount}`, 'i')
     };
 
     const pattern = amountPatterns[type];
     if (pattern) {
       const match = text.match(pattern);
       if (match) {
-        return this.parseAmount(match[1]);
+        return { value: this.parseAmount(match[1], context), source: 'label' };
       }
     }
 
-    // For total amount, try to find the last/largest amount
+    // For total amount, fall back to the amounts printed on the receipt
     if (type === 'total_amount') {
-      const amounts = text.match(/\$?\d+\.?\d*/g) || [];
-      const numericAmounts = amounts
-        .map(a => parseFloat(a.replace(/[^0-9.]/g, '')))
-        .filter(a => !isNaN(a) && a > 0)
-        .sort((a, b) => b - a);
-      
-      if (numericAmounts.length > 0) {
-        return numericAmounts[0].toFixed(2);
+      const guess = ReceiptValidator.guessTotal(text, context, hints);
+      if (guess !== null) {
+        return { value: LocaleParser.fromMinorUnits(guess, context.currency), source: 'inferred' };
       }
     }
 
-    return null;
+    return { value: null, source: null };
   }
 
   /**
    * Extract date from receipt
    */
-  extractDate(entities, text) {
+  extractDate(entities, text, context = {}) {
     const dateEntity = entities.find(e => e.type === 'receipt_date' || e.type === 'date');
     if (dateEntity && dateEntity.mentionText) {
-      return this.parseDate(dateEntity.mentionText);
+      return this.parseDate(dateEntity.mentionText, context);
     }
 
-    // Try to find date patterns in text
-    const datePatterns = [
-      /\d{1,2}\/\d{1,2}\/\d{2,4}/, // MM/DD/YYYY or MM/DD/YY
-      /\d{1,2}-\d{1,2}-\d{2,4}/, // MM-DD-YYYY
-      /\d{4}-\d{1,2}-\d{1,2}/, // YYYY-MM-DD
-      /\w+\s+\d{1,2},?\s+\d{4}/ // Month DD, YYYY
-    ];
-
-    for (const pattern of datePatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        return this.parseDate(match[0]);
-      }
-    }
+    // Find the first date in the text (ISO, numeric in the locale's order, or with a month name)
+    return this.parseDate(text, context);
+  }
 
-    return new Date().toLocaleDateString();
+  hasDate(entities, text, context = {}) {
+    return entities.some(e => (e.type === 'receipt_date' || e.type === 'date') && e.mentionText) ||
+      Boolean(LocaleParser.parseDate(text, context));
   }
 
   /**
@@ -362,41 +726,26 @@ Thank you for your business!
 
   /**
    * Extract line items from receipt
+   * @returns {Object} { items, source }
    */
-  extractLineItems(entities, text) {
-    const items = [];
-    const lines = text.split('\n');
-    
-    for (const line of lines) {
-      // Look for lines with item and price
-      const itemMatch = line.match(/^(.+?)\s+\$?(\d+\.?\d*)$/);
-      if (itemMatch) {
-        const description = this.cleanText(itemMatch[1]);
-        const amount = this.parseAmount(itemMatch[2]);
-        
-        // Skip lines that are likely totals or taxes
-        if (!description.match(/total|tax|subtotal|balance/i) && description.length > 2) {
-          items.push({
-            description: description,
-            amount: amount,
-            quantity: 1 // Default quantity
-          });
-        }
-      }
-    }
+  extractLineItems(entities, text, context = {}) {
+    return LineItemParser.extract(entities, text, context);
+  }
 
-    return items;
+  /**
+   * Extract tax lines (type, rate, base, amount, registration number)
+   * @returns {Array<Object>} Tax lines
+   */
+  extractTaxLines(entities, text, context = {}) {
+    return TaxParser.extract(entities, text, context);
   }
 
   /**
    * Extract currency from text
+   * @returns {Object} { currency, source, merchantCountry }
    */
-  extractCurrency(text) {
-    if (text.includes('$')) return 'USD';
-    if (text.includes('€')) return 'EUR';
-    if (text.includes('£')) return 'GBP';
-    if (text.includes('¥')) return 'JPY';
-    return 'USD'; // Default
+  extractCurrency(text, phoneNumber) {
+    return CurrencyService.detectCurrency(text, { phoneNumber });
   }
 
   /**
@@ -423,20 +772,24 @@ Thank you for your business!
   /**
    * Helper methods
    */
-  parseAmount(amountStr) {
-    if (!amountStr) return null;
-    const cleaned = amountStr.toString().replace(/[^0-9.]/g, '');
-    const amount = parseFloat(cleaned);
-    return isNaN(amount) ? null : amount.toFixed(2);
+  /**
+   * Parse a printed amount into a decimal string at the currency's precision
+   * @param {string} amountStr - e.g. "1.234,56 €"
+   * @param {Object} context - { locale, currency }
+   * @returns {string|null} e.g. "1234.56"
+   */
+  parseAmount(amountStr, context = {}) {
+    return LocaleParser.parseAmount(amountStr, context);
   }
 
-  parseDate(dateStr) {
-    try {
-      const date = new Date(dateStr);
-      return isNaN(date.getTime()) ? new Date().toLocaleDateString() : date.toLocaleDateString();
-    } catch {
-      return new Date().toLocaleDateString();
-    }
+  /**
+   * Parse a printed date into ISO 8601 (YYYY-MM-DD), falling back to today
+   * @param {string} dateStr - e.g. "03/04/2025"
+   * @param {Object} context - { locale }
+   * @returns {string} ISO date
+   */
+  parseDate(dateStr, context = {}) {
+    return LocaleParser.parseDate(dateStr, context) || new Date().toISOString().slice(0, 10);
   }
 
   cleanText(text) {
@@ -450,6 +803,8 @@ Thank you for your business!
       'image/png': 'png',
       'image/gif': 'gif',
       'image/webp': 'webp',
+      'image/heic': 'heic',
+      'image/heif': 'heif',
       'application/pdf': 'pdf'
     };
     return mimeMap[mimeType] || 'jpg';
@@ -463,22 +818,12 @@ Thank you for your business!
       '.png': 'image/png',
       '.gif': 'image/gif',
       '.webp': 'image/webp',
+      '.heic': 'image/heic',
+      '.heif': 'image/heif',
       '.pdf': 'application/pdf'
     };
     return extMap[ext] || 'image/jpeg';
   }
-
-  calculateAverageConfidence(document) {
-    if (!document.entities || document.entities.length === 0) return 0.5;
-    
-    const confidences = document.entities
-      .map(entity => entity.confidence || 0.5)
-      .filter(conf => conf > 0);
-    
-    return confidences.length > 0 
-      ? confidences.reduce((sum, conf) => sum + conf, 0) / confidences.length
-      : 0.5;
-  }
 }
 
 module.exports = new ReceiptProcessor();
\ No newline at end of file
@@ -0,0 +1,252 @@
+const StorageService = require('./storage');
+
+// Captions that mark a photo as the next part of the previous receipt
+const CONTINUATION_CAPTION = /^\s*(\+|\.\.\.|cont(?:\.|'d|inued)?|continuation|more|next|(?:page|part)\s*\d+(?:\s*(?:\/|of)\s*\d+)?)\s*[.!]*\s*$/i;
+
+class ReceiptStitcher {
+  constructor() {
+    this.enabled = process.env.ENABLE_RECEIPT_STITCHING !== 'false';
+    this.windowMs = parseInt(process.env.RECEIPT_STITCH_WINDOW_SECONDS || '60') * 1000;
+    this.locks = new Map();
+  }
+
+  /**
+   * Run tasks for the same key one after another. Photos sent in quick
+   * succession arrive as separate webhooks, and each must see the receipt
+   * the previous one created.
+   * @param {string} key - Lock key (phone number)
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result
+   */
+  async runExclusive(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    const tail = current.catch(() => {});
+    this.locks.set(key, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  isContinuationCaption(caption) {
+    return CONTINUATION_CAPTION.test(caption || '');
+  }
+
+  /**
+   * Find the receipt a new photo should be added to, if any.
+   * A "continued"-style caption always continues the latest pending receipt;
+   * an uncaptioned photo continues it when sent within the stitch window.
+   * Times are when the photos were sent, not when their queued jobs ran, so
+   * photos sent minutes apart stay separate even if processed back to back,
+   * and a retried photo is never added to a receipt sent after it.
+   * @param {string} phoneNumber - Sender's phone number
+   * @param {string} caption - Caption of the new photo
+   * @param {string} sentAt - When the new photo was sent (ISO 8601, defaults to now)
+   * @returns {Promise<Object|null>} Receipt to continue, or null for a new receipt
+   */
+  async findOpenReceipt(phoneNumber, caption, sentAt = null) {
+    if (!this.enabled) return null;
+
+    const continuation = this.isContinuationCaption(caption);
+    if (caption && caption.trim() && !continuation) return null;
+
+    const [latest] = await StorageService.getReceiptsByPhone(phoneNumber);
+    if (!latest || latest.status !== 'pending_approval') return null;
+
+    // Receipts stored before message times were kept fall back to when they were processed
+    const previousSentAt = latest.message_timestamp || latest.processing_timestamp;
+    const age = new Date(sentAt || Date.now()).getTime() - new Date(previousSentAt).getTime();
+    if (!(age >= 0) || (!continuation && age > this.windowMs)) return null;
+
+    console.log(`🧵 Adding photo to receipt ${latest.receipt_id} (${continuation ? 'continuation caption' : `sent ${Math.round(age / 1000)}s later`})`);
+    return latest;
+  }
+
+  /**
+   * Pages already stored on a receipt (receipts saved before stitching have none)
+   */
+  getPages(receipt) {
+    if (Array.isArray(receipt.pages) && receipt.pages.length > 0) {
+      return receipt.pages;
+    }
+
+    return [{
+      page_number: 1,
+      text: receipt.original_text || '',
+      entities: [],
+      confidence: receipt.confidence_score || 0,
+      file_path: receipt.file_path,
+      processed_file_path: receipt.processed_file_path || null
+    }];
+  }
+
+  /**
+   * Split one OCR result into page entries. Multi-page PDFs are split using the
+   * text anchors on each page; anything else is a single page.
+   * @param {Object} ocrResults - Normalized OCR result
+   * @param {Object} file - { filePath, processedFilePath, sourceReference }
+   * @returns {Array<Object>} Page entries
+   */
+  buildPages(ocrResults, file) {
+    const addedAt = new Date().toISOString();
+    const entities = (ocrResults.entities || []).map(entity => this.compactEntity(entity));
+
+    return this.splitPageTexts(ocrResults).map((text, index) => ({
+      text,
+      // Document-level entities are kept once, on the file's first page
+      entities: index === 0 ? entities : [],
+      confidence: ocrResults.confidence || 0,
+      ocr_provider: ocrResults.provider,
+      file_path: file.filePath,
+      processed_file_path: file.processedFilePath || null,
+      source_reference: file.sourceReference,
+      added_at: addedAt
+    }));
+  }
+
+  splitPageTexts({ text = '', pages = [] }) {
+    if (pages.length < 2) return [text];
+
+    const texts = pages.map(page => {
+      const segments = page.layout?.textAnchor?.textSegments;
+      if (!Array.isArray(segments) || segments.length === 0) return null;
+      return segments
+        .map(segment => text.slice(Number(segment.startIndex || 0), Number(segment.endIndex || 0)))
+        .join('');
+    });
+
+    return texts.every(pageText => pageText !== null) ? texts : [text];
+  }
+
+  /**
+   * Merge pages into one OCR result, dropping lines photographed twice where
+   * consecutive pages overlap
+   * @param {Array<Object>} pages - Page entries in order
+   * @returns {Object} { text, entities, confidence, pages, duplicateLinesRemoved }
+   */
+  mergePages(pages) {
+    const numbered = pages.map((page, index) => ({ ...page, page_number: index + 1 }));
+    let lines = [];
+    let duplicateLinesRemoved = 0;
+
+    for (const page of numbered) {
+      const pageLines = (page.text || '').split('\n').filter(line => line.trim().length > 0);
+      const overlap = this.findOverlap(lines, pageLines);
+
+      if (overlap) {
+        lines = lines.slice(0, lines.length - overlap.trimTail);
+        lines.push(...pageLines.slice(overlap.skipHead));
+        duplicateLinesRemoved += overlap.lines;
+      } else {
+        lines.push(...pageLines);
+      }
+    }
+
+    if (numbered.length > 1) {
+      console.log(`🧵 Merged ${numbered.length} pages (${duplicateLinesRemoved} overlapping line(s) removed)`);
+    }
+
+    const confidences = numbered.map(page => page.confidence || 0);
+
+    return {
+      text: lines.join('\n'),
+      entities: numbered.flatMap(page => page.entities || []),
+      confidence: confidences.length > 0 ? Math.min(...confidences) : 0,
+      pages: numbered,
+      duplicateLinesRemoved
+    };
+  }
+
+  /**
+   * Find where the top of the next page repeats the bottom of the text so far.
+   * One partially photographed line is allowed at each edge.
+   * @returns {Object|null} { lines, trimTail, skipHead } or null when the pages don't overlap
+   */
+  findOverlap(previousLines, nextLines) {
+    const previous = previousLines.map(line => this.normalizeLine(line));
+    const next = nextLines.map(line => this.normalizeLine(line));
+    let best = null;
+
+    for (let edgeTail = 0; edgeTail <= 1; edgeTail++) {
+      for (let edgeHead = 0; edgeHead <= 1; edgeHead++) {
+        const maxLength = Math.min(previous.length - edgeTail, next.length - edgeHead);
+
+        for (let length = maxLength; length >= 1; length--) {
+          if (best && length <= best.lines) break;
+
+          const start = previous.length - edgeTail - length;
+          let matches = true;
+          for (let i = 0; i < length && matches; i++) {
+            matches = this.linesMatch(previous[start + i], next[edgeHead + i]);
+          }
+          if (!matches) continue;
+
+          // A single short line ("TOTAL", "1.99") repeating is not evidence of overlap
+          const matchedChars = next.slice(edgeHead, edgeHead + length).join('').length;
+          if (length < 2 && (edgeTail + edgeHead > 0 || matchedChars < 12)) continue;
+
+          best = { lines: length, trimTail: edgeTail, skipHead: edgeHead + length };
+          break;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  normalizeLine(line) {
+    return line.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Lines match when equal after normalization, or nearly equal for longer
+   * lines (the same line OCR'd from two photos rarely comes out identical)
+   */
+  linesMatch(a, b) {
+    if (a === b) return a.length > 0;
+    if (a.length < 6 || b.length < 6) return false;
+    if (Math.abs(a.length - b.length) > Math.max(a.length, b.length) * 0.15) return false;
+
+    return 1 - this.editDistance(a, b) / Math.max(a.length, b.length) >= 0.85;
+  }
+
+  editDistance(a, b) {
+    let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      for (let j = 1; j <= b.length; j++) {
+        row[j] = Math.min(
+          previousRow[j] + 1,
+          row[j - 1] + 1,
+          previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previousRow = row;
+    }
+
+    return previousRow[b.length];
+  }
+
+  /**
+   * Keep only the entity fields receipt parsing uses, so stored pages stay small
+   */
+  compactEntity(entity) {
+    const compact = {
+      type: entity.type,
+      mentionText: entity.mentionText,
+      confidence: entity.confidence
+    };
+    if (Array.isArray(entity.properties) && entity.properties.length > 0) {
+      compact.properties = entity.properties.map(property => this.compactEntity(property));
+    }
+    return compact;
+  }
+}
+
+module.exports = new ReceiptStitcher();
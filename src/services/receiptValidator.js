@@ -0,0 +1,362 @@
+const LocaleParser = require('./localeParser');
+const LineItemParser = require('./lineItemParser');
+
+// Payment lines printed after the total: what the customer handed over...
+const TENDER_LINE = /\b(?:cash|tender(?:ed)?|amount paid|paid|visa|mastercard|amex|debit|credit|card|bezahlt|gegeben|bar|karte|ec-karte|efectivo|entregado|tarjeta|esp[èe]ces|carte|contanti|carta|dinheiro|cart[ãa]o)\b/i;
+// ...and what they got back
+const CHANGE_LINE = /\b(?:change(?: due)?|r[üu]ckgeld|wechselgeld|cambio|vuelto|rendu|monnaie|resto|troco)\b/i;
+// Tip, gratuity and service charge lines, printed or written in by hand...
+const TIP_LINE = /\b(?:tip|gratuity|service\s+(?:charge|fee)|trinkgeld|bedienung|propina|servicio|pourboire|mancia|servizio|gorjeta)\b|\bservice\s*\(?\d{1,2}(?:[.,]\d{1,2})?\s?%/i;
+// ...but not a tip guide ("Suggested tip: 18% = 7.78") or a note like "Service included"
+const TIP_SUGGESTION = /\b(?:suggest(?:ed|ion)?|guide|recommended|vorschlag)\b/i;
+const TIP_NOTE = /\b(?:included|incl|inkl|inbegriffen|inclus|compris|incluido|incluso)\b/i;
+const TOTAL_LINE = /\b(?:(?<!sub[\s-]?)total(?!\s*(?:tax|vat|gst|hst|pst|qst|mwst))|amount due|balance|gesamt|(?<!zwischen)summe|importe|montant)\b/i;
+const SUBTOTAL_LINE = /\b(?:sub[\s-]?total|zwischensumme)\b/i;
+
+// What each warning asks a reviewer to check
+const WARNINGS = {
+  total_missing: {
+    fields: ['total_amount'],
+    message: 'No total was found on the receipt'
+  },
+  total_inferred: {
+    fields: ['total_amount'],
+    message: 'The total was not labelled on the receipt and was inferred from the amounts'
+  },
+  total_mismatch: {
+    fields: ['total_amount', 'subtotal_amount', 'tax_amount'],
+    message: 'Subtotal + tax + tip - discounts does not equal the total'
+  },
+  total_is_tendered: {
+    fields: ['total_amount'],
+    message: 'The total equals the amount tendered, not the amount due'
+  },
+  change_mismatch: {
+    fields: ['total_amount'],
+    message: 'Amount tendered minus change does not equal the total'
+  },
+  subtotal_exceeds_total: {
+    fields: ['subtotal_amount', 'total_amount'],
+    message: 'The subtotal is larger than the total'
+  },
+  tax_exceeds_total: {
+    fields: ['tax_amount', 'total_amount'],
+    message: 'The tax is larger than the total'
+  },
+  tax_rate_unusual: {
+    fields: ['tax_amount'],
+    message: 'The tax is more than 30% of the subtotal'
+  },
+  tip_unreadable: {
+    fields: ['tip_amount', 'final_total'],
+    message: 'The tip written on the receipt could not be read'
+  },
+  tip_mismatch: {
+    fields: ['tip_amount', 'final_total'],
+    message: 'Total + tip does not equal the final total written on the receipt'
+  },
+  line_items_mismatch: {
+    fields: ['line_items', 'total_amount'],
+    message: 'The line items do not add up to the total'
+  },
+  date_not_found: {
+    fields: ['date'],
+    message: 'No date was found; the processing date was used'
+  },
+  merchant_unknown: {
+    fields: ['merchant_name'],
+    message: 'The merchant name could not be read'
+  }
+};
+
+class ReceiptValidator {
+  constructor() {
+    // One minor unit of slack for rounding on the receipt
+    this.tolerance = 1;
+    this.maxTaxRate = 0.3;
+  }
+
+  /**
+   * Cross-check a parsed receipt's amounts and flag fields to double-check
+   * @param {Object} receipt - Parsed receipt (amounts, *_minor fields, line items, original_text)
+   * @param {Object} options - { totalSource, dateFound }
+   * @returns {Object} { totals_check, warnings }
+   */
+  validate(receipt, { totalSource = null, dateFound = true } = {}) {
+    const context = { locale: receipt.locale, currency: receipt.currency };
+    const components = this.findComponents(receipt.original_text || '', context);
+    const total = this.minor(receipt, 'total_amount');
+    const subtotal = this.minor(receipt, 'subtotal_amount');
+    const tax = this.minor(receipt, 'tax_amount');
+    const codes = [];
+    const details = {};
+
+    const totalsCheck = this.checkTotals({ total, subtotal, tax, ...components }, receipt.currency);
+    if (totalsCheck.status === 'mismatch') {
+      codes.push('total_mismatch');
+      details.total_mismatch = { expected: totalsCheck.expected_total, difference: totalsCheck.difference };
+    }
+
+    if (total === null) {
+      codes.push('total_missing');
+    } else {
+      if (totalSource === 'inferred') codes.push('total_inferred');
+
+      // Cash covers the final total, tip included
+      const { tendered, change } = components;
+      const due = this.minor(receipt, 'final_total') ?? total;
+      if (tendered !== null && change > 0 && due === tendered) {
+        codes.push('total_is_tendered');
+        details.total_is_tendered = { amount_due: LocaleParser.fromMinorUnits(tendered - change, receipt.currency) };
+      } else if (tendered !== null && change !== null && Math.abs(tendered - change - due) > this.tolerance) {
+        codes.push('change_mismatch');
+        details.change_mismatch = { tendered_minus_change: LocaleParser.fromMinorUnits(tendered - change, receipt.currency) };
+      }
+
+      if (subtotal !== null && subtotal - (components.discounts || 0) > total + this.tolerance) {
+        codes.push('subtotal_exceeds_total');
+      }
+      if (tax !== null && tax > total) codes.push('tax_exceeds_total');
+    }
+
+    if (tax !== null && subtotal > 0 && tax > subtotal * this.maxTaxRate) {
+      codes.push('tax_rate_unusual');
+    }
+
+    if (receipt.tip_status === 'unreadable') codes.push('tip_unreadable');
+    if (receipt.tip_status === 'mismatch') {
+      codes.push('tip_mismatch');
+      details.tip_mismatch = { expected_final_total: LocaleParser.fromMinorUnits(this.finalTotal(total, this.minor(receipt, 'tip_amount'), false), receipt.currency) };
+    }
+
+    if (receipt.line_item_reconciliation?.status === 'mismatch') {
+      codes.push('line_items_mismatch');
+      details.line_items_mismatch = { difference: receipt.line_item_reconciliation.difference };
+    }
+
+    if (!dateFound) codes.push('date_not_found');
+    if (!receipt.merchant_name || receipt.merchant_name === 'Unknown Merchant') codes.push('merchant_unknown');
+
+    const warnings = codes.map(code => ({
+      code,
+      ...WARNINGS[code],
+      ...(details[code] ? { details: details[code] } : {})
+    }));
+
+    if (warnings.length > 0) {
+      console.log(`🚩 Receipt ${receipt.receipt_id} warnings: ${codes.join(', ')}`);
+    }
+
+    return { totals_check: totalsCheck, warnings };
+  }
+
+  /**
+   * subtotal + tax + tip - discounts = total, allowing for a subtotal that
+   * already includes tax (VAT receipts)
+   * @returns {Object} { status: 'matched' | 'mismatch' | 'unavailable', ... } - amounts in minor units
+   */
+  checkTotals({ total, subtotal, tax, tip, discounts, tendered, change }, currency) {
+    const result = {
+      status: 'unavailable',
+      subtotal_minor: subtotal,
+      tax_minor: tax,
+      tip_minor: tip,
+      discounts_minor: discounts,
+      total_minor: total,
+      tendered_minor: tendered,
+      change_minor: change
+    };
+    if (total === null || subtotal === null) return result;
+
+    const extras = (tip || 0) - (discounts || 0);
+    let expected = subtotal + (tax || 0) + extras;
+    let taxIncluded = false;
+    if (Math.abs(total - expected) > this.tolerance && tax && Math.abs(total - (subtotal + extras)) <= this.tolerance) {
+      expected = subtotal + extras;
+      taxIncluded = true;
+    }
+
+    return {
+      ...result,
+      status: Math.abs(total - expected) <= this.tolerance ? 'matched' : 'mismatch',
+      tax_included: taxIncluded,
+      expected_total: LocaleParser.fromMinorUnits(expected, currency),
+      expected_total_minor: expected,
+      difference: LocaleParser.fromMinorUnits(total - expected, currency),
+      difference_minor: total - expected
+    };
+  }
+
+  /**
+   * Read tip, order-level discount, tendered and change lines from the text.
+   * Discounts before the subtotal are already in it; tips count only above the
+   * total, and tender and change lines only after it (anywhere when no total
+   * is labelled).
+   * @returns {Object} Amounts in minor units (null when not printed)
+   */
+  findComponents(text, context) {
+    const found = { tip: null, discounts: null, tendered: null, change: null };
+    const lines = text.split('\n').map(line => line.trim());
+    let afterSubtotal = false;
+    let afterTotal = !lines.some(line => this.isTotalLine(line));
+
+    for (const line of lines) {
+      const amount = this.lineAmount(line, context);
+
+      if (SUBTOTAL_LINE.test(line)) {
+        afterSubtotal = true;
+        continue;
+      }
+      if (this.isTotalLine(line)) {
+        afterTotal = true;
+        continue;
+      }
+      if (amount === null) continue;
+
+      if (this.isTipLine(line)) {
+        // A tip written in below the total is not part of it
+        if (!afterTotal) found.tip = (found.tip || 0) + Math.abs(amount);
+      } else if (afterTotal && CHANGE_LINE.test(line)) {
+        found.change = Math.abs(amount);
+      } else if (afterTotal && TENDER_LINE.test(line)) {
+        found.tendered = found.tendered === null ? Math.abs(amount) : found.tendered;
+      } else if (afterSubtotal && !afterTotal && LineItemParser.isDiscountLine(line)) {
+        found.discounts = (found.discounts || 0) + Math.abs(amount);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Pick a total when none is labelled: subtotal + tax when that amount is
+   * printed, else tendered minus change, else the largest amount that isn't
+   * a tendered, change or tip amount
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @param {Object} hints - { subtotalMinor, taxMinor }
+   * @returns {number|null} Total in minor units
+   */
+  guessTotal(text, context, { subtotalMinor = null, taxMinor = null } = {}) {
+    const exponent = LocaleParser.getCurrencyExponent(context.currency);
+    const decimals = new RegExp(`[.,]\\d{${exponent}}$`);
+    const amounts = [];
+
+    for (const line of text.split('\n')) {
+      if (TENDER_LINE.test(line) || CHANGE_LINE.test(line) || TIP_LINE.test(line)) continue;
+
+      for (const candidate of line.match(new RegExp(LocaleParser.amountPattern, 'g')) || []) {
+        if (exponent > 0 && !decimals.test(candidate)) continue;
+        const minor = LocaleParser.parseAmountMinor(candidate, context);
+        if (minor !== null && minor > 0) amounts.push(minor);
+      }
+    }
+
+    if (subtotalMinor !== null && taxMinor !== null && amounts.includes(subtotalMinor + taxMinor)) {
+      return subtotalMinor + taxMinor;
+    }
+
+    const { tendered, change } = this.findComponents(text, context);
+    if (tendered !== null && change !== null && tendered > change) {
+      return tendered - change;
+    }
+
+    return amounts.length > 0 ? Math.max(...amounts) : null;
+  }
+
+  /**
+   * Find the tip and the final total. A tip printed above the total is
+   * already in it; a tip written in below the total comes with a final
+   * total, and either one gives the other.
+   * @param {Array} entities - OCR entities (a tip_amount entity is used when present)
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @param {number|null} totalMinor - The printed total
+   * @returns {Object} { tip_amount, tip_amount_minor, final_total, final_total_minor, tip_included, tip_status }
+   *   - tip_status is null (no tip), 'read', 'inferred', 'unreadable' or 'mismatch'
+   */
+  findTip(entities, text, context, totalMinor) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const firstTotal = lines.findIndex(line => this.isTotalLine(line));
+    const tipIndexes = lines
+      .map((line, index) => (this.isTipLine(line) ? index : -1))
+      .filter(index => index !== -1);
+
+    const tipEntity = entities.find(e => e.type === 'tip_amount' && e.mentionText);
+    let tip = tipEntity ? LocaleParser.parseAmountMinor(tipEntity.mentionText, context) : null;
+
+    if (tipIndexes.length === 0 && tip === null) {
+      return this.tipResult({ tip: null, final: totalMinor, included: false, status: null }, context);
+    }
+
+    const amounts = tipIndexes
+      .map(index => this.lineAmount(lines[index], context))
+      .filter(amount => amount !== null);
+    if (tip === null && amounts.length > 0) {
+      tip = amounts.reduce((sum, amount) => sum + Math.abs(amount), 0);
+    }
+
+    // Printed above the total, or only given by the OCR provider: already in the total
+    const included = tipIndexes.length === 0 || (firstTotal !== -1 && tipIndexes.every(index => index < firstTotal));
+    if (included || totalMinor === null) {
+      const status = tip === null ? 'unreadable' : 'read';
+      return this.tipResult({ tip, final: status === 'read' ? totalMinor : null, included, status }, context);
+    }
+
+    // Written in below the total: the final total follows the tip
+    const finalLine = lines.slice(Math.max(...tipIndexes) + 1).find(line => this.isTotalLine(line));
+    const final = finalLine ? this.lineAmount(finalLine, context) : null;
+
+    if (tip !== null && final !== null) {
+      const status = Math.abs(totalMinor + tip - final) <= this.tolerance ? 'read' : 'mismatch';
+      return this.tipResult({ tip, final, included, status }, context);
+    }
+    if (tip !== null) {
+      return this.tipResult({ tip, final: totalMinor + tip, included, status: 'read' }, context);
+    }
+    if (final !== null && final >= totalMinor) {
+      return this.tipResult({ tip: final - totalMinor, final, included, status: 'inferred' }, context);
+    }
+    return this.tipResult({ tip: null, final: null, included, status: 'unreadable' }, context);
+  }
+
+  /**
+   * Final total from a total and a tip: the tip is added unless the total already includes it
+   * @returns {number|null} Final total in minor units
+   */
+  finalTotal(totalMinor, tipMinor, included) {
+    if (totalMinor === null || totalMinor === undefined) return null;
+    return included ? totalMinor : totalMinor + (tipMinor || 0);
+  }
+
+  tipResult({ tip, final, included, status }, { currency }) {
+    return {
+      tip_amount: tip === null ? null : LocaleParser.fromMinorUnits(tip, currency),
+      tip_amount_minor: tip,
+      final_total: final === null ? null : LocaleParser.fromMinorUnits(final, currency),
+      final_total_minor: final,
+      tip_included: included,
+      tip_status: status
+    };
+  }
+
+  isTipLine(line) {
+    return TIP_LINE.test(line) && !TIP_SUGGESTION.test(line) && !(TIP_NOTE.test(line) && !/\d/.test(line));
+  }
+
+  isTotalLine(line) {
+    return TOTAL_LINE.test(line) && !TIP_LINE.test(line) && !TENDER_LINE.test(line) && !CHANGE_LINE.test(line);
+  }
+
+  lineAmount(line, context) {
+    const match = line.match(new RegExp(`(-?\\s?${LocaleParser.currencySymbol}\\s?(?:${LocaleParser.amountPattern})-?)\\s*\\S{0,3}$`));
+    return match ? LocaleParser.parseAmountMinor(match[1], context) : null;
+  }
+
+  minor(receipt, field) {
+    if (Number.isInteger(receipt[`${field}_minor`])) return receipt[`${field}_minor`];
+    return LocaleParser.toMinorUnits(receipt[field], receipt.currency);
+  }
+}
+
+module.exports = new ReceiptValidator();
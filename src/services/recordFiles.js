@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * A directory of small JSON records, one file each: naming, reading,
+ * serialized read-modify-write and expiry. Used by the services that keep
+ * such records on disk (message dedupe, delivery tracking, the file job store).
+ */
+class RecordFiles {
+  /**
+   * @param {Object} options - { dir, label } - label names a record in log messages ("message record")
+   */
+  constructor({ dir, label = 'record' }) {
+    this.dir = dir;
+    this.label = label;
+    this.purgeIntervalMs = 60 * 60 * 1000;
+    this.lastPurge = 0;
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Path of a record named by the hash of its ID, for IDs that aren't safe
+   * file names (WhatsApp message IDs "wamid.HBgL..." may contain "/", "+" and "=")
+   * @param {string} prefix - File name prefix ("message")
+   * @param {string} id - Record ID
+   */
+  getHashedPath(prefix, id) {
+    const hash = crypto.createHash('sha256').update(String(id)).digest('hex');
+    return path.join(this.dir, `${prefix}_${hash}.json`);
+  }
+
+  /**
+   * Read a JSON file
+   * @returns {Promise<Object|null>} Parsed content, or null when missing or unreadable
+   */
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error reading ${this.label} ${path.basename(filePath)}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Run read-modify-write operations one at a time, so concurrent changes to
+   * the same record (or a claim racing another claim) aren't lost
+   */
+  async exclusive(task) {
+    const current = this.tail.then(task);
+    this.tail = current.catch(() => {});
+    return current;
+  }
+
+  /**
+   * Delete expired and unreadable records, at most once an hour. Callers
+   * don't await it, so it runs in the background.
+   * @param {Function} isExpired - record => whether it can be deleted
+   * @returns {Promise<number|null>} Records deleted, or null when it was too soon to run
+   */
+  async purgeExpired(isExpired) {
+    if (Date.now() - this.lastPurge < this.purgeIntervalMs) return null;
+    this.lastPurge = Date.now();
+
+    try {
+      const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+      let purged = 0;
+
+      for (const file of files) {
+        const filePath = path.join(this.dir, file);
+        const record = await this.readJson(filePath);
+        if (!record || isExpired(record)) {
+          await fs.unlink(filePath).catch(() => {});
+          purged++;
+        }
+      }
+
+      if (purged > 0) {
+        console.log(`🧹 Purged ${purged} expired ${this.label}(s)`);
+      }
+      return purged;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error purging ${this.label}s:`, error.message);
+      }
+      return 0;
+    }
+  }
+}
+
+module.exports = RecordFiles;
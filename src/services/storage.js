@@ -1,5 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { AppError } = require('../middleware/errorHandlers');
+const LocaleParser = require('./localeParser');
+const CurrencyService = require('./currency');
+const TaxParser = require('./taxParser');
+const MerchantDirectory = require('./merchantDirectory');
 
 class StorageService {
   constructor() {
@@ -7,6 +12,8 @@ class StorageService {
     this.receiptsDir = path.join(this.baseDir, 'receipts');
     this.dataDir = path.join(this.baseDir, 'data');
     this.errorsDir = path.join(this.baseDir, 'errors');
+    // Deleted receipts wait here until cleanup, so a delete can be undone
+    this.trashDir = path.join(this.baseDir, 'trash');
     
     // Initialize directories
     this.initializeDirectories();
@@ -20,6 +27,7 @@ class StorageService {
       await fs.mkdir(this.receiptsDir, { recursive: true });
       await fs.mkdir(this.dataDir, { recursive: true });
       await fs.mkdir(this.errorsDir, { recursive: true });
+      await fs.mkdir(this.trashDir, { recursive: true });
       console.log('📁 Storage directories initialized');
     } catch (error) {
       console.error('❌ Error initializing storage directories:', error);
@@ -53,6 +61,27 @@ class StorageService {
     }
   }
 
+  /**
+   * Save a receipt image/PDF to the receipts directory
+   * @param {string} fileName - File name to save as
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<string>} File path where the file was saved
+   */
+  async saveReceiptFile(fileName, buffer) {
+    try {
+      await fs.mkdir(this.receiptsDir, { recursive: true });
+
+      const filePath = path.join(this.receiptsDir, path.basename(fileName));
+      await fs.writeFile(filePath, buffer);
+      console.log(`💾 Receipt file saved: ${fileName}`);
+
+      return filePath;
+    } catch (error) {
+      console.error('❌ Error saving receipt file:', error);
+      throw new Error(`Failed to save receipt file: ${error.message}`);
+    }
+  }
+
   /**
    * Load receipt data by ID
    * @param {string} receiptId - Receipt ID
@@ -67,7 +96,97 @@ class StorageService {
       return JSON.parse(data);
     } catch (error) {
       console.error(`❌ Error loading receipt ${receiptId}:`, error);
-      throw new Error(`Receipt not found: ${receiptId}`);
+      if (error.code === 'ENOENT') {
+        throw new AppError(`Receipt not found: ${receiptId}`, 404);
+      }
+      throw new Error(`Failed to load receipt ${receiptId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a receipt's data file and its stored image
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} The deleted receipt data
+   */
+  async deleteReceipt(receiptId) {
+    const receipt = await this.loadReceipt(receiptId);
+
+    try {
+      await fs.unlink(path.join(this.dataDir, `receipt_${receiptId}.json`));
+      await this.deleteReceiptFiles(receipt);
+
+      console.log(`🗑️ Receipt deleted: ${receiptId}`);
+      return receipt;
+    } catch (error) {
+      console.error(`❌ Error deleting receipt ${receiptId}:`, error);
+      throw new Error(`Failed to delete receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a receipt to the trash: it disappears from every list but its data
+   * and images are kept until cleanup, so restoreReceipt can bring it back
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} The trashed receipt
+   */
+  async trashReceipt(receiptId) {
+    const receipt = await this.loadReceipt(receiptId);
+
+    try {
+      const trashPath = path.join(this.trashDir, `receipt_${receiptId}.json`);
+      await fs.mkdir(this.trashDir, { recursive: true });
+      await fs.rename(path.join(this.dataDir, `receipt_${receiptId}.json`), trashPath);
+      // Cleanup ages trash from when it was deleted, not when it was saved
+      const now = new Date();
+      await fs.utimes(trashPath, now, now);
+
+      console.log(`🗑️ Receipt moved to trash: ${receiptId}`);
+      return receipt;
+    } catch (error) {
+      console.error(`❌ Error trashing receipt ${receiptId}:`, error);
+      throw new Error(`Failed to delete receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bring a receipt back from the trash
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object>} The restored receipt
+   */
+  async restoreReceipt(receiptId) {
+    try {
+      await fs.rename(
+        path.join(this.trashDir, `receipt_${receiptId}.json`),
+        path.join(this.dataDir, `receipt_${receiptId}.json`)
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new AppError(`Receipt not in trash: ${receiptId}`, 404);
+      }
+      console.error(`❌ Error restoring receipt ${receiptId}:`, error);
+      throw new Error(`Failed to restore receipt: ${error.message}`);
+    }
+
+    console.log(`♻️ Receipt restored from trash: ${receiptId}`);
+    return this.loadReceipt(receiptId);
+  }
+
+  /**
+   * Delete a receipt's images; receipts stitched from several photos have files for every page
+   */
+  async deleteReceiptFiles(receipt) {
+    const imagePaths = new Set([
+      receipt.file_path,
+      receipt.processed_file_path,
+      ...(receipt.pages || []).flatMap(page => [page.file_path, page.processed_file_path])
+    ]);
+
+    for (const imagePath of imagePaths) {
+      if (imagePath) {
+        await fs.unlink(imagePath).catch(error => {
+          console.warn(`⚠️ Could not delete image for receipt ${receipt.receipt_id}:`, error.message);
+        });
+      }
     }
   }
 
@@ -112,8 +231,32 @@ class StorageService {
    * @returns {Promise<Array>} Array of receipt data
    */
   async getAllReceipts(options = {}) {
+    const { receipts } = await this.queryReceipts(options);
+    return receipts;
+  }
+
+  /**
+   * Query receipts with filters and pagination
+   * @param {Object} options - Query options (limit, offset, status, phoneNumber, startDate, endDate,
+   *   warning - a warning code, or 'any' for receipts with at least one warning,
+   *   category - an expense category, or 'none' for uncategorized receipts,
+   *   project - a project code, tag - a caption hashtag without the #)
+   * @returns {Promise<Object>} { receipts, total } where total is the count before pagination
+   */
+  async queryReceipts(options = {}) {
     try {
-      const { limit = 100, offset = 0, status = null, startDate = null, endDate = null } = options;
+      const {
+        limit = 100,
+        offset = 0,
+        status = null,
+        phoneNumber = null,
+        startDate = null,
+        endDate = null,
+        warning = null,
+        category = null,
+        project = null,
+        tag = null
+      } = options;
       
       const files = await fs.readdir(this.dataDir);
       const receipts = [];
@@ -126,6 +269,14 @@ class StorageService {
             
             // Apply filters
             if (status && receipt.status !== status) continue;
+            if (phoneNumber && receipt.phone_number !== phoneNumber) continue;
+            if (warning) {
+              const codes = (receipt.warnings || []).map(w => w.code);
+              if (warning === 'any' ? codes.length === 0 : !codes.includes(warning)) continue;
+            }
+            if (category && (receipt.category || 'none') !== category) continue;
+            if (project && (receipt.project || '').toLowerCase() !== project.toLowerCase()) continue;
+            if (tag && !(receipt.tags || []).includes(tag.toLowerCase().replace(/^#/, ''))) continue;
             
             if (startDate) {
               const receiptDate = new Date(receipt.processing_timestamp);
@@ -148,10 +299,13 @@ class StorageService {
       receipts.sort((a, b) => new Date(b.processing_timestamp) - new Date(a.processing_timestamp));
       
       // Apply pagination
-      return receipts.slice(offset, offset + limit);
+      return {
+        receipts: receipts.slice(offset, offset + limit),
+        total: receipts.length
+      };
     } catch (error) {
       console.error('❌ Error getting all receipts:', error);
-      return [];
+      return { receipts: [], total: 0 };
     }
   }
 
@@ -237,33 +391,70 @@ class StorageService {
         'Phone Number',
         'Contact Name',
         'Merchant Name',
+        'Category',
+        'Project',
+        'Tags',
+        'Billable',
+        'Split Between',
+        'Note',
         'Total Amount',
         'Tax Amount',
+        'Tax Lines',
+        'Tax Registration Numbers',
+        'Tip Amount',
+        'Final Total',
         'Date',
         'Time',
         'Currency',
+        'Home Currency',
+        'Total Amount (Home Currency)',
+        'Exchange Rate',
+        'Exchange Rate Date',
         'Payment Method',
         'Status',
         'Processing Timestamp',
-        'Confidence Score'
+        'Confidence Score',
+        'Possible Duplicate Of',
+        'Warnings'
       ];
 
-      // Convert receipts to CSV rows
-      const rows = receipts.map(receipt => [
-        receipt.receipt_id || '',
-        receipt.phone_number || '',
-        receipt.contact_name || '',
-        receipt.merchant_name || '',
-        receipt.total_amount || '',
-        receipt.tax_amount || '',
-        receipt.date || '',
-        receipt.time || '',
-        receipt.currency || '',
-        receipt.payment_method || '',
-        receipt.status || '',
-        receipt.processing_timestamp || '',
-        receipt.confidence_score || ''
-      ]);
+      // Convert receipts to CSV rows, with the total at the receipt date's exchange rate
+      const rows = receipts.map(receipt => {
+        const home = CurrencyService.convertReceiptTotal(receipt);
+        return [
+          receipt.receipt_id || '',
+          receipt.phone_number || '',
+          receipt.contact_name || '',
+          receipt.merchant_name || '',
+          receipt.category || '',
+          receipt.project || '',
+          (receipt.tags || []).map(tag => `#${tag}`).join(' '),
+          receipt.billable === true ? 'yes' : receipt.billable === false ? 'no' : '',
+          receipt.split_count || '',
+          receipt.note || '',
+          receipt.total_amount || '',
+          receipt.tax_amount || '',
+          (receipt.tax_lines || [])
+            .map(line => `${TaxParser.describe(line)} ${line.amount}${line.base !== null ? ` on ${line.base}` : ''}`)
+            .join('; '),
+          [...new Set((receipt.tax_lines || []).map(line => line.registration_number).filter(Boolean))].join('; '),
+          receipt.tip_amount || '',
+          receipt.final_total || '',
+          receipt.date || '',
+          receipt.time || '',
+          receipt.currency || '',
+          CurrencyService.homeCurrency,
+          home ? home.amount : '',
+          home ? home.rate : '',
+          home ? home.rate_date || '' : '',
+          receipt.payment_method || '',
+          receipt.status || '',
+          receipt.processing_timestamp || '',
+          receipt.confidence_score || '',
+          receipt.duplicate_check?.status === 'suspected' ? receipt.duplicate_check.duplicate_of.receipt_id : '',
+          (receipt.warnings || []).map(warning => warning.code).join(' ')
+        ];
+      });
 
       // Combine headers and rows
       const csvContent = [headers, ...rows]
@@ -288,10 +479,19 @@ class StorageService {
       const stats = {
         total_receipts: receipts.length,
         status_breakdown: {},
+        home_currency: CurrencyService.homeCurrency,
+        // In the home currency
         total_amount: 0,
         average_amount: 0,
+        // Receipts with no exchange rate for their date, left out of total_amount
+        unconverted_receipts: 0,
+        suspected_duplicates: 0,
+        receipts_with_warnings: 0,
+        warning_breakdown: {},
         currency_breakdown: {},
         merchant_breakdown: {},
+        // Receipts per expense category, and what they add up to in the home currency
+        category_breakdown: {},
         processing_times: [],
         confidence_scores: [],
         date_range: {
@@ -299,26 +499,58 @@ class StorageService {
           latest: null
         }
       };
+      const currencyMinor = {};
+      const categoryMinor = {};
+      let homeMinor = 0;
+      let convertedReceipts = 0;
 
       for (const receipt of receipts) {
         // Status breakdown
         const status = receipt.status || 'unknown';
         stats.status_breakdown[status] = (stats.status_breakdown[status] || 0) + 1;
 
-        // Currency and amounts
-        if (receipt.total_amount) {
-          const amount = parseFloat(receipt.total_amount);
-          if (!isNaN(amount)) {
-            stats.total_amount += amount;
-            
-            const currency = receipt.currency || 'USD';
-            stats.currency_breakdown[currency] = (stats.currency_breakdown[currency] || 0) + amount;
+        // Warnings reviewers still need to look at
+        if (receipt.warnings?.length > 0) {
+          stats.receipts_with_warnings++;
+          for (const { code } of receipt.warnings) {
+            stats.warning_breakdown[code] = (stats.warning_breakdown[code] || 0) + 1;
+          }
+        }
+
+        const category = receipt.category || 'Uncategorized';
+        categoryMinor[category] ??= 0;
+        stats.category_breakdown[category] = { receipts: (stats.category_breakdown[category]?.receipts || 0) + 1 };
+
+        // Suspected duplicates are left out of the totals until the user keeps them
+        if (receipt.duplicate_check?.status === 'suspected') {
+          stats.suspected_duplicates++;
+        } else if (receipt.total_amount) {
+          // Tips count: this is what was paid
+          const currency = receipt.currency || CurrencyService.defaultCurrency;
+          const amountMinor = CurrencyService.getAmountPaidMinor(receipt);
+
+          if (amountMinor !== null) {
+            // Amounts are only ever added up within one currency...
+            currencyMinor[currency] = (currencyMinor[currency] || 0) + amountMinor;
+
+            // ...or after converting to the home currency at the receipt date's rate
+            const home = CurrencyService.convert(amountMinor, currency, stats.home_currency, receipt.date);
+            if (home) {
+              homeMinor += home.amount_minor;
+              categoryMinor[category] += home.amount_minor;
+              convertedReceipts++;
+            } else {
+              stats.unconverted_receipts++;
+            }
           }
         }
 
         // Merchant breakdown
         if (receipt.merchant_name) {
-          const merchant = receipt.merchant_name;
+          // Receipts stored before the merchant directory get their canonical name here
+          const merchant = receipt.merchant_id
+            ? receipt.merchant_name
+            : (await MerchantDirectory.find(receipt.merchant_name))?.name || receipt.merchant_name;
           stats.merchant_breakdown[merchant] = (stats.merchant_breakdown[merchant] || 0) + 1;
         }
 
@@ -343,9 +575,21 @@ class StorageService {
         }
       }
 
+      // Per-currency totals in their original currency
+      for (const [currency, minor] of Object.entries(currencyMinor)) {
+        stats.currency_breakdown[currency] = parseFloat(LocaleParser.fromMinorUnits(minor, currency));
+      }
+
+      for (const [category, minor] of Object.entries(categoryMinor)) {
+        stats.category_breakdown[category].total_amount = parseFloat(LocaleParser.fromMinorUnits(minor, stats.home_currency));
+      }
+
       // Calculate averages
+      stats.total_amount = parseFloat(LocaleParser.fromMinorUnits(homeMinor, stats.home_currency));
       if (receipts.length > 0) {
-        stats.average_amount = stats.total_amount / receipts.length;
+        stats.average_amount = convertedReceipts > 0
+          ? parseFloat(LocaleParser.fromMinorUnits(Math.round(homeMinor / convertedReceipts), stats.home_currency))
+          : 0;
         
         if (stats.processing_times.length > 0) {
           stats.average_processing_time = stats.processing_times.reduce((sum, time) => sum + time, 0) / stats.processing_times.length;
@@ -376,7 +620,8 @@ class StorageService {
       const results = {
         receipts_deleted: 0,
         errors_deleted: 0,
-        images_deleted: 0
+        images_deleted: 0,
+        trash_emptied: 0
       };
 
       // Clean up old receipt data files
@@ -407,6 +652,21 @@ class StorageService {
         }
       }
 
+      // Empty trash older than the cutoff, with the receipts' images
+      const trashFiles = await fs.readdir(this.trashDir).catch(() => []);
+      for (const file of trashFiles) {
+        if (file.endsWith('.json')) {
+          const filePath = path.join(this.trashDir, file);
+          const stats = await fs.stat(filePath);
+
+          if (stats.mtime < cutoffDate) {
+            await this.deleteReceiptFiles(JSON.parse(await fs.readFile(filePath, 'utf8')));
+            await fs.unlink(filePath);
+            results.trash_emptied++;
+          }
+        }
+      }
+
       // Clean up old images
       const imageFiles = await fs.readdir(this.receiptsDir);
       for (const file of imageFiles) {
@@ -0,0 +1,247 @@
+const LocaleParser = require('./localeParser');
+const LineItemParser = require('./lineItemParser');
+const TaxTypes = require('./taxTypes');
+
+// Labels in front of a merchant's tax registration number, and the tax types it is for
+const REGISTRATION_LABELS = [
+  { pattern: /\bGSTIN\b/i, types: ['gst', 'cgst', 'sgst', 'igst'] },
+  { pattern: /\b(?:GST\/HST|GST|HST|TPS)\b/i, types: ['gst', 'hst'] },
+  { pattern: /\b(?:QST|TVQ)\b/i, types: ['qst'] },
+  { pattern: /\bPST\b/i, types: ['pst'] },
+  { pattern: /\bABN\b/, types: ['gst'] },
+  { pattern: /\b(?:USt-?Id(?:-?Nr)?|St(?:euer)?\.?-?\s?Nr|UID|VAT|TVA|IVA|BTW|NIF|CIF|MVA|moms)\b/i, types: ['vat'] }
+];
+
+// After the label: optional "Reg. No." / "#" / "intracommunautaire", then the number
+const REGISTRATION_NUMBER = /^[\s.:#-]*(?:(?:reg(?:istration|istered)?|no|nr|number|num|id|intra\w*|n°|#)\b[\s.:#-]*)*([A-Z]{0,3}[\s-]?\d[\dA-Z\s/-]{6,20}[\dA-Z])/i;
+
+// "19%", "9,975 %", "(8.875%)"
+const RATE = /\(?(\d{1,2}(?:[.,]\d{1,3})?)\s?%\)?/;
+
+// Totals printed with or without tax ("Total incl. VAT", "Subtotal before tax") are not tax lines
+const TOTAL_WORD = /\b(?:sub[\s-]?total|total|zwischensumme|summe|gesamt|brutto|netto|gross|net|amount)\b/i;
+const INCLUSIVE_WORD = /\b(?:before|pre|after|incl|inkl|including|included|excl|exkl|excluding|ohne|HT|TTC|w\/o)\b/i;
+
+class TaxParser {
+  constructor() {
+    // One minor unit of slack for rounding on the receipt
+    this.tolerance = 1;
+  }
+
+  /**
+   * Extract the receipt's taxes, one line per tax and rate, from vat entities
+   * when the OCR provider returned them and from the receipt text otherwise
+   * @param {Array} entities - OCR entities
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @returns {Array<Object>} Tax lines: { type, rate, base, base_minor, amount, amount_minor, registration_number }
+   */
+  extract(entities = [], text = '', context = {}) {
+    const registrations = this.findRegistrationNumbers(text);
+    const lines = this.fromEntities(entities, text, context);
+
+    return (lines.length > 0 ? lines : this.parseText(text, context))
+      .map(line => ({ ...line, registration_number: this.registrationFor(line.type, registrations) }));
+  }
+
+  /**
+   * Tax lines from Document AI-style vat entities, whose properties are
+   * vat/tax_amount, vat/tax_rate, vat/amount (the net base) and vat/category_code
+   */
+  fromEntities(entities, text, context) {
+    const lines = [];
+
+    for (const entity of entities) {
+      if (entity.type !== 'vat' || !Array.isArray(entity.properties)) continue;
+
+      const property = name => entity.properties.find(p => p.type === `vat/${name}`)?.mentionText || null;
+      const amountMinor = LocaleParser.parseAmountMinor(property('tax_amount'), context);
+      if (amountMinor === null) continue;
+
+      const rate = this.parseRate(property('tax_rate'));
+      lines.push(this.buildLine({
+        type: TaxTypes.classify(property('category_code') || '', rate) || TaxTypes.classify(text, rate) || 'tax',
+        rate,
+        baseMinor: LocaleParser.parseAmountMinor(property('amount'), context),
+        amountMinor
+      }, context));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Read tax lines from the receipt text: labelled lines ("GST 5% 1.25",
+   * "VAT @ 20% on 10.00 2.00", "inkl. 19% MwSt 1,90") and rows of a VAT
+   * summary table ("A 19% 10,00 1,90 11,90") when the receipt names the tax
+   * @param {string} text - Receipt text
+   * @param {Object} context - { locale, currency }
+   * @returns {Array<Object>} Tax lines (without registration numbers)
+   */
+  parseText(text, context = {}) {
+    const receiptType = TaxTypes.classify(text || '', null);
+    const lines = [];
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim().replace(/\s+/g, ' ');
+      if (!line || this.findRegistrationNumbers(line).length > 0 || LineItemParser.isDiscountLine(line)) continue;
+
+      const rateMatch = line.match(RATE);
+      const rate = rateMatch ? this.parseRate(rateMatch[1]) : null;
+      const withoutRate = rateMatch ? line.replace(rateMatch[0], ' ') : line;
+      const amounts = this.lineAmounts(withoutRate, context);
+      if (amounts.length === 0 || amounts.every(amount => amount === 0)) continue;
+
+      let type = TaxTypes.classify(line, rate);
+      if (!type) {
+        // A VAT table row has a rate, the amounts and at most a tax code letter
+        if (!receiptType || rate === null || !this.isTableRow(withoutRate)) continue;
+        type = receiptType;
+      } else if (rate === null && TOTAL_WORD.test(line) && INCLUSIVE_WORD.test(line)) {
+        continue;
+      }
+
+      lines.push(this.buildLine({ type, rate, ...this.splitAmounts(amounts, rate) }, context));
+    }
+
+    return this.dropTotals(lines);
+  }
+
+  /**
+   * Work out which amounts on a line are the tax and its base. Two amounts
+   * are a base and its tax (the base may be net or gross - the rate tells);
+   * three are net, tax and gross in any order.
+   * @returns {Object} { baseMinor, amountMinor }
+   */
+  splitAmounts(amounts, rate) {
+    const values = amounts.slice(-3);
+    const tax = Math.min(...values);
+    const gross = Math.max(...values);
+
+    if (values.length === 3) {
+      const net = values.find((value, index) => index !== values.indexOf(tax) && index !== values.indexOf(gross));
+      if (Math.abs(net + tax - gross) <= this.tolerance) {
+        return { baseMinor: net, amountMinor: tax };
+      }
+      return { baseMinor: null, amountMinor: tax };
+    }
+
+    if (values.length === 2 && rate !== null) {
+      const fraction = rate / 100;
+      // Printed with the gross amount: the base is what's left without the tax
+      if (Math.abs(Math.round(gross * fraction) - tax) > this.tolerance &&
+          Math.abs(Math.round(gross * fraction / (1 + fraction)) - tax) <= this.tolerance) {
+        return { baseMinor: gross - tax, amountMinor: tax };
+      }
+      return { baseMinor: gross, amountMinor: tax };
+    }
+
+    return { baseMinor: null, amountMinor: values[values.length - 1] };
+  }
+
+  /**
+   * Drop a printed tax total ("Total Tax", "Summe MwSt") that repeats the
+   * sum of the other tax lines
+   */
+  dropTotals(lines) {
+    if (lines.length < 3) return lines;
+
+    const total = lines.reduce((sum, line) => sum + line.amount_minor, 0);
+    return lines.filter(line => line.rate !== null || Math.abs(2 * line.amount_minor - total) > this.tolerance);
+  }
+
+  /**
+   * Build a tax line with decimal strings and exact minor units
+   * @param {Object} parts - { type, rate, baseMinor, amountMinor }
+   * @param {Object} context - { currency }
+   */
+  buildLine({ type, rate = null, baseMinor = null, amountMinor }, context = {}) {
+    const { currency } = context;
+
+    return {
+      type,
+      rate,
+      base: baseMinor === null ? null : LocaleParser.fromMinorUnits(baseMinor, currency),
+      base_minor: baseMinor,
+      amount: LocaleParser.fromMinorUnits(amountMinor, currency),
+      amount_minor: amountMinor
+    };
+  }
+
+  /**
+   * Total tax across all tax lines, in minor units
+   */
+  sum(lines) {
+    return lines.reduce((sum, line) => sum + line.amount_minor, 0);
+  }
+
+  /**
+   * Short label for a tax line: "GST 5%", "VAT 19%", "Sales tax"
+   */
+  describe(line) {
+    const name = line.type === 'sales_tax' ? 'Sales tax' : line.type === 'tax' ? 'Tax' : line.type.toUpperCase();
+    return line.rate === null || line.rate === undefined ? name : `${name} ${line.rate}%`;
+  }
+
+  /**
+   * Registration numbers printed on the receipt ("GST/HST # 123456789 RT0001",
+   * "USt-IdNr.: DE123456789", "ABN 12 345 678 901")
+   * @returns {Array<Object>} { number, types }
+   */
+  findRegistrationNumbers(text) {
+    const found = [];
+
+    for (const line of (text || '').split('\n')) {
+      for (const { pattern, types } of REGISTRATION_LABELS) {
+        const label = line.match(pattern);
+        if (!label) continue;
+
+        const match = line.slice(label.index + label[0].length).match(REGISTRATION_NUMBER);
+        const number = match ? match[1].trim().replace(/\s+/g, ' ') : null;
+        if (!number || (number.match(/\d/g) || []).length < 8) continue;
+
+        if (!found.some(registration => registration.number === number)) {
+          found.push({ number, types });
+        }
+        break;
+      }
+    }
+
+    return found;
+  }
+
+  registrationFor(type, registrations) {
+    return registrations.find(registration => registration.types.includes(type))?.number || null;
+  }
+
+  isTableRow(line) {
+    const words = line.replace(new RegExp(`${LocaleParser.currencySymbol}\\s?(?:${LocaleParser.amountPattern})`, 'g'), ' ')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+    return words.length <= 1 && words.every(word => /^[A-Z0-9*]$/i.test(word));
+  }
+
+  /**
+   * Amounts on a line in minor units; when the currency has minor units only
+   * amounts printed with them count, so codes and counts are skipped
+   */
+  lineAmounts(line, context) {
+    const exponent = LocaleParser.getCurrencyExponent(context.currency);
+    const decimals = new RegExp(`[.,]\\d{${exponent}}$`);
+
+    return (line.match(new RegExp(`${LocaleParser.currencySymbol}\\s?(?:${LocaleParser.amountPattern})`, 'g')) || [])
+      .filter(candidate => exponent === 0 || decimals.test(candidate))
+      .map(candidate => LocaleParser.parseAmountMinor(candidate, context))
+      .filter(amount => amount !== null)
+      .map(Math.abs);
+  }
+
+  parseRate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const rate = parseFloat(String(value).replace(',', '.').replace('%', ''));
+    return Number.isFinite(rate) ? rate : null;
+  }
+}
+
+module.exports = new TaxParser();
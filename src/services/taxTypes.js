@@ -0,0 +1,38 @@
+// Tax names as printed, mapped to the type stored on each tax line. Longer
+// names come first so "GST/HST" and "CGST" are not read as plain "GST".
+const TAX_TYPES = [
+  { pattern: /\bGST\/HST\b/i, type: 'gst_hst' },
+  { pattern: /\bCGST\b/i, type: 'cgst' },
+  { pattern: /\b(?:SGST|UTGST)\b/i, type: 'sgst' },
+  { pattern: /\bIGST\b/i, type: 'igst' },
+  { pattern: /\bHST\b/i, type: 'hst' },
+  { pattern: /\b(?:GST|TPS)\b/i, type: 'gst' },
+  { pattern: /\b(?:QST|TVQ)\b/i, type: 'qst' },
+  { pattern: /\b(?:PST|RST)\b/i, type: 'pst' },
+  { pattern: /\b(?:VAT|MwSt|USt|Mehrwertsteuer|Umsatzsteuer|TVA|IVA|BTW|MVA|moms|ALV|DPH|PVM|PDV|KDV)\b/i, type: 'vat' },
+  { pattern: /\b(?:sales|state|county|city|local)\s+tax\b/i, type: 'sales_tax' },
+  { pattern: /\b(?:tax|steuer|impuesto|imp[oô]t|imposta)\b/i, type: 'tax' }
+];
+
+/**
+ * Tax names printed on receipts. Shared by TaxParser, which reads tax lines,
+ * and LineItemParser, which leaves them out of the items.
+ */
+class TaxTypes {
+  /**
+   * The type of tax a line or receipt names, or null
+   * @param {string} text - Line or receipt text
+   * @param {number|null} rate - Rate printed with it, in percent
+   * @returns {string|null} vat, gst, hst, pst, qst, cgst, sgst, igst, sales_tax, tax
+   */
+  classify(text, rate) {
+    const match = TAX_TYPES.find(({ pattern }) => pattern.test(text));
+    if (!match) return null;
+
+    // "GST/HST" is the 5% GST outside the harmonized provinces
+    if (match.type === 'gst_hst') return rate !== null && rate > 5 ? 'hst' : 'gst';
+    return match.type;
+  }
+}
+
+module.exports = new TaxTypes();
@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class UserSettingsService {
+  constructor() {
+    this.settingsDir = path.join(process.cwd(), 'storage', 'users');
+  }
+
+  /**
+   * Get the saved settings for a phone number
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<Object>} Settings (empty object when none are saved)
+   */
+  async getSettings(phoneNumber) {
+    try {
+      const data = await fs.readFile(this.getSettingsPath(phoneNumber), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Error reading settings for ${phoneNumber}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Merge changes into the saved settings for a phone number
+   * @param {string} phoneNumber - Phone number
+   * @param {Object} changes - Settings to change (e.g. { locale: 'de-DE' })
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(phoneNumber, changes) {
+    try {
+      await fs.mkdir(this.settingsDir, { recursive: true });
+
+      const settings = {
+        ...(await this.getSettings(phoneNumber)),
+        ...changes,
+        phone_number: phoneNumber,
+        updated_at: new Date().toISOString()
+      };
+
+      await fs.writeFile(this.getSettingsPath(phoneNumber), JSON.stringify(settings, null, 2));
+      console.log(`⚙️ Settings updated for ${phoneNumber}: ${Object.keys(changes).join(', ')}`);
+      return settings;
+    } catch (error) {
+      console.error(`❌ Error saving settings for ${phoneNumber}:`, error);
+      throw new Error(`Failed to save settings: ${error.message}`);
+    }
+  }
+
+  getSettingsPath(phoneNumber) {
+    const safePhone = String(phoneNumber).replace(/[^0-9]/g, '');
+    return path.join(this.settingsDir, `user_${safePhone}.json`);
+  }
+}
+
+module.exports = new UserSettingsService();
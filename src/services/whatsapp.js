@@ -1,6 +1,8 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const DeliveryTracker = require('./deliveryTracker');
 
 class WhatsAppService {
   constructor() {
@@ -8,6 +10,7 @@ class WhatsAppService {
     this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
     this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v18.0';
     this.baseUrl = `https://graph.facebook.com/${this.apiVersion}`;
+    this.warnedUnsigned = false;
     
     if (!this.accessToken) {
       throw new Error('WHATSAPP_ACCESS_TOKEN is required');
@@ -21,9 +24,10 @@ class WhatsAppService {
    * Send a text message to a WhatsApp number
    * @param {string} to - Phone number (with country code, no + sign)
    * @param {Object} message - Message object with text property
+   * @param {Object} options - Delivery tracking: { receiptId, purpose } of the message
    * @returns {Promise<Object>} Response from WhatsApp API
    */
-  async sendMessage(to, message) {
+  async sendMessage(to, message, options = {}) {
     try {
       const payload = {
         messaging_product: 'whatsapp',
@@ -50,6 +54,7 @@ class WhatsAppService {
       );
 
       console.log(`✅ Message sent successfully. ID: ${response.data.messages[0].id}`);
+      await this.trackSent(response.data, payload, options);
       return response.data;
     } catch (error) {
       console.error('❌ Error sending WhatsApp message:', error.response?.data || error.message);
@@ -61,9 +66,10 @@ class WhatsAppService {
    * Send an interactive message with buttons
    * @param {string} to - Phone number
    * @param {Object} interactive - Interactive message object
+   * @param {Object} options - Delivery tracking: { receiptId, purpose } of the message
    * @returns {Promise<Object>} Response from WhatsApp API
    */
-  async sendInteractiveMessage(to, interactive) {
+  async sendInteractiveMessage(to, interactive, options = {}) {
     try {
       const payload = {
         messaging_product: 'whatsapp',
@@ -87,6 +93,7 @@ class WhatsAppService {
       );
 
       console.log(`✅ Interactive message sent successfully. ID: ${response.data.messages[0].id}`);
+      await this.trackSent(response.data, payload, options);
       return response.data;
     } catch (error) {
       console.error('❌ Error sending interactive message:', error.response?.data || error.message);
@@ -164,6 +171,83 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Upload a file to WhatsApp so it can be sent as a media message
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type (e.g. 'text/csv')
+   * @param {string} fileName - File name
+   * @returns {Promise<string>} WhatsApp media ID
+   */
+  async uploadMedia(buffer, mimeType, fileName) {
+    try {
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', new Blob([buffer], { type: mimeType }), fileName);
+
+      console.log(`⬆️ Uploading media: ${fileName} (${buffer.length} bytes)`);
+
+      const response = await axios.post(
+        `${this.baseUrl}/${this.phoneNumberId}/media`,
+        form,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`
+          }
+        }
+      );
+
+      console.log(`✅ Media uploaded. ID: ${response.data.id}`);
+      return response.data.id;
+    } catch (error) {
+      console.error('❌ Error uploading media:', error.response?.data || error.message);
+      throw new Error(`Failed to upload media: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Send a document (e.g. a CSV export) uploaded with uploadMedia
+   * @param {string} to - Phone number
+   * @param {Object} document - { mediaId, fileName, caption }
+   * @param {Object} options - Delivery tracking: { receiptId, purpose } of the message
+   * @returns {Promise<Object>} Response from WhatsApp API
+   */
+  async sendDocument(to, { mediaId, fileName, caption }, options = {}) {
+    try {
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to,
+        type: 'document',
+        document: {
+          id: mediaId,
+          filename: fileName,
+          ...(caption ? { caption } : {})
+        }
+      };
+
+      console.log(`📎 Sending document to ${to}: ${fileName}`);
+
+      const response = await axios.post(
+        `${this.baseUrl}/${this.phoneNumberId}/messages`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`✅ Document sent successfully. ID: ${response.data.messages[0].id}`);
+      await this.trackSent(response.data, payload, options);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error sending document:', error.response?.data || error.message);
+      throw new Error(`Failed to send document: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
   /**
    * Mark a message as read
    * @param {string} messageId - WhatsApp message ID
@@ -241,9 +325,10 @@ class WhatsAppService {
    * @param {string} templateName - Template name
    * @param {string} languageCode - Language code (e.g., 'en_US')
    * @param {Array} parameters - Template parameters
+   * @param {Object} options - Delivery tracking: { receiptId, purpose, escalationOf } of the message
    * @returns {Promise<Object>} Response from WhatsApp API
    */
-  async sendTemplate(to, templateName, languageCode = 'en_US', parameters = []) {
+  async sendTemplate(to, templateName, languageCode = 'en_US', parameters = [], options = {}) {
     try {
       const payload = {
         messaging_product: 'whatsapp',
@@ -281,6 +366,7 @@ class WhatsAppService {
       );
 
       console.log(`✅ Template message sent successfully. ID: ${response.data.messages[0].id}`);
+      await this.trackSent(response.data, payload, options);
       return response.data;
     } catch (error) {
       console.error('❌ Error sending template message:', error.response?.data || error.message);
@@ -289,29 +375,100 @@ class WhatsAppService {
   }
 
   /**
-   * Validate webhook signature (for production security)
-   * @param {string} payload - Raw request payload
-   * @param {string} signature - X-Hub-Signature-256 header
-   * @returns {boolean} Whether signature is valid
+   * Send a tracked message again after WhatsApp reported it failed
+   * @param {Object} record - Failed message record from DeliveryTracker
+   * @returns {Promise<Object>} Response from WhatsApp API
+   */
+  async resendMessage(record) {
+    try {
+      console.log(`🔁 Resending ${record.type} message ${record.message_id} to ${record.to} (attempt ${record.attempt + 1})`);
+
+      const response = await axios.post(
+        `${this.baseUrl}/${this.phoneNumberId}/messages`,
+        record.payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      console.log(`✅ Message resent successfully. ID: ${response.data.messages[0].id}`);
+      await this.trackSent(response.data, record.payload, {
+        receiptId: record.receipt_id,
+        purpose: record.purpose,
+        attempt: record.attempt + 1,
+        retryOf: record.message_id
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error resending message:', error.response?.data || error.message);
+      throw new Error(`Failed to resend message: ${error.response?.data?.error?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Record a sent message so its status webhooks can be matched to it; a
+   * tracking error never fails the send
+   */
+  async trackSent(data, payload, options = {}) {
+    const messageId = data?.messages?.[0]?.id;
+    if (!messageId) return;
+
+    try {
+      await DeliveryTracker.recordSent({ messageId, to: payload.to, type: payload.type, payload, ...options });
+    } catch (error) {
+      console.warn(`⚠️ Could not record sent message ${messageId}:`, error.message);
+    }
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header Meta sends with every webhook: an
+   * HMAC-SHA256 of the raw request body keyed with the app secret. While the
+   * secret is being rotated, WHATSAPP_WEBHOOK_SECRET_PREVIOUS is accepted too.
+   * With no secret configured, webhooks are refused unless NODE_ENV=development.
+   * @param {Buffer|string} payload - Raw request body, exactly as received
+   * @param {string} signature - X-Hub-Signature-256 header ("sha256=<hex>")
+   * @returns {Object} { valid, secret: 'current'|'previous'|null, reason }
    */
   validateWebhookSignature(payload, signature) {
-    if (!process.env.WHATSAPP_WEBHOOK_SECRET) {
-      console.warn('⚠️ WHATSAPP_WEBHOOK_SECRET not set, skipping signature validation');
-      return true;
+    const secrets = [
+      { name: 'current', value: process.env.WHATSAPP_WEBHOOK_SECRET },
+      { name: 'previous', value: process.env.WHATSAPP_WEBHOOK_SECRET_PREVIOUS }
+    ].filter(secret => secret.value);
+
+    const invalid = reason => ({ valid: false, secret: null, reason });
+
+    // Unsigned webhooks are only accepted in explicit development mode
+    if (secrets.length === 0) {
+      if (process.env.NODE_ENV !== 'development') return invalid('not_configured');
+
+      if (!this.warnedUnsigned) {
+        console.warn('⚠️ WHATSAPP_WEBHOOK_SECRET not set, skipping signature validation (development mode only)');
+        this.warnedUnsigned = true;
+      }
+      return { valid: true, secret: null, reason: 'not_configured' };
     }
 
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.WHATSAPP_WEBHOOK_SECRET)
-      .update(payload, 'utf8')
-      .digest('hex');
+    if (!signature) return invalid('missing_signature');
+    if (payload === undefined || payload === null) return invalid('missing_body');
+
+    const match = /^sha256=([0-9a-f]{64})$/i.exec(String(signature).trim());
+    if (!match) return invalid('malformed_signature');
+
+    // Both digests are 32 bytes, so timingSafeEqual can't throw on a length
+    // mismatch, and every secret is checked so the timing doesn't tell which matched
+    const received = Buffer.from(match[1], 'hex');
+    let matched = null;
+    for (const secret of secrets) {
+      const expected = crypto.createHmac('sha256', secret.value).update(payload).digest();
+      if (crypto.timingSafeEqual(expected, received) && !matched) {
+        matched = secret.name;
+      }
+    }
 
-    const receivedSignature = signature?.replace('sha256=', '') || '';
-    
-    return crypto.timingSafeEqual(
-      Buffer.from(expectedSignature, 'hex'),
-      Buffer.from(receivedSignature, 'hex')
-    );
+    return matched ? { valid: true, secret: matched, reason: null } : invalid('mismatch');
   }
 }
 
@@ -0,0 +1,65 @@
+const LineItemParser = require('../src/services/lineItemParser');
+
+const US = { locale: 'en-US', currency: 'USD' };
+const DE = { locale: 'de-DE', currency: 'EUR' };
+
+describe('LineItemParser', () => {
+  describe('parseText', () => {
+    it('reads quantities, unit prices and leaves out totals and tax', () => {
+      const items = LineItemParser.parseText('2 x Latte 9.00\nMuffin 3.25\nSubtotal 12.25\nTax 1.00\nTotal 13.25', US);
+
+      expect(items).toEqual([
+        expect.objectContaining({ description: 'Latte', quantity: 2, unit_price_minor: 450, amount_minor: 900 }),
+        expect.objectContaining({ description: 'Muffin', quantity: 1, amount_minor: 325 })
+      ]);
+    });
+
+    it('reads weighed items, tax codes and discounts on the item above', () => {
+      const items = LineItemParser.parseText('Bananen\n0,512 kg x 3,99 €/kg 2,04 A\nMilch 1,09 B\nRabatt -0,20\nSumme 2,93', DE);
+
+      expect(items).toEqual([
+        expect.objectContaining({ description: 'Bananen', quantity: 0.512, unit_price_minor: 399, amount_minor: 204, tax_code: 'A' }),
+        expect.objectContaining({ description: 'Milch', discount_minor: 20, amount_minor: 89, tax_code: 'B' })
+      ]);
+    });
+
+    it('splits off a leading product code', () => {
+      const [item] = LineItemParser.parseText('123456 Coffee beans 12.99', { locale: 'en-GB', currency: 'GBP' });
+
+      expect(item).toEqual(expect.objectContaining({ description: 'Coffee beans', sku: '123456', amount_minor: 1299 }));
+    });
+
+    it('leaves out CGST, SGST and IGST lines', () => {
+      const text = 'Paneer Tikka 2 x 320.00 640.00\nCGST 2.5% 30.86\nSGST 2.5% 30.86\nIGST 5% 41.00\nGrand Total 701.72';
+      const items = LineItemParser.parseText(text, { locale: 'en-IN', currency: 'INR' });
+
+      expect(items.map(item => item.description)).toEqual(['Paneer Tikka']);
+    });
+  });
+
+  describe('reconcile', () => {
+    const items = LineItemParser.parseText('2 x Latte 9.00\nMuffin 3.25', US);
+
+    it('matches items plus tax against the total', () => {
+      const result = LineItemParser.reconcile({ line_items: items, total_amount_minor: 1325, tax_amount_minor: 100, currency: 'USD' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'matched', items_total_minor: 1225, tax_included: false }));
+    });
+
+    it('matches VAT already included in the prices', () => {
+      const result = LineItemParser.reconcile({ line_items: items, total_amount_minor: 1225, tax_amount_minor: 196, currency: 'EUR' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'matched', tax_included: true }));
+    });
+
+    it('reports the difference when items are missing', () => {
+      const result = LineItemParser.reconcile({ line_items: items, total_amount_minor: 1500, tax_amount_minor: 100, currency: 'USD' });
+
+      expect(result).toEqual(expect.objectContaining({ status: 'mismatch', difference_minor: 175 }));
+    });
+
+    it('is unavailable without items', () => {
+      expect(LineItemParser.reconcile({ line_items: [], total_amount_minor: 1000 }).status).toBe('unavailable');
+    });
+  });
+});
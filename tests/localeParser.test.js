@@ -0,0 +1,63 @@
+const LocaleParser = require('../src/services/localeParser');
+
+describe('LocaleParser', () => {
+  describe('parseAmountMinor', () => {
+    it('reads German amounts with a decimal comma and thousands dots', () => {
+      expect(LocaleParser.parseAmountMinor('1.234,56 €', { locale: 'de-DE', currency: 'EUR' })).toBe(123456);
+    });
+
+    it('reads Indian lakh grouping', () => {
+      expect(LocaleParser.parseAmountMinor('1,23,456.78', { locale: 'en-IN', currency: 'INR' })).toBe(12345678);
+    });
+
+    it('reads US amounts with thousands commas', () => {
+      expect(LocaleParser.parseAmountMinor('$1,234.56', { locale: 'en-US', currency: 'USD' })).toBe(123456);
+    });
+
+    it('follows the currency precision', () => {
+      expect(LocaleParser.parseAmountMinor('1.500', { locale: 'en-US', currency: 'KWD' })).toBe(1500);
+      expect(LocaleParser.parseAmountMinor('1,500', { locale: 'ja-JP', currency: 'JPY' })).toBe(1500);
+    });
+
+    it('returns null for text without an amount', () => {
+      expect(LocaleParser.parseAmountMinor('Thank you', { locale: 'en-US', currency: 'USD' })).toBeNull();
+    });
+  });
+
+  describe('toMinorUnits / fromMinorUnits', () => {
+    it('converts exactly at the currency precision', () => {
+      expect(LocaleParser.toMinorUnits('12.345', 'KWD')).toBe(12345);
+      expect(LocaleParser.toMinorUnits(12.345, 'KWD')).toBe(12345);
+      expect(LocaleParser.toMinorUnits('0.10', 'USD')).toBe(10);
+      expect(LocaleParser.fromMinorUnits(1500, 'JPY')).toBe('1500');
+      expect(LocaleParser.fromMinorUnits(-5, 'EUR')).toBe('-0.05');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('rejects dates that are not on the calendar', () => {
+      expect(LocaleParser.parseDate('2025-02-30')).toBeNull();
+      expect(LocaleParser.parseDate('2025-13-01')).toBeNull();
+    });
+
+    it('accepts leap days', () => {
+      expect(LocaleParser.parseDate('2024-02-29')).toBe('2024-02-29');
+    });
+
+    it('reads numeric dates in the locale order', () => {
+      expect(LocaleParser.parseDate('03/04/2024', { locale: 'de-DE' })).toBe('2024-04-03');
+      expect(LocaleParser.parseDate('03/04/2024', { locale: 'en-US' })).toBe('2024-03-04');
+    });
+
+    it('reads month names in the locale language', () => {
+      expect(LocaleParser.parseDate('15. März 2024', { locale: 'de-DE' })).toBe('2024-03-15');
+    });
+  });
+
+  describe('isFuture', () => {
+    it('flags dates after today', () => {
+      expect(LocaleParser.isFuture('2999-01-01')).toBe(true);
+      expect(LocaleParser.isFuture('2020-01-01')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const ReceiptValidator = require('../src/services/receiptValidator');
+
+const receipt = fields => ({ receipt_id: 'test', merchant_name: 'Blue Bottle', locale: 'en-US', currency: 'USD', ...fields });
+const codes = result => result.warnings.map(warning => warning.code);
+
+describe('ReceiptValidator', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validate', () => {
+    it('passes a receipt whose subtotal and tax add up to the total', () => {
+      const result = ReceiptValidator.validate(receipt({
+        subtotal_amount_minor: 1225,
+        tax_amount_minor: 100,
+        total_amount_minor: 1325,
+        original_text: 'Subtotal 12.25\nTax 1.00\nTotal 13.25'
+      }));
+
+      expect(result.totals_check).toEqual(expect.objectContaining({ status: 'matched', tax_included: false }));
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('flags a total that does not match subtotal and tax', () => {
+      const result = ReceiptValidator.validate(receipt({
+        subtotal_amount_minor: 1225,
+        tax_amount_minor: 100,
+        total_amount_minor: 1425,
+        original_text: 'Subtotal 12.25\nTax 1.00\nTotal 14.25'
+      }));
+
+      expect(result.totals_check.status).toBe('mismatch');
+      expect(result.warnings).toContainEqual(expect.objectContaining({
+        code: 'total_mismatch',
+        details: { expected: '13.25', difference: '1.00' }
+      }));
+    });
+
+    it('accepts VAT already included in the subtotal', () => {
+      const result = ReceiptValidator.validate(receipt({
+        locale: 'de-DE',
+        currency: 'EUR',
+        subtotal_amount_minor: 1225,
+        tax_amount_minor: 196,
+        total_amount_minor: 1225,
+        original_text: 'Zwischensumme 12,25\nMwSt 1,96\nSumme 12,25'
+      }));
+
+      expect(result.totals_check).toEqual(expect.objectContaining({ status: 'matched', tax_included: true }));
+    });
+
+    it('flags a total that is really the cash tendered', () => {
+      const result = ReceiptValidator.validate(receipt({
+        subtotal_amount_minor: 1225,
+        tax_amount_minor: 100,
+        total_amount_minor: 2000,
+        original_text: 'Subtotal 12.25\nTax 1.00\nTotal 20.00\nCash 20.00\nChange 6.75'
+      }));
+
+      expect(codes(result)).toContain('total_is_tendered');
+      expect(result.warnings.find(warning => warning.code === 'total_is_tendered').details).toEqual({ amount_due: '13.25' });
+    });
+
+    it('counts a tip printed above the total in the totals check', () => {
+      const result = ReceiptValidator.validate(receipt({
+        subtotal_amount_minor: 4000,
+        tax_amount_minor: 0,
+        total_amount_minor: 4800,
+        original_text: 'Subtotal 40.00\nTip 8.00\nTotal 48.00'
+      }));
+
+      expect(result.totals_check).toEqual(expect.objectContaining({ status: 'matched', tip_minor: 800 }));
+    });
+
+    it('flags an unreadable tip', () => {
+      const result = ReceiptValidator.validate(receipt({ total_amount_minor: 4320, tip_status: 'unreadable', original_text: 'Total 43.20' }));
+
+      expect(codes(result)).toContain('tip_unreadable');
+    });
+
+    it('flags a missing total and date', () => {
+      const result = ReceiptValidator.validate(receipt({ total_amount_minor: null, original_text: '' }), { dateFound: false });
+
+      expect(codes(result)).toEqual(expect.arrayContaining(['total_missing', 'date_not_found']));
+    });
+  });
+
+  describe('findTip', () => {
+    const US = { locale: 'en-US', currency: 'USD' };
+
+    it('adds a tip written in below the total to reach the final total after it', () => {
+      const result = ReceiptValidator.findTip([], 'Subtotal 40.00\nTax 3.20\nTotal 43.20\nTip 8.00\nTotal 51.20', US, 4320);
+
+      expect(result).toEqual(expect.objectContaining({
+        tip_amount_minor: 800,
+        final_total_minor: 5120,
+        tip_included: false,
+        tip_status: 'read'
+      }));
+    });
+
+    it('treats a tip printed above the total as already in it', () => {
+      const result = ReceiptValidator.findTip([], 'Subtotal 40.00\nTip 8.00\nTotal 48.00', US, 4800);
+
+      expect(result).toEqual(expect.objectContaining({ tip_amount_minor: 800, final_total_minor: 4800, tip_included: true }));
+    });
+
+    it('infers an unreadable tip from the final total', () => {
+      const result = ReceiptValidator.findTip([], 'Total 43.20\nTip ____\nTotal 51.20', US, 4320);
+
+      expect(result).toEqual(expect.objectContaining({ tip_amount_minor: 800, tip_status: 'inferred' }));
+    });
+
+    it('flags a final total that does not match total plus tip', () => {
+      expect(ReceiptValidator.findTip([], 'Total 43.20\nTip 8.00\nTotal 55.00', US, 4320).tip_status).toBe('mismatch');
+    });
+
+    it('asks about a tip line with neither the tip nor the final total readable', () => {
+      const result = ReceiptValidator.findTip([], 'Total 43.20\nTip ____\nTotal ____', US, 4320);
+
+      expect(result).toEqual(expect.objectContaining({ tip_amount_minor: null, final_total_minor: null, tip_status: 'unreadable' }));
+    });
+
+    it('ignores suggested tips', () => {
+      const result = ReceiptValidator.findTip([], 'Total 43.20\nSuggested tip 18%: 7.78', US, 4320);
+
+      expect(result).toEqual(expect.objectContaining({ tip_amount_minor: null, final_total_minor: 4320, tip_status: null }));
+    });
+  });
+
+  describe('checkTotals', () => {
+    it('is unavailable without a subtotal', () => {
+      expect(ReceiptValidator.checkTotals({ total: 1325, subtotal: null, tax: 100 }, 'USD').status).toBe('unavailable');
+    });
+
+    it('takes order-level discounts off', () => {
+      const result = ReceiptValidator.checkTotals({ total: 1125, subtotal: 1225, tax: 100, discounts: 200 }, 'USD');
+
+      expect(result.status).toBe('matched');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const TaxParser = require('../src/services/taxParser');
+const TaxTypes = require('../src/services/taxTypes');
+
+describe('TaxParser', () => {
+  describe('extract', () => {
+    it('reads GST and PST lines with their registration numbers', () => {
+      const text = 'Subtotal 40.00\nGST 5% 2.00\nPST 7% 2.80\nTotal 44.80\nGST # 123456789 RT0001\nPST # PST-1234-5678';
+      const lines = TaxParser.extract([], text, { locale: 'en-CA', currency: 'CAD' });
+
+      expect(lines).toEqual([
+        expect.objectContaining({ type: 'gst', rate: 5, amount_minor: 200, registration_number: '123456789 RT0001' }),
+        expect.objectContaining({ type: 'pst', rate: 7, amount_minor: 280, registration_number: 'PST-1234-5678' })
+      ]);
+      expect(TaxParser.sum(lines)).toBe(480);
+    });
+
+    it('reads a VAT line with its net amount and VAT ID', () => {
+      const lines = TaxParser.extract([], 'Summe 11,90\nMwSt 19% 1,90 Netto 10,00\nUSt-IdNr.: DE123456789', { locale: 'de-DE', currency: 'EUR' });
+
+      expect(lines).toEqual([
+        expect.objectContaining({ type: 'vat', rate: 19, base_minor: 1000, amount_minor: 190, registration_number: 'DE123456789' })
+      ]);
+    });
+
+    it('reads CGST and SGST under one GSTIN', () => {
+      const text = 'Sub Total 820.00\nCGST 2.5% 20.50\nSGST 2.5% 20.50\nGrand Total 861.00\nGSTIN 29ABCDE1234F1Z5';
+      const lines = TaxParser.extract([], text, { locale: 'en-IN', currency: 'INR' });
+
+      expect(lines.map(line => [line.type, line.amount_minor, line.registration_number])).toEqual([
+        ['cgst', 2050, '29ABCDE1234F1Z5'],
+        ['sgst', 2050, '29ABCDE1234F1Z5']
+      ]);
+    });
+
+    it('does not read a total including tax as a tax line', () => {
+      const lines = TaxParser.extract([], 'HST 13% 5.20\nTotal incl. HST 45.20', { locale: 'en-CA', currency: 'CAD' });
+
+      expect(lines).toEqual([expect.objectContaining({ type: 'hst', amount_minor: 520 })]);
+    });
+  });
+});
+
+describe('TaxTypes', () => {
+  it('names the tax a line is for', () => {
+    expect(TaxTypes.classify('CGST 2.5% 30.86', null)).toBe('cgst');
+    expect(TaxTypes.classify('MwSt 19%', 19)).toBe('vat');
+    expect(TaxTypes.classify('Sales tax 8.875%', 8.875)).toBe('sales_tax');
+    expect(TaxTypes.classify('Latte 4.50', null)).toBeNull();
+  });
+
+  it('reads GST/HST by its rate', () => {
+    expect(TaxTypes.classify('GST/HST 5%', 5)).toBe('gst');
+    expect(TaxTypes.classify('GST/HST 13%', 13)).toBe('hst');
+  });
+});